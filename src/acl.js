@@ -0,0 +1,259 @@
+const dns = require('dns');
+const net = require('net');
+
+// "10.0.0.0/8, 2001:db8::/32\n192.0.2.7" -> ['10.0.0.0/8', '2001:db8::/32', '192.0.2.7/32'].
+// Throws on entries that are not an IP address or CIDR range.
+function parseCidrList(value) {
+  if (!value) return [];
+  const entries = Array.isArray(value) ? value : value.toString().split(/[\s,]+/);
+  const result = [];
+  for (const raw of entries) {
+    const entry = raw.trim();
+    if (!entry) continue;
+    const [address, prefix, extra] = entry.split('/');
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+    if (!family || extra !== undefined || (prefix !== undefined && !/^\d{1,3}$/.test(prefix))) {
+      throw new Error(`Invalid IP address or CIDR range: ${entry}`);
+    }
+    const bits = prefix === undefined ? maxPrefix : parseInt(prefix, 10);
+    if (bits > maxPrefix) {
+      throw new Error(`Invalid IP address or CIDR range: ${entry}`);
+    }
+    const cidr = `${address.toLowerCase()}/${bits}`;
+    if (!result.includes(cidr)) {
+      result.push(cidr);
+    }
+  }
+  return result;
+}
+
+function buildBlockList(cidrs) {
+  const list = new net.BlockList();
+  for (const cidr of cidrs) {
+    const [address, bits] = cidr.split('/');
+    list.addSubnet(address, parseInt(bits, 10), net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+  }
+  return list;
+}
+
+// IPv4 clients on a dual-stack listener show up as ::ffff:a.b.c.d
+function normalizeAddress(address) {
+  if (!address) return address;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  return mapped ? mapped[1] : address;
+}
+
+// Source address filter for one port forward: the denylist wins, and a non-empty allowlist
+// admits only the addresses it covers.
+class SourceFilter {
+  constructor(allowCidrs = [], denyCidrs = []) {
+    this.allowCount = allowCidrs.length;
+    this.denyCount = denyCidrs.length;
+    this.allow = buildBlockList(allowCidrs);
+    this.deny = buildBlockList(denyCidrs);
+  }
+
+  isEmpty() {
+    return this.allowCount === 0 && this.denyCount === 0;
+  }
+
+  allows(address) {
+    if (this.isEmpty()) {
+      return true;
+    }
+    const ip = normalizeAddress(address);
+    const family = net.isIP(ip);
+    if (!family) {
+      return false;
+    }
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (this.denyCount > 0 && this.deny.check(ip, type)) {
+      return false;
+    }
+    return this.allowCount === 0 || this.allow.check(ip, type);
+  }
+}
+
+// "80", "8000-8100" or "*" -> [min, max]; null when malformed
+function parsePortRange(value) {
+  if (value === undefined || value === '*') return [1, 65535];
+  const match = /^(\d{1,5})(?:-(\d{1,5}))?$/.exec(value);
+  if (!match) return null;
+  const min = parseInt(match[1], 10);
+  const max = match[2] ? parseInt(match[2], 10) : min;
+  return min >= 1 && max <= 65535 && min <= max ? [min, max] : null;
+}
+
+// "6000-6100, 7000" -> [[6000, 6100], [7000, 7000]]. Throws on invalid entries.
+function parsePortRanges(value) {
+  if (!value) return [];
+  const ranges = [];
+  for (const raw of value.toString().split(/[\s,]+/)) {
+    const entry = raw.trim();
+    if (!entry) continue;
+    const range = entry === '*' ? null : parsePortRange(entry);
+    if (!range) {
+      throw new Error(`Invalid port or port range: ${entry}`);
+    }
+    ranges.push(range);
+  }
+  return ranges;
+}
+
+function formatPortRanges(ranges) {
+  return ranges.map(([min, max]) => (min === max ? `${min}` : `${min}-${max}`)).join(',');
+}
+
+// An empty list allows every port
+function portInRanges(port, ranges) {
+  return ranges.length === 0 || ranges.some(([min, max]) => port >= min && port <= max);
+}
+
+// One destination rule: "host[:ports]" where host is a name glob ("*.internal", "*"), an IP
+// address or a CIDR range (IPv6 in brackets when followed by ports: "[fd00::/8]:22").
+// Returns { host, ports, cidr } with host normalized, or throws.
+function parseDestinationRule(entry) {
+  let host = entry;
+  let ports;
+  const bracketed = /^\[([^\]]+)\](?::(.*))?$/.exec(entry);
+  if (bracketed) {
+    [, host, ports] = bracketed;
+  } else if (net.isIP(entry.split('/')[0]) !== 6) {
+    const colon = entry.lastIndexOf(':');
+    if (colon !== -1) {
+      host = entry.slice(0, colon);
+      ports = entry.slice(colon + 1);
+    }
+  }
+  const range = parsePortRange(ports);
+  if (!host || !range) {
+    throw new Error(`Invalid destination rule: ${entry}`);
+  }
+  if (net.isIP(host.split('/')[0])) {
+    return { host: parseCidrList([host])[0], ports: range, cidr: true };
+  }
+  const name = host.toLowerCase().replace(/\.$/, '');
+  if (!/^[a-z0-9*_.-]+$/.test(name)) {
+    throw new Error(`Invalid destination rule: ${entry}`);
+  }
+  return { host: name, ports: range, cidr: false };
+}
+
+function formatDestinationRule({ host, ports, cidr }) {
+  if (ports[0] === 1 && ports[1] === 65535) return host;
+  const portText = ports[0] === ports[1] ? `${ports[0]}` : `${ports[0]}-${ports[1]}`;
+  return `${cidr && host.includes(':') ? `[${host}]` : host}:${portText}`;
+}
+
+// "*.internal, 10.0.0.0/8, *:25, example.com:8000-8100" -> normalized rule strings. Throws on invalid rules.
+function parseDestinationList(value) {
+  if (!value) return [];
+  const entries = Array.isArray(value) ? value : value.toString().split(/[\s,]+/);
+  const result = [];
+  for (const raw of entries) {
+    const entry = raw.trim();
+    if (!entry) continue;
+    const rule = formatDestinationRule(parseDestinationRule(entry));
+    if (!result.includes(rule)) {
+      result.push(rule);
+    }
+  }
+  return result;
+}
+
+function compileDestinationRule(text) {
+  const rule = parseDestinationRule(text);
+  if (rule.cidr) {
+    rule.blockList = buildBlockList([rule.host]);
+  } else {
+    rule.pattern = new RegExp(`^${rule.host.replace(/[.-]/g, '\\$&').replace(/\*/g, '.*')}$`);
+  }
+  return rule;
+}
+
+// Destination policy for one dynamic or reverse-dynamic forward, applied by whichever side dials.
+// Name globs match the requested host name; CIDR rules match its address, so names are resolved
+// first and the resolved address is what gets dialed. The denylist wins, and a non-empty allowlist
+// admits only the destinations it covers.
+class DestinationPolicy {
+  constructor(allowRules = [], denyRules = []) {
+    this.allow = allowRules.map(compileDestinationRule);
+    this.deny = denyRules.map(compileDestinationRule);
+  }
+
+  isEmpty() {
+    return this.allow.length === 0 && this.deny.length === 0;
+  }
+
+  // Resolves to { allowed, address } where address is the host to dial; rejects when a name
+  // that CIDR rules need to see cannot be resolved
+  async check(host, port) {
+    if (this.isEmpty()) {
+      return { allowed: true, address: host };
+    }
+    const name = normalizeAddress(String(host)).toLowerCase().replace(/\.$/, '');
+    const rules = [...this.allow, ...this.deny].filter(rule => port >= rule.ports[0] && port <= rule.ports[1]);
+    let address = name;
+    if (!net.isIP(name) && rules.some(rule => rule.cidr)) {
+      ({ address } = await dns.promises.lookup(name));
+      address = normalizeAddress(address);
+    }
+    const family = net.isIP(address);
+    const matches = (rule) => {
+      if (!rules.includes(rule)) return false;
+      if (rule.cidr) {
+        return family !== 0 && rule.blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+      }
+      return rule.pattern.test(name);
+    };
+    if (this.deny.some(matches)) {
+      return { allowed: false, address };
+    }
+    return { allowed: this.allow.length === 0 || this.allow.some(matches), address };
+  }
+}
+
+// Listener bind address: an IPv4/IPv6 address (brackets allowed), or null for all interfaces
+function parseBindAddress(value) {
+  const address = (value || '').toString().trim().replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (!address) return null;
+  if (!net.isIP(address)) {
+    throw new Error(`Invalid bind address: ${value}`);
+  }
+  return address;
+}
+
+function isWildcardAddress(address) {
+  return !address || address === '0.0.0.0' || address === '::';
+}
+
+// Whether listeners on the two bind addresses would compete for the same port
+function bindAddressesOverlap(a, b) {
+  return isWildcardAddress(a) || isWildcardAddress(b) || normalizeAddress(a) === normalizeAddress(b);
+}
+
+// "192.0.2.1:6000", "[2001:db8::1]:6000", "example.com:6000"
+function formatHostPort(host, port) {
+  return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+// Like formatHostPort, with "*:6000" for all interfaces
+function formatListenAddress(address, port) {
+  return isWildcardAddress(address) ? `*:${port}` : formatHostPort(address, port);
+}
+
+module.exports = {
+  parseCidrList,
+  normalizeAddress,
+  SourceFilter,
+  parseDestinationList,
+  DestinationPolicy,
+  parsePortRanges,
+  formatPortRanges,
+  portInRanges,
+  parseBindAddress,
+  bindAddressesOverlap,
+  formatHostPort,
+  formatListenAddress,
+};
@@ -0,0 +1,36 @@
+// Audit log entries for administrative changes: what changed between the stored record before and after
+
+// Recorded as changed without their values
+const REDACTED_FIELDS = ['token', 'socks_password_hash'];
+
+// Bookkeeping columns that change with every update
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+function sameValue(a, b) {
+  return (a === null || a === undefined ? null : String(a)) === (b === null || b === undefined ? null : String(b));
+}
+
+// { field: { from, to } } for the fields that differ; before is null for created records and after
+// for deleted ones, so every set field shows up
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = before ? before[field] : null;
+    const to = after ? after[field] : null;
+    if (sameValue(from, to)) {
+      continue;
+    }
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: from ? '[redacted]' : null, to: to ? '[redacted]' : null }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  }
+  return changes;
+}
+
+module.exports = {
+  diffRecords,
+};
@@ -45,12 +45,15 @@ function main() {
       const validatedConfig = ConfigLoader.validateServerConfig(config);
       const server = new FRPServer(validatedConfig);
 
-      server.start();
+      server.start().catch((err) => {
+        console.error('Failed to start server:', err.message);
+        process.exit(1);
+      });
 
-      process.on('SIGINT', () => {
+      // A second Ctrl+C exits without waiting
+      process.once('SIGINT', () => {
         console.log('\nShutting down server...');
-        server.stop();
-        process.exit(0);
+        server.stop().finally(() => process.exit(0));
       });
     } catch (err) {
       console.error('Failed to start server:', err.message);
@@ -67,10 +70,9 @@ function main() {
 
       client.start();
 
-      process.on('SIGINT', () => {
+      process.once('SIGINT', () => {
         console.log('\nShutting down client...');
-        client.stop();
-        process.exit(0);
+        client.stop().finally(() => process.exit(0));
       });
     } catch (err) {
       console.error('Failed to start client:', err.message);
@@ -1,36 +1,98 @@
 const net = require('net');
+const tls = require('tls');
 const dgram = require('dgram');
+const EventEmitter = require('events');
+const MuxSession = require('./mux');
+const UdpChannel = require('./udpchannel');
+const socks5 = require('./socks5');
+const { normalizeAddress, parseDestinationList, DestinationPolicy, formatHostPort } = require('./acl');
+const { trackConnections, closeServer } = require('./listeners');
 
 function genConnectionId() {
   return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
 }
 
-class FRPClient {
+// A server that failed is skipped for this long while other servers are available
+const SERVER_RETRY_MS = 30000;
+// Connecting and authenticating must finish within this time, or the next server is tried
+const HANDSHAKE_TIMEOUT_MS = 10000;
+// Servers that don't negotiate heartbeats time clients out after 40 seconds
+const LEGACY_HEARTBEAT_INTERVAL = 20;
+
+// Events: 'connecting' { serverAddr, serverPort, attempt }, 'authenticated' { serverAddr, serverPort,
+// portForwards }, 'disconnected' { serverAddr, serverPort, error, reconnectDelay } (reconnectDelay
+// in ms, null after stop()), 'config_updated' { portForwards }, 'proxy_listen' / 'proxy_close'
+// { name, direction, listenAddress } for reverse listeners, and 'connection_open' { connectionId,
+// proxyName, localAddress } / 'connection_close' (the same plus bytesIn, bytesOut and durationMs)
+// for connections to local services
+class FRPClient extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.controlSocket = null;
+    this.muxSession = null; // Set when the server agrees to multiplex data streams over the control socket
     this.reconnectTimer = null;
     this.heartbeatTimer = null;
+    this.handshakeTimer = null;
+    this.currentServer = null; // Entry of config.servers in use
+    this.serverFailures = new Map(); // server entry -> time of its last failure
+    this.nextServerIndex = 0; // Round-robin position
+    this.failedAttempts = 0; // Connection attempts since the last successful authentication
+    this.heartbeat = null; // { interval, timeout } in seconds for the current connection
+    this.lastServerMessage = 0;
+    this.stopped = false;
     this.connected = false;
     this.assignedProxies = []; // Store port forwards assigned by server
     this.reverseServers = new Map(); // name -> net.Server for reverse forwards
     this.pendingLocalConnections = new Map(); // connectionId -> { localSocket, proxyName }
     this.socksServers = new Map(); // name -> net.Server for reverse-dynamic SOCKS5
     this.udpSessions = new Map(); // connectionId -> { socket, targetHost, targetPort }
+    this.udpChannel = null; // Binary UDP channel, when the server supports it
+    this.socksAssociations = new Map(); // connectionId -> reverse-dynamic SOCKS5 UDP association
+    this.bindListeners = new Map(); // connectionId -> { listener, timer } for dynamic SOCKS5 BIND
+    this.destinationPolicies = new Map(); // dynamic forward name -> DestinationPolicy
+    this.pendingUdpChecks = new Map(); // connectionId -> datagrams queued while a UDP destination is checked
   }
 
+  // Resolves once a server accepts the client; until then connecting is retried
   start() {
+    this.stopped = false;
+    const authenticated = new Promise(resolve => this.once('authenticated', () => resolve()));
     this.connect();
+    return authenticated;
+  }
+
+  // Pick the server to connect to: in priority order, or the next one for round-robin, skipping
+  // servers that failed within SERVER_RETRY_MS unless all of them did
+  selectServer() {
+    const servers = this.config.servers;
+    const order = this.config.serverSelection === 'round-robin'
+      ? servers.map((_, i) => servers[(this.nextServerIndex + i) % servers.length])
+      : [...servers].sort((a, b) => a.priority - b.priority);
+    const lastFailure = (server) => this.serverFailures.get(server) || 0;
+    const now = Date.now();
+    let server = order.find(s => now - lastFailure(s) >= SERVER_RETRY_MS);
+    if (!server) {
+      // Every server failed recently: retry the one that failed longest ago
+      server = order.reduce((best, s) => (lastFailure(s) < lastFailure(best) ? s : best));
+    }
+    this.nextServerIndex = (servers.indexOf(server) + 1) % servers.length;
+    return server;
   }
 
   connect() {
-    const serverAddr = this.config.serverAddr;
-    const serverPort = this.config.serverPort || 7000;
+    const server = this.selectServer();
+    const servers = this.config.servers;
+    if (this.currentServer && this.currentServer !== server) {
+      console.log(`Failing over from ${formatHostPort(this.currentServer.serverAddr, this.currentServer.serverPort)}`);
+    }
+    this.currentServer = server;
 
-    console.log(`Connecting to FRP server ${serverAddr}:${serverPort}...`);
+    console.log(`Connecting to FRP server ${formatHostPort(server.serverAddr, server.serverPort)}${servers.length > 1 ? ` (server ${servers.indexOf(server) + 1} of ${servers.length})` : ''}...`);
+    this.emit('connecting', { serverAddr: server.serverAddr, serverPort: server.serverPort, attempt: this.failedAttempts + 1 });
 
-    this.controlSocket = net.createConnection(serverPort, serverAddr, () => {
-      console.log('Connected to FRP server');
+    this.controlSocket = this.createServerConnection(() => {
+      console.log(`Connected to FRP server${this.config.tls && this.config.tls.enabled ? ' (TLS)' : ''}`);
       this.connected = true;
 
       // Send control connection handshake with authentication token
@@ -38,8 +100,22 @@ class FRPClient {
         type: 'control_handshake'
       };
 
-      if (this.config.token) {
-        handshake.token = this.config.token;
+      if (server.token) {
+        handshake.token = server.token;
+      }
+
+      // Advertise optional protocol features; the server echoes back the ones it accepts
+      handshake.capabilities = [];
+      if (this.config.mux !== false) {
+        handshake.capabilities.push('mux');
+      }
+      handshake.capabilities.push('udp-channel');
+
+      handshake.heartbeat = { interval: this.config.heartbeatInterval, timeout: this.config.heartbeatTimeout };
+
+      // Forwards declared in frpc.yaml, merged by the server into its own list
+      if (this.config.declareProxies) {
+        handshake.proxies = this.config.proxies;
       }
 
       this.controlSocket.write(JSON.stringify(handshake) + '\n');
@@ -47,36 +123,127 @@ class FRPClient {
 
     this.controlSocket.setNoDelay(true);
 
-    let buffer = '';
+    const controlSocket = this.controlSocket;
+    let buffer = Buffer.alloc(0);
+
+    this.handshakeTimer = setTimeout(() => {
+      this.handshakeTimer = null;
+      controlSocket.destroy(new Error(`No response within ${HANDSHAKE_TIMEOUT_MS / 1000} seconds`));
+    }, HANDSHAKE_TIMEOUT_MS);
 
-    this.controlSocket.on('data', (data) => {
-      buffer += data.toString();
+    const onData = (data) => {
+      buffer = Buffer.concat([buffer, data]);
 
       let newlineIndex;
-      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
-        const message = buffer.substring(0, newlineIndex);
-        buffer = buffer.substring(newlineIndex + 1);
+      while ((newlineIndex = buffer.indexOf(0x0a)) !== -1) {
+        const message = buffer.subarray(0, newlineIndex).toString();
+        buffer = buffer.subarray(newlineIndex + 1);
 
+        let msg;
         try {
-          const msg = JSON.parse(message);
-          this.handleMessage(msg);
+          msg = JSON.parse(message);
         } catch (err) {
           console.error('Failed to parse message:', err);
+          continue;
+        }
+
+        if (msg.type === 'auth_response' && msg.success && Array.isArray(msg.capabilities) && msg.capabilities.includes('mux')) {
+          // Everything after the auth response is framed
+          controlSocket.removeListener('data', onData);
+          this.muxSession = new MuxSession(controlSocket, { isClient: true });
+          this.muxSession.on('message', (controlMsg) => this.handleMessage(controlMsg));
+          this.handleMessage(msg);
+          this.muxSession.start(buffer);
+          return;
         }
+
+        this.handleMessage(msg);
       }
-    });
+    };
+    this.controlSocket.on('data', onData);
 
+    // Events of a socket that was already given up on (e.g. 'error' after 'end') are ignored
     this.controlSocket.on('end', () => {
+      if (this.controlSocket !== controlSocket) return;
       console.log('Disconnected from server');
-      this.handleDisconnect();
+      this.handleDisconnect(null);
     });
 
     this.controlSocket.on('error', (err) => {
+      if (this.controlSocket !== controlSocket) return;
       console.error('Connection error:', err.message);
-      this.handleDisconnect();
+      this.handleDisconnect(err);
     });
   }
 
+  // Open a socket to the current server, wrapped in TLS when enabled
+  createServerConnection(onConnect) {
+    const { serverAddr, serverPort } = this.currentServer;
+    const tlsConfig = this.config.tls;
+
+    if (!tlsConfig || !tlsConfig.enabled) {
+      return net.createConnection(serverPort, serverAddr, onConnect);
+    }
+
+    const options = {
+      host: serverAddr,
+      port: serverPort,
+      ca: tlsConfig.ca,
+      cert: tlsConfig.cert,
+      key: tlsConfig.key,
+      // A pinned fingerprint replaces CA validation unless a CA is given as well
+      rejectUnauthorized: !tlsConfig.fingerprint || !!tlsConfig.ca,
+    };
+    const serverName = this.currentServer.serverName || tlsConfig.serverName || serverAddr;
+    if (!net.isIP(serverName)) {
+      options.servername = serverName;
+    }
+
+    const socket = tls.connect(options, () => {
+      if (tlsConfig.fingerprint) {
+        const cert = socket.getPeerCertificate();
+        const fingerprint = ((cert && cert.fingerprint256) || '').replace(/:/g, '').toLowerCase();
+        if (fingerprint !== tlsConfig.fingerprint) {
+          socket.destroy(new Error(`Server certificate fingerprint mismatch (got ${fingerprint || 'none'})`));
+          return;
+        }
+      }
+      onConnect();
+    });
+    return socket;
+  }
+
+  // Send a control message to the server, framed when the connection is multiplexed
+  send(msg) {
+    if (this.muxSession) {
+      return this.muxSession.sendMessage(msg);
+    }
+    return this.controlSocket.write(JSON.stringify(msg) + '\n');
+  }
+
+  // Open a data connection for connectionId; onReady gets the socket once the handshake is sent.
+  // With multiplexing this is a logical stream on the control socket instead of a new TCP connection.
+  openDataConnection(connectionId, onReady) {
+    if (this.muxSession) {
+      const stream = this.muxSession.openStream();
+      stream.write(JSON.stringify({ type: 'data_connection', connectionId }) + '\n');
+      // Defer so callers can attach their handlers first, as with a socket
+      process.nextTick(() => {
+        if (!stream.destroyed) {
+          onReady(stream);
+        }
+      });
+      return stream;
+    }
+
+    const dataSocket = this.createServerConnection(() => {
+      dataSocket.write(JSON.stringify({ type: 'data_connection', connectionId }) + '\n');
+      onReady(dataSocket);
+    });
+    dataSocket.setNoDelay(true);
+    return dataSocket;
+  }
+
   registerProxies() {
     if (!this.config.proxies || this.config.proxies.length === 0) {
       console.error('No proxies configured');
@@ -91,12 +258,13 @@ class FRPClient {
         remotePort: proxy.remotePort
       };
 
-      this.controlSocket.write(JSON.stringify(msg) + '\n');
+      this.send(msg);
       console.log(`Registering proxy [${proxy.name}]...`);
     });
   }
 
   handleMessage(msg) {
+    this.lastServerMessage = Date.now();
     switch (msg.type) {
       case 'auth_response':
         this.handleAuthResponse(msg);
@@ -118,12 +286,9 @@ class FRPClient {
           break;
         }
         // Open data socket to server and pipe to local socket
-        const dataSocket = net.createConnection(
-          this.config.serverPort,
-          this.config.serverAddr,
+        const dataSocket = this.openDataConnection(
+          connectionId,
           () => {
-            dataSocket.write(JSON.stringify({ type: 'data_connection', connectionId }) + '\n');
-
             const localSocket = pending.localSocket;
             // Pipe data between server and local client
             dataSocket.pipe(localSocket);
@@ -149,7 +314,6 @@ class FRPClient {
             });
           }
         );
-        dataSocket.setNoDelay(true);
         dataSocket.on('error', (err) => {
           console.error('Failed to establish reverse data connection:', err.message);
           const localSocket = pending.localSocket;
@@ -171,35 +335,65 @@ class FRPClient {
       case 'dynamic_connection': {
         // Server requests client to open a connection to target for forward dynamic SOCKS
         const { proxyName, connectionId, targetHost, targetPort } = msg;
-        const dataSocket = net.createConnection(
-          this.config.serverPort,
-          this.config.serverAddr,
-          () => {
-            dataSocket.write(JSON.stringify({ type: 'data_connection', connectionId }) + '\n');
-            const targetSocket = net.createConnection(targetPort, targetHost, () => {
-              // Bridge target <-> dataSocket
-              dataSocket.pipe(targetSocket);
-              targetSocket.pipe(dataSocket);
-              this.controlSocket.write(JSON.stringify({ type: 'dynamic_ready', connectionId }) + '\n');
-            });
-            targetSocket.setNoDelay(true);
-            targetSocket.on('error', (err) => {
-              console.error('Client failed to connect target for dynamic:', err.message);
-              // Still notify server about failure. Ensure data socket closes after sending the message
-              try {
-                this.controlSocket.write(JSON.stringify({ type: 'dynamic_failed', connectionId, error: err.message }) + '\n');
-              } finally {
-                try { dataSocket.destroy(); } catch {}
-              }
-            });
+        this.checkDestination(proxyName, targetHost, targetPort).then((address) => {
+          if (!address) {
+            this.send({ type: 'dynamic_failed', connectionId, error: 'Destination not allowed', reason: 'not_allowed' });
+            return;
           }
-        );
-        dataSocket.setNoDelay(true);
-        dataSocket.on('error', (err) => {
-          console.error('Failed to establish data socket for dynamic:', err.message);
+          const dataSocket = this.openDataConnection(
+            connectionId,
+            () => {
+              const targetSocket = net.createConnection(targetPort, address, () => {
+                // Bridge target <-> dataSocket
+                dataSocket.pipe(targetSocket);
+                targetSocket.pipe(dataSocket);
+                // A reset data socket does not end targetSocket through pipe()
+                dataSocket.on('error', () => targetSocket.destroy());
+                // The outgoing address becomes BND.ADDR/BND.PORT of the server's SOCKS5 reply
+                this.send({ type: 'dynamic_ready', connectionId, address: normalizeAddress(targetSocket.localAddress), port: targetSocket.localPort });
+              });
+              targetSocket.setNoDelay(true);
+              targetSocket.on('error', (err) => {
+                console.error('Client failed to connect target for dynamic:', err.message);
+                // Still notify server about failure. Ensure data socket closes after sending the message
+                try {
+                  this.send({ type: 'dynamic_failed', connectionId, error: err.message });
+                } finally {
+                  try { dataSocket.destroy(); } catch {}
+                }
+              });
+            }
+          );
+          dataSocket.on('error', (err) => {
+            console.error('Failed to establish data socket for dynamic:', err.message);
+          });
+        }, (err) => {
+          console.error(`Failed to resolve ${targetHost} for dynamic [${proxyName}]:`, err.message);
+          this.send({ type: 'dynamic_failed', connectionId, error: err.message });
         });
         break;
       }
+      case 'dynamic_bind':
+        this.handleDynamicBind(msg);
+        break;
+      case 'socks_bind_cancel':
+        this.closeBindListener(msg.connectionId);
+        break;
+      case 'reverse_dynamic_bind_ready': {
+        // First BIND reply: where the server is listening for the incoming connection
+        const pending = this.pendingLocalConnections.get(msg.connectionId);
+        if (pending) {
+          try { pending.localSocket.write(socks5.reply(socks5.REPLY_SUCCEEDED, msg.address, msg.port)); } catch {}
+        }
+        break;
+      }
+      case 'reverse_dynamic_udp_ready': {
+        const association = this.socksAssociations.get(msg.connectionId);
+        if (association) {
+          association.start();
+        }
+        break;
+      }
       case 'reverse_dynamic_ready': {
         const { connectionId } = msg;
         const pending = this.pendingLocalConnections.get(connectionId);
@@ -207,18 +401,22 @@ class FRPClient {
           console.error(`reverse_dynamic_ready for unknown connection ${connectionId}`);
           break;
         }
-        const dataSocket = net.createConnection(this.config.serverPort, this.config.serverAddr, () => {
-          dataSocket.write(JSON.stringify({ type: 'data_connection', connectionId }) + '\n');
+        const dataSocket = this.openDataConnection(connectionId, () => {
           const localSocket = pending.localSocket;
-          // Send SOCKS5 success reply to local client
+          // Send SOCKS5 success reply to local client; for BIND it names the peer that connected
           try {
-            const resp = Buffer.from([0x05, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
-            localSocket.write(resp);
+            localSocket.write(socks5.reply(socks5.REPLY_SUCCEEDED, msg.address, msg.port));
           } catch {}
+          pending.connected = true;
+          if (pending.onData) {
+            localSocket.removeListener('data', pending.onData);
+          }
+          if (pending.preData && pending.preData.length > 0) {
+            dataSocket.write(pending.preData);
+          }
           dataSocket.pipe(localSocket);
           localSocket.pipe(dataSocket);
         });
-        dataSocket.setNoDelay(true);
         dataSocket.on('error', (err) => {
           console.error('Data socket error (reverse-dynamic):', err.message);
           const localSocket = pending.localSocket;
@@ -228,12 +426,17 @@ class FRPClient {
         break;
       }
       case 'reverse_dynamic_failed': {
-        const { connectionId, error } = msg;
+        const { connectionId, error, reason } = msg;
+        // reason 'not_allowed': the server's destination policy refused the target
+        const code = reason === 'not_allowed' ? socks5.REPLY_NOT_ALLOWED : socks5.REPLY_GENERAL_FAILURE;
+        const association = this.socksAssociations.get(connectionId);
+        if (association) {
+          try { association.localSocket.end(socks5.reply(code)); } catch {}
+        }
         const pending = this.pendingLocalConnections.get(connectionId);
         if (pending) {
           try {
-            const resp = Buffer.from([0x05, 0x01, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
-            pending.localSocket.write(resp);
+            pending.localSocket.write(socks5.reply(code));
           } catch {}
           try { pending.localSocket.destroy(); } catch {}
           this.pendingLocalConnections.delete(connectionId);
@@ -244,13 +447,16 @@ class FRPClient {
       case 'udp_packet':
         this.handleUdpPacket(msg);
         break;
+      case 'udp_channel':
+        this.openUdpChannel(msg.connectionId);
+        break;
       case 'udp_close':
         if (msg.connectionId) {
           this.closeUdpSession(msg.connectionId, false);
         }
         break;
       case 'heartbeat_ack':
-        // Heartbeat acknowledged
+        // Only resets lastServerMessage
         break;
       default:
         console.log('Unknown message type:', msg.type);
@@ -258,8 +464,14 @@ class FRPClient {
   }
 
   handleAuthResponse(msg) {
+    if (this.handshakeTimer) {
+      clearTimeout(this.handshakeTimer);
+      this.handshakeTimer = null;
+    }
     if (msg.success) {
       console.log('Authentication successful');
+      this.serverFailures.delete(this.currentServer);
+      this.failedAttempts = 0;
 
       // Handle port forward assignments from server
       if (msg.portForwards && Array.isArray(msg.portForwards)) {
@@ -270,131 +482,33 @@ class FRPClient {
           if (dir === 'reverse') {
             console.log(`  - ${proxy.name} [reverse]: listen ${proxy.localIp}:${proxy.localPort} => ${proxy.remoteIp}:${proxy.remotePort}`);
           } else if (dir === 'dynamic') {
-            console.log(`  - ${proxy.name} [dynamic]: SOCKS5 on server port ${proxy.remotePort}`);
+            console.log(`  - ${proxy.name} [dynamic]: ${proxy.proxyType === 'http-connect' ? 'HTTP/SOCKS5 proxy' : 'SOCKS5'} on server port ${proxy.remotePort}`);
           } else if (dir === 'reverse-dynamic') {
             console.log(`  - ${proxy.name} [reverse-dynamic]: SOCKS5 on client ${proxy.localIp}:${proxy.localPort}`);
+          } else if (proxy.proxyType === 'http' || proxy.proxyType === 'https') {
+            console.log(`  - ${proxy.name} [forward]: ${proxy.localIp}:${proxy.localPort} <- ${(proxy.customDomains || []).join(', ')} (${proxy.proxyType})`);
           } else {
             console.log(`  - ${proxy.name} [forward]: ${proxy.localIp}:${proxy.localPort} -> localhost:${proxy.remotePort} (${proxy.proxyType})`);
           }
         });
 
-        // Setup reverse listeners
-        const desiredReverseNames = new Set();
-        this.assignedProxies.filter(p => p.direction === 'reverse').forEach(forward => {
-          desiredReverseNames.add(forward.name);
-          if (!this.reverseServers.has(forward.name)) {
-            const server = net.createServer((localSocket) => {
-              localSocket.setNoDelay(true);
-              if (!this.connected || !this.controlSocket) {
-                console.error('Control connection not ready; rejecting reverse connection');
-                try { localSocket.destroy(); } catch {}
-                return;
-              }
-              const connectionId = genConnectionId();
-              this.pendingLocalConnections.set(connectionId, { localSocket, proxyName: forward.name });
-              // Inform server to connect to target
-              this.controlSocket.write(JSON.stringify({ type: 'reverse_connection', proxyName: forward.name, connectionId }) + '\n');
-
-              // Cleanup if local closes early
-              localSocket.on('close', () => {
-                this.pendingLocalConnections.delete(connectionId);
-              });
-            });
-            server.listen(forward.localPort, forward.localIp || '127.0.0.1', () => {
-              console.log(`Reverse listener [${forward.name}] on ${forward.localIp}:${forward.localPort}`);
-            });
-            server.on('error', (err) => {
-              console.error(`Reverse listener error [${forward.name}]:`, err.message);
-            });
-            this.reverseServers.set(forward.name, server);
-          }
-        });
-        // Setup reverse-dynamic SOCKS servers
-        this.assignedProxies.filter(p => p.direction === 'reverse-dynamic').forEach(forward => {
-          desiredReverseNames.add(forward.name);
-          if (!this.socksServers.has(forward.name)) {
-            const server = net.createServer((localSocket) => {
-              localSocket.setNoDelay(true);
-              // Minimal SOCKS5 greet/request to extract target, then ask server to connect
-              let buf = Buffer.alloc(0);
-              let stage = 'greet';
-              let connectionId = null;
-              localSocket.on('data', (data) => {
-                buf = Buffer.concat([buf, data]);
-                if (stage === 'greet') {
-                  if (buf.length < 2) return;
-                  const ver = buf[0]; const nmethods = buf[1];
-                  const need = 2 + nmethods;
-                  if (ver !== 0x05) { try { localSocket.destroy(); } catch {}; return; }
-                  if (buf.length < need) return;
-                  buf = buf.slice(need);
-                  localSocket.write(Buffer.from([0x05, 0x00]));
-                  stage = 'request';
-                }
-                if (stage === 'request') {
-                  if (buf.length < 4) return;
-                  const ver2 = buf[0]; const cmd = buf[1]; const atyp = buf[3];
-                  if (ver2 !== 0x05) { try { localSocket.destroy(); } catch {}; return; }
-                  if (cmd !== 0x01) { try { localSocket.destroy(); } catch {}; return; }
-                  let addr = ''; let port = 0; let offset = 4;
-                  if (atyp === 0x01) {
-                    if (buf.length < offset + 4 + 2) return;
-                    addr = `${buf[offset]}.${buf[offset+1]}.${buf[offset+2]}.${buf[offset+3]}`; offset += 4;
-                  } else if (atyp === 0x03) {
-                    if (buf.length < offset + 1) return;
-                    const len = buf[offset];
-                    if (buf.length < offset + 1 + len + 2) return;
-                    addr = buf.slice(offset + 1, offset + 1 + len).toString('utf8');
-                    offset += 1 + len;
-                  } else if (atyp === 0x04) {
-                    if (buf.length < offset + 16 + 2) return;
-                    const a = []; for (let i = 0; i < 16; i+=2) { a.push(buf.slice(offset+i, offset+i+2).toString('hex')); }
-                    addr = a.join(':'); offset += 16;
-                  } else {
-                    try { localSocket.destroy(); } catch {}; return;
-                  }
-                  port = (buf[offset] << 8) + buf[offset+1];
-                  buf = buf.slice(offset + 2);
-                  connectionId = genConnectionId();
-                  this.pendingLocalConnections.set(connectionId, { localSocket, proxyName: forward.name });
-                  this.controlSocket.write(JSON.stringify({ type: 'reverse_dynamic', proxyName: forward.name, connectionId, targetHost: addr, targetPort: port }) + '\n');
-                  stage = 'wait';
-                }
-              });
-              localSocket.on('close', () => {
-                if (connectionId) this.pendingLocalConnections.delete(connectionId);
-              });
-            });
-            server.listen(forward.localPort, forward.localIp || '127.0.0.1', () => {
-              console.log(`Reverse-dynamic SOCKS [${forward.name}] on ${forward.localIp}:${forward.localPort}`);
-            });
-            server.on('error', (err) => {
-              console.error(`Reverse-dynamic SOCKS error [${forward.name}]:`, err.message);
-            });
-            this.socksServers.set(forward.name, server);
-          }
-        });
-        // Close any reverse servers no longer desired
-        for (const [name, srv] of this.reverseServers.entries()) {
-          if (!desiredReverseNames.has(name)) {
-            try { srv.close(); } catch {}
-            this.reverseServers.delete(name);
-            console.log(`Closed reverse listener [${name}]`);
-          }
-        }
-        for (const [name, srv] of this.socksServers.entries()) {
-          if (!desiredReverseNames.has(name)) {
-            try { srv.close(); } catch {}
-            this.socksServers.delete(name);
-            console.log(`Closed reverse-dynamic SOCKS [${name}]`);
-          }
-        }
+        this.syncReverseListeners();
+        this.syncDestinationPolicies();
       }
 
+      this.heartbeat = msg.heartbeat || {
+        interval: Math.min(this.config.heartbeatInterval, LEGACY_HEARTBEAT_INTERVAL),
+        timeout: this.config.heartbeatTimeout,
+      };
       this.startHeartbeat();
+      this.emit('authenticated', {
+        serverAddr: this.currentServer.serverAddr,
+        serverPort: this.currentServer.serverPort,
+        portForwards: this.assignedProxies,
+      });
     } else {
       console.error('Authentication failed:', msg.error);
-      this.controlSocket.destroy();
+      this.handleDisconnect(new Error(msg.error || 'Authentication failed'));
     }
   }
 
@@ -417,9 +531,11 @@ class FRPClient {
         if (dir === 'reverse') {
           console.log(`  - ${proxy.name} [reverse]: listen ${proxy.localIp}:${proxy.localPort} => ${proxy.remoteIp}:${proxy.remotePort}`);
         } else if (dir === 'dynamic') {
-          console.log(`  - ${proxy.name} [dynamic]: SOCKS5 on server port ${proxy.remotePort}`);
+          console.log(`  - ${proxy.name} [dynamic]: ${proxy.proxyType === 'http-connect' ? 'HTTP/SOCKS5 proxy' : 'SOCKS5'} on server port ${proxy.remotePort}`);
         } else if (dir === 'reverse-dynamic') {
           console.log(`  - ${proxy.name} [reverse-dynamic]: SOCKS5 on client ${proxy.localIp}:${proxy.localPort}`);
+        } else if (proxy.proxyType === 'http' || proxy.proxyType === 'https') {
+          console.log(`  - ${proxy.name} [forward]: ${proxy.localIp}:${proxy.localPort} <- ${(proxy.customDomains || []).join(', ')} (${proxy.proxyType})`);
         } else {
           console.log(`  - ${proxy.name} [forward]: ${proxy.localIp}:${proxy.localPort} -> localhost:${proxy.remotePort} (${proxy.proxyType})`);
         }
@@ -433,107 +549,292 @@ class FRPClient {
         console.log(`✓ Port forward configuration updated`);
       }
 
-      // Update reverse listeners
-      const desiredReverseNames = new Set();
-      this.assignedProxies.filter(p => p.direction === 'reverse').forEach(forward => {
-        desiredReverseNames.add(forward.name);
-        if (!this.reverseServers.has(forward.name)) {
-          const server = net.createServer((localSocket) => {
-            localSocket.setNoDelay(true);
-            const connectionId = genConnectionId();
-            this.pendingLocalConnections.set(connectionId, { localSocket, proxyName: forward.name });
-            this.controlSocket.write(JSON.stringify({ type: 'reverse_connection', proxyName: forward.name, connectionId }) + '\n');
-            localSocket.on('close', () => {
-              this.pendingLocalConnections.delete(connectionId);
-            });
-          });
-          server.listen(forward.localPort, forward.localIp || '127.0.0.1', () => {
-            console.log(`Reverse listener [${forward.name}] on ${forward.localIp}:${forward.localPort}`);
-          });
-          server.on('error', (err) => {
-            console.error(`Reverse listener error [${forward.name}]:`, err.message);
-          });
-          this.reverseServers.set(forward.name, server);
-        }
+      this.syncReverseListeners();
+      this.syncDestinationPolicies();
+      this.emit('config_updated', { portForwards: this.assignedProxies });
+    } else {
+      console.error('Received config_update without portForwards data');
+    }
+  }
+
+  // Start listeners for newly assigned reverse and reverse-dynamic forwards, close removed ones
+  syncReverseListeners() {
+    const desiredReverseNames = new Set();
+    this.assignedProxies.filter(p => p.direction === 'reverse').forEach(forward => {
+      desiredReverseNames.add(forward.name);
+      if (!this.reverseServers.has(forward.name)) {
+        this.reverseServers.set(forward.name, this.createReverseListener(forward));
+      }
+    });
+    this.assignedProxies.filter(p => p.direction === 'reverse-dynamic').forEach(forward => {
+      desiredReverseNames.add(forward.name);
+      if (!this.socksServers.has(forward.name)) {
+        this.socksServers.set(forward.name, this.createSocksListener(forward));
+      }
+    });
+    for (const [name, srv] of this.reverseServers.entries()) {
+      if (!desiredReverseNames.has(name)) {
+        try { srv.close(); } catch {}
+        this.reverseServers.delete(name);
+        console.log(`Closed reverse listener [${name}]`);
+        this.emitProxyClose(srv);
+      }
+    }
+    for (const [name, srv] of this.socksServers.entries()) {
+      if (!desiredReverseNames.has(name)) {
+        try { srv.close(); } catch {}
+        this.socksServers.delete(name);
+        console.log(`Closed reverse-dynamic SOCKS [${name}]`);
+        this.emitProxyClose(srv);
+      }
+    }
+  }
+
+  // proxy_close for a reverse listener that got to listen
+  emitProxyClose(server) {
+    if (server.proxyEvent) {
+      this.emit('proxy_close', server.proxyEvent);
+    }
+  }
+
+  // Destination policies of dynamic forwards, which this client dials for
+  syncDestinationPolicies() {
+    this.destinationPolicies.clear();
+    this.assignedProxies.filter(p => p.direction === 'dynamic').forEach(forward => {
+      try {
+        this.destinationPolicies.set(forward.name, new DestinationPolicy(parseDestinationList(forward.destAllow), parseDestinationList(forward.destDeny)));
+      } catch (err) {
+        console.error(`Invalid destination rules for [${forward.name}], denying all destinations:`, err.message);
+        this.destinationPolicies.set(forward.name, new DestinationPolicy([], ['*']));
+      }
+    });
+  }
+
+  // Resolves to the address to dial for a dynamic forward's target, or null when its destination
+  // policy does not allow it
+  async checkDestination(proxyName, host, port) {
+    const policy = this.destinationPolicies.get(proxyName);
+    if (!policy) {
+      return host;
+    }
+    const { allowed, address } = await policy.check(host, port);
+    if (!allowed) {
+      console.log(`Refused ${host}:${port} on dynamic [${proxyName}]: destination not allowed`);
+      return null;
+    }
+    return address;
+  }
+
+  createReverseListener(forward) {
+    const server = trackConnections(net.createServer((localSocket) => {
+      localSocket.setNoDelay(true);
+      if (!this.connected || !this.controlSocket) {
+        console.error('Control connection not ready; rejecting reverse connection');
+        try { localSocket.destroy(); } catch {}
+        return;
+      }
+      const connectionId = genConnectionId();
+      this.pendingLocalConnections.set(connectionId, { localSocket, proxyName: forward.name });
+      // Inform server to connect to target
+      this.send({ type: 'reverse_connection', proxyName: forward.name, connectionId });
+
+      // Cleanup if local closes early
+      localSocket.on('close', () => {
+        this.pendingLocalConnections.delete(connectionId);
       });
-      this.assignedProxies.filter(p => p.direction === 'reverse-dynamic').forEach(forward => {
-        desiredReverseNames.add(forward.name);
-        if (!this.socksServers.has(forward.name)) {
-          const server = net.createServer((localSocket) => {
-            localSocket.setNoDelay(true);
-            let buf = Buffer.alloc(0);
-            let stage = 'greet';
-            let connectionId = null;
-            localSocket.on('data', (data) => {
-              buf = Buffer.concat([buf, data]);
-              if (stage === 'greet') {
-                if (buf.length < 2) return;
-                const ver = buf[0]; const nmethods = buf[1];
-                const need = 2 + nmethods;
-                if (ver !== 0x05) { try { localSocket.destroy(); } catch {}; return; }
-                if (buf.length < need) return;
-                buf = buf.slice(need);
-                localSocket.write(Buffer.from([0x05, 0x00]));
-                stage = 'request';
-              }
-              if (stage === 'request') {
-                if (buf.length < 4) return;
-                const ver2 = buf[0]; const cmd = buf[1]; const atyp = buf[3];
-                if (ver2 !== 0x05) { try { localSocket.destroy(); } catch {}; return; }
-                if (cmd !== 0x01) { try { localSocket.destroy(); } catch {}; return; }
-                let addr = ''; let port = 0; let offset = 4;
-                if (atyp === 0x01) {
-                  if (buf.length < offset + 4 + 2) return;
-                  addr = `${buf[offset]}.${buf[offset+1]}.${buf[offset+2]}.${buf[offset+3]}`; offset += 4;
-                } else if (atyp === 0x03) {
-                  if (buf.length < offset + 1) return;
-                  const len = buf[offset];
-                  if (buf.length < offset + 1 + len + 2) return;
-                  addr = buf.slice(offset + 1, offset + 1 + len).toString('utf8');
-                  offset += 1 + len;
-                } else if (atyp === 0x04) {
-                  if (buf.length < offset + 16 + 2) return;
-                  const a = []; for (let i = 0; i < 16; i+=2) { a.push(buf.slice(offset+i, offset+i+2).toString('hex')); }
-                  addr = a.join(':'); offset += 16;
-                } else { try { localSocket.destroy(); } catch {}; return; }
-                port = (buf[offset] << 8) + buf[offset+1];
-                buf = buf.slice(offset + 2);
-                connectionId = genConnectionId();
-                this.pendingLocalConnections.set(connectionId, { localSocket, proxyName: forward.name });
-                this.controlSocket.write(JSON.stringify({ type: 'reverse_dynamic', proxyName: forward.name, connectionId, targetHost: addr, targetPort: port }) + '\n');
-                stage = 'wait';
-              }
-            });
-            localSocket.on('close', () => {
-              if (connectionId) this.pendingLocalConnections.delete(connectionId);
-            });
-          });
-          server.listen(forward.localPort, forward.localIp || '127.0.0.1', () => {
-            console.log(`Reverse-dynamic SOCKS [${forward.name}] on ${forward.localIp}:${forward.localPort}`);
-          });
-          server.on('error', (err) => {
-            console.error(`Reverse-dynamic SOCKS error [${forward.name}]:`, err.message);
+    }));
+    server.listen(forward.localPort, forward.localIp || '127.0.0.1', () => {
+      console.log(`Reverse listener [${forward.name}] on ${forward.localIp}:${forward.localPort}`);
+      server.proxyEvent = { name: forward.name, direction: 'reverse', listenAddress: formatHostPort(forward.localIp || '127.0.0.1', forward.localPort) };
+      this.emit('proxy_listen', server.proxyEvent);
+    });
+    server.on('error', (err) => {
+      console.error(`Reverse listener error [${forward.name}]:`, err.message);
+    });
+    return server;
+  }
+
+  // SOCKS5 handshake to extract the target, then ask the server to connect to it
+  createSocksListener(forward) {
+    const server = trackConnections(net.createServer((localSocket) => {
+      localSocket.setNoDelay(true);
+      let connectionId = null;
+      // Credentials can change through config_update while the listener keeps running
+      const current = this.assignedProxies.find(p => p.name === forward.name) || forward;
+
+      socks5.acceptConnection(localSocket, {
+        auth: current.socksAuth || null,
+        label: `Reverse-dynamic SOCKS [${forward.name}]`,
+        onRequest: (request, rest) => {
+          if (!request.host) {
+            localSocket.end(socks5.reply(socks5.REPLY_ADDRESS_NOT_SUPPORTED));
+            return;
+          }
+          if (request.cmd === socks5.CMD_UDP_ASSOCIATE) {
+            this.startSocksUdpAssociation(forward, localSocket);
+            return;
+          }
+          if (request.cmd !== socks5.CMD_CONNECT && request.cmd !== socks5.CMD_BIND) {
+            localSocket.end(socks5.reply(socks5.REPLY_COMMAND_NOT_SUPPORTED));
+            return;
+          }
+          const bind = request.cmd === socks5.CMD_BIND;
+          connectionId = genConnectionId();
+          const pending = { localSocket, proxyName: forward.name, preData: rest, bind };
+          // Hold early payload until the data connection takes over
+          pending.onData = (data) => {
+            pending.preData = Buffer.concat([pending.preData, data]);
+          };
+          localSocket.on('data', pending.onData);
+          this.pendingLocalConnections.set(connectionId, pending);
+          this.send({
+            type: bind ? 'reverse_dynamic_bind' : 'reverse_dynamic',
+            proxyName: forward.name,
+            connectionId,
+            targetHost: request.host,
+            targetPort: request.port,
           });
-          this.socksServers.set(forward.name, server);
-        }
+        },
       });
-      for (const [name, srv] of this.reverseServers.entries()) {
-        if (!desiredReverseNames.has(name)) {
-          try { srv.close(); } catch {}
-          this.reverseServers.delete(name);
-          console.log(`Closed reverse listener [${name}]`);
+      localSocket.on('close', () => {
+        if (!connectionId) return;
+        const pending = this.pendingLocalConnections.get(connectionId);
+        // A BIND still waiting for its connection keeps a listener open on the server
+        if (pending && pending.bind && !pending.connected && this.connected) {
+          this.send({ type: 'socks_bind_cancel', connectionId });
         }
+        this.pendingLocalConnections.delete(connectionId);
+      });
+    }));
+    server.listen(forward.localPort, forward.localIp || '127.0.0.1', () => {
+      console.log(`Reverse-dynamic SOCKS [${forward.name}] on ${forward.localIp}:${forward.localPort}`);
+      server.proxyEvent = { name: forward.name, direction: 'reverse-dynamic', listenAddress: formatHostPort(forward.localIp || '127.0.0.1', forward.localPort) };
+      this.emit('proxy_listen', server.proxyEvent);
+    });
+    server.on('error', (err) => {
+      console.error(`Reverse-dynamic SOCKS error [${forward.name}]:`, err.message);
+    });
+    return server;
+  }
+
+  // UDP ASSOCIATE on a reverse-dynamic forward: a relay socket next to the SOCKS port, with one UDP
+  // session to the server per destination. The server must allow it first, and the association
+  // lasts as long as the TCP connection that requested it.
+  startSocksUdpAssociation(forward, localSocket) {
+    const connectionId = genConnectionId();
+    const clientAddress = normalizeAddress(localSocket.remoteAddress);
+    const relayAddress = normalizeAddress(localSocket.localAddress);
+    const relay = dgram.createSocket(net.isIP(relayAddress) === 6 ? 'udp6' : 'udp4');
+    const sessions = new Map(); // 'sourcePort:host:port' -> UDP session connectionId
+
+    relay.on('message', (msg, rinfo) => {
+      // Only the SOCKS client that opened the association may use it
+      if (normalizeAddress(rinfo.address) !== clientAddress) {
+        return;
       }
-      for (const [name, srv] of this.socksServers.entries()) {
-        if (!desiredReverseNames.has(name)) {
-          try { srv.close(); } catch {}
-          this.socksServers.delete(name);
-          console.log(`Closed reverse-dynamic SOCKS [${name}]`);
-        }
+      const datagram = socks5.parseUdpDatagram(msg);
+      // Fragments are optional in RFC 1928 and dropped here
+      if (!datagram || datagram.frag !== 0) {
+        return;
       }
-    } else {
-      console.error('Received config_update without portForwards data');
+      const key = `${rinfo.port}:${datagram.host}:${datagram.port}`;
+      const existing = sessions.get(key);
+      if (existing && this.udpSessions.has(existing)) {
+        this.sendUdpResponse(existing, datagram.data);
+        return;
+      }
+      const sessionId = genConnectionId();
+      sessions.set(key, sessionId);
+      // Datagrams coming back from the server go to the SOCKS client through the relay
+      this.udpSessions.set(sessionId, {
+        socket: relay,
+        sharedSocket: true,
+        targetHost: rinfo.address,
+        targetPort: rinfo.port,
+        proxyName: forward.name,
+        responseHeader: socks5.udpHeader(datagram.host, datagram.port),
+      });
+      this.sendUdpOpen(sessionId, { targetHost: datagram.host, targetPort: datagram.port, proxyName: forward.name }, datagram.data);
+    });
+
+    relay.on('error', (err) => {
+      console.error(`SOCKS5 UDP relay [${forward.name}] error:`, err.message);
+      localSocket.destroy();
+    });
+
+    this.socksAssociations.set(connectionId, {
+      localSocket,
+      start: () => {
+        relay.bind(0, relayAddress, () => {
+          const { port } = relay.address();
+          console.log(`SOCKS5 UDP association on [${forward.name}] for ${clientAddress}, relay ${relayAddress}:${port}`);
+          localSocket.write(socks5.reply(socks5.REPLY_SUCCEEDED, relayAddress, port));
+        });
+      },
+    });
+    localSocket.on('close', () => {
+      this.socksAssociations.delete(connectionId);
+      for (const sessionId of sessions.values()) {
+        this.closeUdpSession(sessionId, this.connected);
+      }
+      try { relay.close(); } catch {}
+    });
+
+    this.send({ type: 'reverse_dynamic_udp', proxyName: forward.name, connectionId });
+  }
+
+  // BIND on a dynamic forward: listen on this machine for the one connection the SOCKS5 user expects.
+  // The address reported is the one this client uses to reach the server.
+  handleDynamicBind(msg) {
+    const { proxyName, connectionId } = msg;
+    const bindAddress = normalizeAddress(this.controlSocket.localAddress);
+    const listener = net.createServer();
+    const fail = (error) => {
+      this.closeBindListener(connectionId);
+      this.send({ type: 'dynamic_failed', connectionId, error });
+    };
+    const timer = setTimeout(() => {
+      console.log(`SOCKS5 BIND ${connectionId} for [${proxyName}] timed out`);
+      fail('BIND timed out');
+    }, socks5.BIND_TIMEOUT_MS);
+    this.bindListeners.set(connectionId, { listener, timer });
+
+    listener.on('error', (err) => {
+      console.error(`SOCKS5 BIND listener [${proxyName}] error:`, err.message);
+      fail(err.message);
+    });
+    listener.once('connection', (peer) => {
+      this.closeBindListener(connectionId);
+      peer.setNoDelay(true);
+      const dataSocket = this.openDataConnection(connectionId, () => {
+        // The second BIND reply travels on the data connection, ahead of the peer's bytes
+        dataSocket.write(socks5.reply(socks5.REPLY_SUCCEEDED, normalizeAddress(peer.remoteAddress), peer.remotePort));
+        dataSocket.pipe(peer);
+        peer.pipe(dataSocket);
+      });
+      dataSocket.on('error', (err) => {
+        console.error('Data socket error (dynamic BIND):', err.message);
+        peer.destroy();
+      });
+      peer.on('error', () => {
+        dataSocket.destroy();
+      });
+    });
+    listener.listen(0, bindAddress, () => {
+      const { port } = listener.address();
+      console.log(`SOCKS5 BIND for [${proxyName}] listening on ${bindAddress}:${port}`);
+      this.send({ type: 'dynamic_bind_ready', connectionId, address: bindAddress, port });
+    });
+  }
+
+  closeBindListener(connectionId) {
+    const entry = this.bindListeners.get(connectionId);
+    if (!entry) {
+      return;
     }
+    this.bindListeners.delete(connectionId);
+    clearTimeout(entry.timer);
+    try { entry.listener.close(); } catch {}
   }
 
   handleNewConnection(msg) {
@@ -549,22 +850,27 @@ class FRPClient {
     console.log(`New connection request for [${proxyName}], id: ${connectionId}`);
 
     // Establish data connection to server
-    const dataSocket = net.createConnection(
-      this.config.serverPort,
-      this.config.serverAddr,
+    const dataSocket = this.openDataConnection(
+      connectionId,
       () => {
-        // Send handshake
-        dataSocket.write(JSON.stringify({
-          type: 'data_connection',
-          connectionId: connectionId
-        }) + '\n');
-
         // Connect to local service using assigned proxy configuration
         const localSocket = net.createConnection(
           proxy.localPort,
           proxy.localIp || '127.0.0.1',
           () => {
             console.log(`Connected to local service ${proxy.localIp}:${proxy.localPort}`);
+            const connection = { connectionId, proxyName, localAddress: formatHostPort(proxy.localIp || '127.0.0.1', proxy.localPort) };
+            const openedAt = Date.now();
+            this.emit('connection_open', connection);
+            localSocket.once('close', () => {
+              // Bytes written to the local service came in through the tunnel
+              this.emit('connection_close', {
+                ...connection,
+                bytesIn: localSocket.bytesWritten,
+                bytesOut: localSocket.bytesRead,
+                durationMs: Date.now() - openedAt,
+              });
+            });
 
             // Pipe data between server and local service
             dataSocket.pipe(localSocket);
@@ -599,131 +905,294 @@ class FRPClient {
       }
     );
 
-    dataSocket.setNoDelay(true);
-
     dataSocket.on('error', (err) => {
       console.error('Failed to establish data connection:', err.message);
     });
   }
 
+  // Open the dedicated connection that carries UDP datagrams as binary frames
+  openUdpChannel(connectionId) {
+    const dataSocket = this.openDataConnection(connectionId, () => {
+      const channel = new UdpChannel(dataSocket);
+      this.udpChannel = channel;
+      channel.on('open', (id, target, payload) => {
+        this.handleUdpPayload(id, payload, target);
+      });
+      channel.on('packet', (id, payload) => {
+        this.handleUdpPayload(id, payload);
+      });
+      channel.on('session_close', (id) => {
+        this.closeUdpSession(id, false);
+      });
+      channel.on('close', () => {
+        if (this.udpChannel === channel) {
+          this.udpChannel = null;
+        }
+      });
+      console.log('UDP channel established');
+    });
+    dataSocket.on('error', (err) => {
+      console.error('Failed to establish UDP channel:', err.message);
+    });
+  }
+
   handleUdpPacket(msg) {
     const { connectionId, data, targetHost, targetPort, proxyName } = msg;
     if (!connectionId || !data) {
       return;
     }
 
+    try {
+      this.handleUdpPayload(connectionId, Buffer.from(data, 'base64'), { targetHost, targetPort, proxyName });
+    } catch (err) {
+      console.error('Failed to process udp_packet:', err.message);
+    }
+  }
+
+  // Send a datagram to the session's target, creating the session on its first packet
+  handleUdpPayload(connectionId, payload, target = {}) {
+    const { targetHost, targetPort, proxyName } = target;
+
     let session = this.udpSessions.get(connectionId);
     if (!session) {
+      // Datagrams arriving while the destination policy is checked wait for the session
+      const queued = this.pendingUdpChecks.get(connectionId);
+      if (queued) {
+        queued.push(payload);
+        return;
+      }
       if (!targetHost || !targetPort) {
         console.error(`Missing target information for UDP proxy [${proxyName || 'unknown'}]`);
         return;
       }
-      const socketType = targetHost && targetHost.includes(':') ? 'udp6' : 'udp4';
-      const socket = dgram.createSocket(socketType);
-      socket.on('message', (packet) => {
-        this.sendUdpResponse(connectionId, packet);
-      });
-      socket.on('error', (err) => {
-        console.error(`UDP session error [${proxyName || connectionId}]:`, err.message);
-        this.closeUdpSession(connectionId, true);
-      });
-      session = {
-        socket,
-        targetHost,
-        targetPort,
-        proxyName,
-      };
-      this.udpSessions.set(connectionId, session);
+      if (this.destinationPolicies.has(proxyName)) {
+        this.pendingUdpChecks.set(connectionId, [payload]);
+        this.checkDestination(proxyName, targetHost, targetPort)
+          .catch((err) => {
+            console.error(`Failed to resolve ${targetHost} for dynamic [${proxyName}]:`, err.message);
+            return null;
+          })
+          .then((address) => {
+            const payloads = this.pendingUdpChecks.get(connectionId);
+            this.pendingUdpChecks.delete(connectionId);
+            if (!payloads) {
+              return;
+            }
+            if (!address) {
+              this.sendUdpClose(connectionId);
+              return;
+            }
+            const checked = this.createUdpSession(connectionId, address, targetPort, proxyName);
+            payloads.forEach(data => this.sendUdpDatagram(connectionId, checked, data));
+          });
+        return;
+      }
+      session = this.createUdpSession(connectionId, targetHost, targetPort, proxyName);
     }
+    this.sendUdpDatagram(connectionId, session, payload);
+  }
 
-    try {
-      const payload = Buffer.from(data, 'base64');
-      session.socket.send(payload, session.targetPort, session.targetHost, (err) => {
-        if (err) {
-          console.error(`Failed to send UDP payload for ${proxyName || connectionId}:`, err.message);
-        }
-      });
-    } catch (err) {
-      console.error('Failed to process udp_packet:', err.message);
+  createUdpSession(connectionId, targetHost, targetPort, proxyName) {
+    const socketType = targetHost && targetHost.includes(':') ? 'udp6' : 'udp4';
+    const socket = dgram.createSocket(socketType);
+    socket.on('message', (packet) => {
+      this.sendUdpResponse(connectionId, packet);
+    });
+    socket.on('error', (err) => {
+      console.error(`UDP session error [${proxyName || connectionId}]:`, err.message);
+      this.closeUdpSession(connectionId, true);
+    });
+    const session = {
+      socket,
+      targetHost,
+      targetPort,
+      proxyName,
+    };
+    this.udpSessions.set(connectionId, session);
+    return session;
+  }
+
+  sendUdpDatagram(connectionId, session, payload) {
+    // Reverse-dynamic SOCKS5 associations tell the SOCKS client which destination answered
+    const datagram = session.responseHeader ? Buffer.concat([session.responseHeader, payload]) : payload;
+    session.socket.send(datagram, session.targetPort, session.targetHost, (err) => {
+      if (err) {
+        console.error(`Failed to send UDP payload for ${session.proxyName || connectionId}:`, err.message);
+      }
+    });
+  }
+
+  // First datagram of a session the client opens itself (reverse-dynamic SOCKS5 UDP associations)
+  sendUdpOpen(connectionId, target, payload) {
+    if (this.udpChannel && UdpChannel.canOpen(connectionId, target)) {
+      this.udpChannel.sendOpen(connectionId, target, payload);
+      return;
+    }
+    if (!this.controlSocket || this.controlSocket.destroyed) {
+      return;
     }
+    this.send({
+      type: 'udp_packet',
+      connectionId,
+      proxyName: target.proxyName,
+      targetHost: target.targetHost,
+      targetPort: target.targetPort,
+      data: payload.toString('base64'),
+    });
   }
 
   sendUdpResponse(connectionId, packet) {
+    if (this.udpChannel) {
+      this.udpChannel.sendPacket(connectionId, packet);
+      return;
+    }
     if (!this.controlSocket || this.controlSocket.destroyed) {
       return;
     }
     try {
-      this.controlSocket.write(
-        JSON.stringify({
-          type: 'udp_packet_response',
-          connectionId,
-          data: packet.toString('base64'),
-        }) + '\n'
-      );
+      this.send({
+        type: 'udp_packet_response',
+        connectionId,
+        data: packet.toString('base64'),
+      });
     } catch (err) {
       console.error('Failed to send UDP response to server:', err.message);
     }
   }
 
   closeUdpSession(connectionId, notifyServer = false) {
+    this.pendingUdpChecks.delete(connectionId);
     const session = this.udpSessions.get(connectionId);
     if (!session) {
       return;
     }
     this.udpSessions.delete(connectionId);
-    try {
-      session.socket.close();
-    } catch {}
-    if (notifyServer && this.controlSocket && !this.controlSocket.destroyed) {
+    if (!session.sharedSocket) {
       try {
-        this.controlSocket.write(JSON.stringify({ type: 'udp_close', connectionId }) + '\n');
+        session.socket.close();
+      } catch {}
+    }
+    if (notifyServer) {
+      this.sendUdpClose(connectionId);
+    }
+  }
+
+  sendUdpClose(connectionId) {
+    if (this.udpChannel) {
+      this.udpChannel.sendClose(connectionId);
+    } else if (this.controlSocket && !this.controlSocket.destroyed) {
+      try {
+        this.send({ type: 'udp_close', connectionId });
       } catch {}
     }
   }
 
   cleanupUdpSessions() {
+    for (const association of this.socksAssociations.values()) {
+      association.localSocket.destroy();
+    }
     for (const connectionId of this.udpSessions.keys()) {
       this.closeUdpSession(connectionId, false);
     }
+    this.pendingUdpChecks.clear();
+    if (this.udpChannel) {
+      this.udpChannel.destroy();
+      this.udpChannel = null;
+    }
   }
 
+  // Send heartbeats at the negotiated interval and give up on the connection when the server has
+  // been silent for the negotiated timeout
   startHeartbeat() {
     if (this.heartbeatTimer) {
       clearInterval(this.heartbeatTimer);
     }
 
+    const { interval, timeout } = this.heartbeat;
     this.heartbeatTimer = setInterval(() => {
-      if (this.connected && this.controlSocket) {
-        this.controlSocket.write(JSON.stringify({ type: 'heartbeat' }) + '\n');
+      if (!this.connected || !this.controlSocket) {
+        return;
+      }
+      if (Date.now() - this.lastServerMessage > timeout * 1000) {
+        this.controlSocket.destroy(new Error(`No heartbeat response within ${timeout} seconds`));
+        return;
       }
-    }, 30000); // Send heartbeat every 30 seconds
+      this.send({ type: 'heartbeat' });
+    }, interval * 1000);
+  }
+
+  // Untried servers get the initial delay; each time every server has failed in a row the delay is
+  // multiplied, up to maxDelay. Jitter spreads out clients that lost the same server.
+  reconnectDelay() {
+    const { initialDelay, maxDelay, multiplier, jitter } = this.config.reconnect;
+    const serverCount = this.config.servers.length;
+    const rounds = this.failedAttempts % serverCount === 0 ? this.failedAttempts / serverCount - 1 : 0;
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(multiplier, rounds));
+    return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)) * 1000);
   }
 
-  handleDisconnect() {
+  handleDisconnect(error) {
     this.connected = false;
+    if (this.handshakeTimer) {
+      clearTimeout(this.handshakeTimer);
+      this.handshakeTimer = null;
+    }
+    // The next connection prefers the other servers for a while
+    this.serverFailures.set(this.currentServer, Date.now());
 
     this.cleanupUdpSessions();
+    for (const connectionId of this.bindListeners.keys()) {
+      this.closeBindListener(connectionId);
+    }
 
     if (this.heartbeatTimer) {
       clearInterval(this.heartbeatTimer);
       this.heartbeatTimer = null;
     }
 
+    if (this.muxSession) {
+      this.muxSession.destroy();
+      this.muxSession = null;
+    }
+
     if (this.controlSocket) {
       this.controlSocket.destroy();
       this.controlSocket = null;
     }
 
-    // Reconnect after 5 seconds
-    console.log('Reconnecting in 5 seconds...');
+    const event = {
+      serverAddr: this.currentServer.serverAddr,
+      serverPort: this.currentServer.serverPort,
+      error: error ? error.message : null,
+      reconnectDelay: null,
+    };
+    if (this.stopped) {
+      this.emit('disconnected', event);
+      return;
+    }
+
+    // Forwards are set up again from whatever the server that accepts us assigns
+    this.failedAttempts++;
+    const delay = this.reconnectDelay();
+    event.reconnectDelay = delay;
+    this.emit('disconnected', event);
+    console.log(`Reconnecting in ${(delay / 1000).toFixed(1)}s...`);
     this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
       this.connect();
-    }, 5000);
+    }, delay);
   }
 
-  stop() {
+  // Resolves once the control connection and the reverse listeners are closed
+  async stop() {
+    this.stopped = true;
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.handshakeTimer) {
+      clearTimeout(this.handshakeTimer);
     }
 
     if (this.heartbeatTimer) {
@@ -731,10 +1200,34 @@ class FRPClient {
     }
 
     this.cleanupUdpSessions();
+    for (const connectionId of this.bindListeners.keys()) {
+      this.closeBindListener(connectionId);
+    }
 
-    if (this.controlSocket) {
-      this.controlSocket.end();
+    const closing = [];
+    for (const servers of [this.reverseServers, this.socksServers]) {
+      for (const server of servers.values()) {
+        closing.push(closeServer(server));
+        this.emitProxyClose(server);
+      }
+      servers.clear();
+    }
+
+    if (this.muxSession) {
+      this.muxSession.destroy();
+      this.muxSession = null;
+    }
+
+    const controlSocket = this.controlSocket;
+    if (controlSocket && !controlSocket.closed) {
+      closing.push(new Promise(resolve => controlSocket.once('close', resolve)));
+      if (controlSocket.connecting) {
+        controlSocket.destroy();
+      } else {
+        controlSocket.end();
+      }
     }
+    await Promise.all(closing);
   }
 }
 
@@ -1,5 +1,20 @@
 const fs = require('fs');
 const yaml = require('js-yaml');
+const { normalizeDeclaredProxy, describeDeclaredProxy } = require('./declared');
+const { parsePortRanges, parseBindAddress } = require('./acl');
+const { parseRetention } = require('./traffic');
+
+// Optional positive number of seconds; fallback when unset
+function parseSeconds(value, fallback, option) {
+  if (typeof value === 'undefined' || value === null) {
+    return fallback;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`${option} must be a positive number of seconds`);
+  }
+  return seconds;
+}
 
 class ConfigLoader {
   static loadYAML(filePath) {
@@ -13,22 +28,119 @@ class ConfigLoader {
     }
   }
 
+  static readTLSFile(filePath, option) {
+    try {
+      return fs.readFileSync(filePath);
+    } catch (err) {
+      throw new Error(`Failed to read ${option} (${filePath}): ${err.message}`);
+    }
+  }
+
   static validateClientConfig(config) {
-    if (!config.serverAddr) {
-      throw new Error('serverAddr is required');
+    // Either a single serverAddr/serverPort or a list of servers to fail over between. Entries
+    // fall back to the top-level serverPort and token.
+    const servers = config.servers || [{}];
+    if (!Array.isArray(servers) || servers.length === 0) {
+      throw new Error('servers must be a non-empty list');
+    }
+    config.servers = servers.map((server, index) => {
+      const label = config.servers ? `servers[${index}]: ` : '';
+      const serverAddr = server.serverAddr || (config.servers ? null : config.serverAddr);
+      const serverPort = server.serverPort || config.serverPort;
+      if (!serverAddr) {
+        throw new Error(`${label}serverAddr is required`);
+      }
+      if (!serverPort) {
+        throw new Error(`${label}serverPort is required`);
+      }
+      if (!server.token && !config.token) {
+        throw new Error(`${label}token is required for authentication`);
+      }
+      const priority = typeof server.priority === 'undefined' ? index : Number(server.priority);
+      if (!Number.isFinite(priority)) {
+        throw new Error(`${label}priority must be a number`);
+      }
+      return {
+        // IPv6 addresses may be written as in URLs, e.g. "[2001:db8::1]"
+        serverAddr: serverAddr.toString().replace(/^\[(.*)\]$/, '$1'),
+        serverPort: Number(serverPort),
+        token: server.token || config.token,
+        priority,
+        serverName: server.serverName || null,
+      };
+    });
+
+    // priority: always the most preferred healthy server; round-robin: the next one on each connect
+    config.serverSelection = config.serverSelection || 'priority';
+    if (!['priority', 'round-robin'].includes(config.serverSelection)) {
+      throw new Error('serverSelection must be priority or round-robin');
     }
 
-    if (!config.serverPort) {
-      throw new Error('serverPort is required');
+    // Sent to the server in the handshake; the server may lower the timeout or raise the interval
+    config.heartbeatInterval = parseSeconds(config.heartbeatInterval, 20, 'heartbeatInterval');
+    config.heartbeatTimeout = parseSeconds(config.heartbeatTimeout, 60, 'heartbeatTimeout');
+    if (config.heartbeatTimeout < config.heartbeatInterval * 2) {
+      throw new Error('heartbeatTimeout must be at least twice heartbeatInterval');
     }
 
-    if (!config.token) {
-      throw new Error('token is required for authentication');
+    // Delay before reconnecting grows by multiplier each time every server has failed, up to maxDelay
+    const reconnect = config.reconnect || {};
+    config.reconnect = {
+      initialDelay: parseSeconds(reconnect.initialDelay, 1, 'reconnect.initialDelay'),
+      maxDelay: parseSeconds(reconnect.maxDelay, 60, 'reconnect.maxDelay'),
+      multiplier: parseSeconds(reconnect.multiplier, 2, 'reconnect.multiplier'),
+      jitter: typeof reconnect.jitter === 'undefined' ? 0.2 : Number(reconnect.jitter),
+    };
+    if (config.reconnect.multiplier < 1) {
+      throw new Error('reconnect.multiplier must be at least 1');
     }
+    if (!(config.reconnect.jitter >= 0 && config.reconnect.jitter <= 1)) {
+      throw new Error('reconnect.jitter must be between 0 and 1');
+    }
+    config.reconnect.maxDelay = Math.max(config.reconnect.maxDelay, config.reconnect.initialDelay);
 
-    // Proxies are now optional - they come from the server
-    if (config.proxies && config.proxies.length > 0) {
-      console.warn('Warning: proxies defined in client config will be ignored. Port forwards are managed server-side.');
+    // Proxies normally come from the server; with declareProxies the client sends its own for the
+    // server to merge, if the client is allowed to declare forwards
+    if (config.declareProxies) {
+      if (!Array.isArray(config.proxies)) {
+        throw new Error('proxies must be a list when declareProxies is enabled');
+      }
+      const names = new Set();
+      config.proxies = config.proxies.map((proxy) => {
+        const fields = normalizeDeclaredProxy(proxy);
+        if (names.has(fields.name)) {
+          throw new Error(`Duplicate proxy name: ${fields.name}`);
+        }
+        names.add(fields.name);
+        return describeDeclaredProxy(fields);
+      });
+    } else if (config.proxies && config.proxies.length > 0) {
+      console.warn('Warning: proxies defined in client config will be ignored. Port forwards are managed server-side; set declareProxies: true to send them to the server.');
+    }
+
+    // Optional TLS for control and data connections
+    if (config.tls && config.tls.enabled) {
+      if (config.tls.caFile) {
+        config.tls.ca = ConfigLoader.readTLSFile(config.tls.caFile, 'tls.caFile');
+      }
+
+      if (config.tls.fingerprint) {
+        // Accept "AB:CD:..." as printed by openssl as well as plain hex
+        const fingerprint = config.tls.fingerprint.toString().replace(/:/g, '').toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(fingerprint)) {
+          throw new Error('tls.fingerprint must be a SHA-256 certificate fingerprint');
+        }
+        config.tls.fingerprint = fingerprint;
+      }
+
+      // Client certificate is only needed when the server requires one
+      if (!!config.tls.certFile !== !!config.tls.keyFile) {
+        throw new Error('tls.certFile and tls.keyFile must be set together');
+      }
+      if (config.tls.certFile) {
+        config.tls.cert = ConfigLoader.readTLSFile(config.tls.certFile, 'tls.certFile');
+        config.tls.key = ConfigLoader.readTLSFile(config.tls.keyFile, 'tls.keyFile');
+      }
     }
 
     return config;
@@ -66,6 +178,12 @@ class ConfigLoader {
       }
     }
 
+    // Prometheus /metrics on the web UI port; with a token, scrapers send it as a bearer token
+    config.metrics = {
+      enabled: Boolean(config.metrics && config.metrics.enabled),
+      token: config.metrics && config.metrics.token ? String(config.metrics.token) : null,
+    };
+
     // Database path
     if (!config.databasePath) {
       config.databasePath = './frp.db';
@@ -76,6 +194,47 @@ class ConfigLoader {
       config.trafficFlushInterval = 30; // Default: 30 seconds
     }
 
+    // Days of traffic history kept per resolution (minute, hour and day rollups, legacy raw flushes)
+    config.trafficRetention = parseRetention(config.trafficRetention);
+
+    // Heartbeat timeout for clients that don't negotiate one, and the bounds for those that do
+    config.heartbeatTimeout = parseSeconds(config.heartbeatTimeout, 40, 'heartbeatTimeout');
+    config.minHeartbeatInterval = parseSeconds(config.minHeartbeatInterval, 5, 'minHeartbeatInterval');
+    config.maxHeartbeatTimeout = parseSeconds(config.maxHeartbeatTimeout, 300, 'maxHeartbeatTimeout');
+    if (config.maxHeartbeatTimeout < config.minHeartbeatInterval * 2) {
+      throw new Error('maxHeartbeatTimeout must be at least twice minHeartbeatInterval');
+    }
+
+    // Address the control port listens on; all interfaces (dual-stack) when unset
+    config.bindAddr = parseBindAddress(config.bindAddr);
+
+    // Default address proxy listeners bind to; all interfaces (dual-stack) when unset
+    config.proxyBindAddr = parseBindAddress(config.proxyBindAddr);
+
+    // Ports handed out to forwards created with remote_port "auto", e.g. "20000-20999" or a list of ranges
+    if (config.portPool) {
+      const pool = Array.isArray(config.portPool) ? config.portPool.join(',') : String(config.portPool);
+      try {
+        config.portPool = parsePortRanges(pool);
+      } catch (err) {
+        throw new Error(`Invalid portPool: ${err.message}`);
+      }
+    }
+
+    // Optional TLS for control and data connections
+    if (config.tls && config.tls.enabled) {
+      if (!config.tls.certFile || !config.tls.keyFile) {
+        throw new Error('tls.certFile and tls.keyFile are required when TLS is enabled');
+      }
+      config.tls.cert = ConfigLoader.readTLSFile(config.tls.certFile, 'tls.certFile');
+      config.tls.key = ConfigLoader.readTLSFile(config.tls.keyFile, 'tls.keyFile');
+
+      // Setting a CA makes client certificates mandatory
+      if (config.tls.caFile) {
+        config.tls.ca = ConfigLoader.readTLSFile(config.tls.caFile, 'tls.caFile');
+      }
+    }
+
     return config;
   }
 }
@@ -1,6 +1,21 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const crypto = require('crypto');
+const { parsePortRanges, formatPortRanges, portInRanges, bindAddressesOverlap } = require('./acl');
+const { RESOLUTIONS } = require('./traffic');
+
+// strftime formats that truncate a timestamp to the start of its rollup bucket
+const BUCKET_FORMATS = {
+  minute: '%Y-%m-%d %H:%M:00',
+  hour: '%Y-%m-%d %H:00:00',
+  day: '%Y-%m-%d 00:00:00',
+};
+
+// Optional port forward columns accepted by createPortForward and updatePortForward
+const PORT_FORWARD_EXTRA_FIELDS = ['custom_domains', 'rate_limit_up', 'rate_limit_down', 'max_connections', 'max_connection_rate', 'allow_cidrs', 'deny_cidrs', 'socks_username', 'socks_password_hash', 'dest_allow', 'dest_deny', 'client_declared', 'bind_address'];
+
+// Optional client columns accepted by createClient and updateClient
+const CLIENT_EXTRA_FIELDS = ['rate_limit_up', 'rate_limit_down', 'max_connections', 'allow_declared_forwards', 'declared_ports', 'allowed_ports', 'max_forwards', 'allowed_proxy_types', 'allowed_directions'];
 
 class Database {
   constructor(dbPath = './frp.db') {
@@ -19,8 +34,10 @@ class Database {
         }
         console.log(`Connected to database at ${this.dbPath}`);
         try {
+          const existing = await this.getTableNames();
           await this.createTables();
-          await this.migrateSchema();
+          const created = new Set([...await this.getTableNames()].filter(name => !existing.has(name)));
+          await this.migrateSchema(created);
           resolve();
         } catch (e) {
           reject(e);
@@ -37,6 +54,15 @@ class Database {
         name TEXT NOT NULL UNIQUE,
         token TEXT NOT NULL UNIQUE,
         description TEXT,
+        rate_limit_up INTEGER DEFAULT 0,
+        rate_limit_down INTEGER DEFAULT 0,
+        max_connections INTEGER DEFAULT 0,
+        allow_declared_forwards INTEGER DEFAULT 0,
+        declared_ports TEXT,
+        allowed_ports TEXT,
+        max_forwards INTEGER DEFAULT 0,
+        allowed_proxy_types TEXT,
+        allowed_directions TEXT,
         enabled INTEGER DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -52,6 +78,19 @@ class Database {
         proxy_type TEXT NOT NULL DEFAULT 'tcp',
         direction TEXT NOT NULL DEFAULT 'forward',
         remote_ip TEXT DEFAULT '127.0.0.1',
+        custom_domains TEXT,
+        rate_limit_up INTEGER DEFAULT 0,
+        rate_limit_down INTEGER DEFAULT 0,
+        max_connections INTEGER DEFAULT 0,
+        max_connection_rate INTEGER DEFAULT 0,
+        allow_cidrs TEXT,
+        deny_cidrs TEXT,
+        socks_username TEXT,
+        socks_password_hash TEXT,
+        dest_allow TEXT,
+        dest_deny TEXT,
+        client_declared INTEGER DEFAULT 0,
+        bind_address TEXT,
         enabled INTEGER DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -74,6 +113,44 @@ class Database {
 
       CREATE INDEX IF NOT EXISTS idx_traffic_stats_port_forward ON traffic_stats(port_forward_id);
       CREATE INDEX IF NOT EXISTS idx_traffic_stats_timestamp ON traffic_stats(timestamp);
+
+      -- Traffic summed per port forward into minute, hour and day buckets
+      CREATE TABLE IF NOT EXISTS traffic_rollups (
+        port_forward_id INTEGER NOT NULL,
+        resolution TEXT NOT NULL,
+        bucket DATETIME NOT NULL,
+        bytes_in INTEGER NOT NULL DEFAULT 0,
+        bytes_out INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (port_forward_id, resolution, bucket)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_traffic_rollups_bucket ON traffic_rollups(resolution, bucket);
+
+      -- All-time traffic per port forward, never pruned by retention
+      CREATE TABLE IF NOT EXISTS traffic_totals (
+        port_forward_id INTEGER PRIMARY KEY,
+        bytes_in INTEGER NOT NULL DEFAULT 0,
+        bytes_out INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (port_forward_id) REFERENCES port_forwards(id) ON DELETE CASCADE
+      );
+
+      -- Administrative changes made through the web UI and API
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        target_name TEXT,
+        changes TEXT,
+        source_ip TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
     `;
 
     return new Promise((resolve, reject) => {
@@ -95,16 +172,29 @@ class Database {
   }
 
   // Client operations
-  async createClient(name, description = '') {
+  // extra holds optional client settings keyed by column name (see CLIENT_EXTRA_FIELDS)
+  async createClient(name, description = '', extra = {}) {
     const token = this.generateToken();
-    const sql = 'INSERT INTO clients (name, token, description) VALUES (?, ?, ?)';
+    const columns = ['name', 'token', 'description'];
+    const values = [name, token, description];
+    const extraFields = {};
+
+    for (const [key, value] of Object.entries(extra || {})) {
+      if (CLIENT_EXTRA_FIELDS.includes(key) && typeof value !== 'undefined') {
+        columns.push(key);
+        values.push(value);
+        extraFields[key] = value;
+      }
+    }
+
+    const sql = `INSERT INTO clients (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
 
     return new Promise((resolve, reject) => {
-      this.db.run(sql, [name, token, description], function(err) {
+      this.db.run(sql, values, function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve({ id: this.lastID, name, token, description });
+          resolve({ id: this.lastID, name, token, description, ...extraFields });
         }
       });
     });
@@ -144,7 +234,7 @@ class Database {
   }
 
   async updateClient(id, updates) {
-    const allowedFields = ['name', 'description', 'enabled'];
+    const allowedFields = ['name', 'description', 'enabled', ...CLIENT_EXTRA_FIELDS];
     const fields = [];
     const values = [];
 
@@ -184,14 +274,29 @@ class Database {
   }
 
   // Port forward operations
-  async createPortForward(clientId, name, remotePort, localIp, localPort, proxyType = 'tcp', direction = 'forward', remoteIp = '127.0.0.1') {
+  // extra holds optional per-forward settings keyed by column name (see PORT_FORWARD_EXTRA_FIELDS)
+  async createPortForward(clientId, name, remotePort, localIp, localPort, proxyType = 'tcp', direction = 'forward', remoteIp = '127.0.0.1', extra = {}) {
+    await this.checkClientPolicy(clientId, { remote_port: remotePort, proxy_type: proxyType, direction });
+
+    const columns = ['client_id', 'name', 'remote_port', 'local_ip', 'local_port', 'proxy_type', 'direction', 'remote_ip'];
+    const values = [clientId, name, remotePort, localIp, localPort, proxyType, direction, remoteIp];
+    const extraFields = {};
+
+    for (const [key, value] of Object.entries(extra || {})) {
+      if (PORT_FORWARD_EXTRA_FIELDS.includes(key) && typeof value !== 'undefined') {
+        columns.push(key);
+        values.push(value);
+        extraFields[key] = value;
+      }
+    }
+
     const sql = `
-      INSERT INTO port_forwards (client_id, name, remote_port, local_ip, local_port, proxy_type, direction, remote_ip)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO port_forwards (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
     `;
 
     return new Promise((resolve, reject) => {
-      this.db.run(sql, [clientId, name, remotePort, localIp, localPort, proxyType, direction, remoteIp], function(err) {
+      this.db.run(sql, values, function(err) {
         if (err) {
           reject(err);
         } else {
@@ -204,7 +309,8 @@ class Database {
             local_port: localPort,
             proxy_type: proxyType,
             direction,
-            remote_ip: remoteIp
+            remote_ip: remoteIp,
+            ...extraFields
           });
         }
       });
@@ -233,6 +339,18 @@ class Database {
     });
   }
 
+  // All port forwards of a client, disabled ones included
+  async getAllPortForwardsByClient(clientId) {
+    const sql = 'SELECT * FROM port_forwards WHERE client_id = ? ORDER BY remote_port';
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [clientId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
   async getPortForwardsByToken(token) {
     const sql = `
       SELECT pf.*
@@ -266,8 +384,30 @@ class Database {
     });
   }
 
+  // Enabled virtual host forwards of the given proxy type, used for domain routing and conflict checks
+  async getVhostPortForwards(proxyType) {
+    const sql = `
+      SELECT pf.*, c.name as client_name
+      FROM port_forwards pf
+      JOIN clients c ON pf.client_id = c.id
+      WHERE pf.proxy_type = ? AND pf.enabled = 1 AND c.enabled = 1
+    `;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [proxyType], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
   async updatePortForward(id, updates) {
-    const allowedFields = ['name', 'remote_port', 'local_ip', 'local_port', 'proxy_type', 'direction', 'remote_ip', 'enabled'];
+    const current = await this.getPortForward(id);
+    if (current) {
+      await this.checkClientPolicy(current.client_id, updates, current);
+    }
+
+    const allowedFields = ['name', 'remote_port', 'local_ip', 'local_port', 'proxy_type', 'direction', 'remote_ip', 'enabled', ...PORT_FORWARD_EXTRA_FIELDS];
     const fields = [];
     const values = [];
 
@@ -295,6 +435,50 @@ class Database {
     });
   }
 
+  // Enforce the client's port forward policy: allowed remote port ranges, maximum number of forwards,
+  // allowed proxy types and directions (each unrestricted when empty). On updates only values that
+  // change are checked, so tightening a policy leaves existing forwards editable. Throws on violations.
+  async checkClientPolicy(clientId, fields, current = null) {
+    const client = await this.getClient(clientId);
+    if (!client) {
+      return;
+    }
+    const merged = { ...(current || {}), ...fields };
+    const changed = (key) => typeof fields[key] !== 'undefined' && (!current || String(current[key]) !== String(fields[key]));
+    const list = (value) => (value ? value.split(',') : []);
+
+    if (!current && client.max_forwards) {
+      const count = await new Promise((resolve, reject) => {
+        this.db.get('SELECT COUNT(*) as count FROM port_forwards WHERE client_id = ?', [clientId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row.count);
+        });
+      });
+      if (count >= client.max_forwards) {
+        throw new Error(`Client ${client.name} already has its maximum of ${client.max_forwards} port forwards`);
+      }
+    }
+
+    const directions = list(client.allowed_directions);
+    const direction = merged.direction || 'forward';
+    if (changed('direction') && directions.length > 0 && !directions.includes(direction)) {
+      throw new Error(`Direction ${direction} is not allowed for client ${client.name} (allowed: ${directions.join(', ')})`);
+    }
+    const proxyTypes = list(client.allowed_proxy_types);
+    const proxyType = merged.proxy_type || 'tcp';
+    if (changed('proxy_type') && proxyTypes.length > 0 && !proxyTypes.includes(proxyType)) {
+      throw new Error(`Proxy type ${proxyType} is not allowed for client ${client.name} (allowed: ${proxyTypes.join(', ')})`);
+    }
+
+    // Only ports the server listens on; virtual hosts share the vhost port and reverse forwards dial out
+    const ranges = parsePortRanges(client.allowed_ports);
+    const listens = ['forward', 'dynamic'].includes(direction) && !['http', 'https'].includes(proxyType);
+    const remotePort = parseInt(merged.remote_port, 10);
+    if ((changed('remote_port') || changed('direction') || changed('proxy_type')) && listens && !portInRanges(remotePort, ranges)) {
+      throw new Error(`Remote port ${merged.remote_port} is outside the ports allowed for client ${client.name} (${formatPortRanges(ranges)})`);
+    }
+  }
+
   async deletePortForward(id) {
     const sql = 'DELETE FROM port_forwards WHERE id = ?';
 
@@ -307,9 +491,12 @@ class Database {
   }
 
   // Check if remote port is available
-  async isRemotePortAvailable(remotePort, excludeId = null) {
-    // Enforce uniqueness for directions where server listens on remote_port (forward, dynamic)
-    let sql = "SELECT COUNT(*) as count FROM port_forwards WHERE remote_port = ? AND enabled = 1 AND direction IN ('forward','dynamic')";
+  // bindAddress is the address the new listener would use; rows without a bind_address listen on
+  // defaultBindAddress (the server's proxyBindAddr, all interfaces when unset)
+  async isRemotePortAvailable(remotePort, excludeId = null, bindAddress = null, defaultBindAddress = null) {
+    // Enforce uniqueness for directions where server listens on remote_port (forward, dynamic).
+    // Virtual host forwards share the vhost port and are routed by domain instead.
+    let sql = "SELECT bind_address FROM port_forwards WHERE remote_port = ? AND enabled = 1 AND direction IN ('forward','dynamic') AND proxy_type NOT IN ('http','https')";
     const params = [remotePort];
 
     if (excludeId) {
@@ -318,9 +505,20 @@ class Database {
     }
 
     return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(!rows.some(row => bindAddressesOverlap(row.bind_address || defaultBindAddress, bindAddress || defaultBindAddress)));
+      });
+    });
+  }
+
+  // Remote ports stored for forwards the server listens on, including disabled ones so they can be re-enabled
+  async getUsedRemotePorts() {
+    const sql = "SELECT DISTINCT remote_port FROM port_forwards WHERE direction IN ('forward','dynamic') AND proxy_type NOT IN ('http','https')";
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, [], (err, rows) => {
         if (err) reject(err);
-        else resolve(row.count === 0);
+        else resolve(new Set(rows.map(row => row.remote_port)));
       });
     });
   }
@@ -344,42 +542,67 @@ class Database {
   }
 
   // Traffic statistics methods
+  // Each flush is added to the all-time totals and to the minute, hour and day rollups in one
+  // transaction, so they never disagree
   async updatePortForwardTraffic(portForwardId, bytesIn, bytesOut) {
+    // exec takes no parameters; the values are inlined, so only integers get through
+    const [id, inBytes, outBytes] = [portForwardId, bytesIn, bytesOut].map(Number);
+    if (![id, inBytes, outBytes].every(Number.isSafeInteger)) {
+      throw new Error(`Invalid traffic update for port forward ${portForwardId}`);
+    }
+    const rollups = Object.entries(BUCKET_FORMATS)
+      .map(([resolution, format]) => `(${id}, '${resolution}', strftime('${format}', 'now'), ${inBytes}, ${outBytes}, CURRENT_TIMESTAMP)`);
+    // One exec call, so no other statement on this connection runs inside the transaction
     const sql = `
-      INSERT INTO traffic_stats (port_forward_id, bytes_in, bytes_out, timestamp)
-      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      BEGIN TRANSACTION;
+      INSERT INTO traffic_totals (port_forward_id, bytes_in, bytes_out, updated_at)
+      VALUES (${id}, ${inBytes}, ${outBytes}, CURRENT_TIMESTAMP)
+      ON CONFLICT (port_forward_id) DO UPDATE SET
+        bytes_in = bytes_in + excluded.bytes_in,
+        bytes_out = bytes_out + excluded.bytes_out,
+        updated_at = excluded.updated_at;
+      INSERT INTO traffic_rollups (port_forward_id, resolution, bucket, bytes_in, bytes_out, updated_at)
+      VALUES ${rollups.join(', ')}
+      ON CONFLICT (port_forward_id, resolution, bucket) DO UPDATE SET
+        bytes_in = bytes_in + excluded.bytes_in,
+        bytes_out = bytes_out + excluded.bytes_out,
+        updated_at = excluded.updated_at;
+      COMMIT;
     `;
 
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [portForwardId, bytesIn, bytesOut], function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID });
+    await new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (!err) return resolve();
+        // exec stops at the failing statement with the transaction still open
+        this.db.run('ROLLBACK', () => reject(err));
       });
     });
   }
 
-  async getPortForwardTraffic(portForwardId, since = null) {
+  // All-time totals, or totals from since (a Date) on from the rollups of the given resolution,
+  // counted from the start of the bucket since falls in
+  async getPortForwardTraffic(portForwardId, since = null, resolution = 'minute') {
     let sql = `
       SELECT
-        SUM(bytes_in) as total_bytes_in,
-        SUM(bytes_out) as total_bytes_out,
-        SUM(bytes_in + bytes_out) as total_bytes,
+        COALESCE(SUM(bytes_in), 0) as total_bytes_in,
+        COALESCE(SUM(bytes_out), 0) as total_bytes_out,
+        COALESCE(SUM(bytes_in + bytes_out), 0) as total_bytes,
         COUNT(*) as record_count,
-        MAX(timestamp) as last_activity
-      FROM traffic_stats
+        MAX(updated_at) as last_activity
+      FROM ${since ? 'traffic_rollups' : 'traffic_totals'}
       WHERE port_forward_id = ?
     `;
     const params = [portForwardId];
 
     if (since) {
-      sql += ' AND timestamp >= ?';
-      params.push(since);
+      sql += ' AND resolution = ? AND bucket >= strftime(?, ?)';
+      params.push(resolution, BUCKET_FORMATS[resolution], since.toISOString());
     }
 
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) reject(err);
-        else resolve(row || { total_bytes_in: 0, total_bytes_out: 0, total_bytes: 0, record_count: 0, last_activity: null });
+        else resolve(row);
       });
     });
   }
@@ -391,14 +614,13 @@ class Database {
         pf.name,
         pf.remote_port,
         c.name as client_name,
-        COALESCE(SUM(ts.bytes_in), 0) as total_bytes_in,
-        COALESCE(SUM(ts.bytes_out), 0) as total_bytes_out,
-        COALESCE(SUM(ts.bytes_in + ts.bytes_out), 0) as total_bytes,
-        MAX(ts.timestamp) as last_activity
+        COALESCE(tt.bytes_in, 0) as total_bytes_in,
+        COALESCE(tt.bytes_out, 0) as total_bytes_out,
+        COALESCE(tt.bytes_in + tt.bytes_out, 0) as total_bytes,
+        tt.updated_at as last_activity
       FROM port_forwards pf
       LEFT JOIN clients c ON pf.client_id = c.id
-      LEFT JOIN traffic_stats ts ON pf.id = ts.port_forward_id
-      GROUP BY pf.id, pf.name, pf.remote_port, c.name
+      LEFT JOIN traffic_totals tt ON pf.id = tt.port_forward_id
       ORDER BY total_bytes DESC
     `;
 
@@ -410,8 +632,143 @@ class Database {
     });
   }
 
-  // Simple automatic schema migration to add new columns and relax UNIQUE(remote_port)
-  async migrateSchema() {
+  // Rollup buckets of one resolution between from and to (Dates), summed over the given port forwards
+  async getTrafficRollups(portForwardIds, resolution, from, to) {
+    if (portForwardIds.length === 0) {
+      return [];
+    }
+    const sql = `
+      SELECT bucket, SUM(bytes_in) as bytes_in, SUM(bytes_out) as bytes_out
+      FROM traffic_rollups
+      WHERE resolution = ?
+        AND port_forward_id IN (${portForwardIds.map(() => '?').join(', ')})
+        AND bucket >= strftime(?, ?) AND bucket < strftime('%Y-%m-%d %H:%M:%S', ?)
+      GROUP BY bucket
+      ORDER BY bucket
+    `;
+    const params = [resolution, ...portForwardIds, BUCKET_FORMATS[resolution], from.toISOString(), to.toISOString()];
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // Drop raw rows and rollup buckets older than their retention in days (0 keeps them forever),
+  // and the history and totals of port forwards that no longer exist. Totals are never aged out.
+  async pruneTraffic(retention) {
+    const statements = [
+      ['DELETE FROM traffic_stats WHERE port_forward_id NOT IN (SELECT id FROM port_forwards)', []],
+      ['DELETE FROM traffic_rollups WHERE port_forward_id NOT IN (SELECT id FROM port_forwards)', []],
+      ['DELETE FROM traffic_totals WHERE port_forward_id NOT IN (SELECT id FROM port_forwards)', []],
+    ];
+    if (retention.raw > 0) {
+      statements.push(["DELETE FROM traffic_stats WHERE timestamp < datetime('now', ?)", [`-${retention.raw} days`]]);
+    }
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      if (retention[resolution] > 0) {
+        statements.push(["DELETE FROM traffic_rollups WHERE resolution = ? AND bucket < datetime('now', ?)", [resolution, `-${retention[resolution]} days`]]);
+      }
+    }
+
+    let removed = 0;
+    for (const [sql, params] of statements) {
+      removed += await new Promise((resolve, reject) => {
+        this.db.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        });
+      });
+    }
+    return { removed };
+  }
+
+  // Audit log operations
+  // entry: { actor, action, targetType, targetId, targetName, changes (object, stored as JSON), sourceIp }
+  async addAuditEntry(entry) {
+    const sql = `
+      INSERT INTO audit_log (actor, action, target_type, target_id, target_name, changes, source_ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    const values = [
+      entry.actor,
+      entry.action,
+      entry.targetType || null,
+      entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+      entry.targetName || null,
+      entry.changes ? JSON.stringify(entry.changes) : null,
+      entry.sourceIp || null,
+    ];
+
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, values, function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID });
+      });
+    });
+  }
+
+  // Newest entries first. filters: actor, action, target_type, target_id, since and until (Dates),
+  // limit and offset
+  async getAuditLog(filters = {}) {
+    const conditions = [];
+    const params = [];
+    for (const column of ['actor', 'action', 'target_type', 'target_id']) {
+      if (filters[column]) {
+        conditions.push(`${column} = ?`);
+        params.push(String(filters[column]));
+      }
+    }
+    if (filters.since) {
+      conditions.push("created_at >= strftime('%Y-%m-%d %H:%M:%S', ?)");
+      params.push(filters.since.toISOString());
+    }
+    if (filters.until) {
+      conditions.push("created_at < strftime('%Y-%m-%d %H:%M:%S', ?)");
+      params.push(filters.until.toISOString());
+    }
+
+    const sql = `
+      SELECT * FROM audit_log
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `;
+    params.push(filters.limit || 100, filters.offset || 0);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : null })));
+      });
+    });
+  }
+
+  // Distinct actors and actions, for the audit page filters
+  async getAuditFilterValues() {
+    const distinct = (column) => new Promise((resolve, reject) => {
+      this.db.all(`SELECT DISTINCT ${column} as value FROM audit_log ORDER BY ${column}`, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(r => r.value));
+      });
+    });
+    return { actors: await distinct('actor'), actions: await distinct('action') };
+  }
+
+  async getTableNames() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT name FROM sqlite_master WHERE type = 'table'", [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(new Set(rows.map(r => r.name)));
+      });
+    });
+  }
+
+  // Simple automatic schema migration to add new columns and relax UNIQUE(remote_port).
+  // createdTables: tables createTables just added, which data from older tables is copied into once
+  async migrateSchema(createdTables = new Set()) {
     // Helper to check if a column exists
     const columnExists = (table, column) => new Promise((resolve, reject) => {
       this.db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
@@ -512,6 +869,82 @@ class Database {
       });
       console.log('Migration complete: port_forwards table rebuilt');
     }
+
+    // Columns added after the rebuild above so they survive it
+    const addColumn = async (table, column, definition) => {
+      if (await columnExists(table, column)) return;
+      await new Promise((resolve, reject) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, [], (err) => {
+          if (err) return reject(err);
+          resolve();
+        });
+      });
+      console.log(`Migrated: added ${column} column to ${table}`);
+    };
+
+    await addColumn('port_forwards', 'custom_domains', 'TEXT');
+    await addColumn('port_forwards', 'rate_limit_up', 'INTEGER DEFAULT 0');
+    await addColumn('port_forwards', 'rate_limit_down', 'INTEGER DEFAULT 0');
+    await addColumn('clients', 'rate_limit_up', 'INTEGER DEFAULT 0');
+    await addColumn('clients', 'rate_limit_down', 'INTEGER DEFAULT 0');
+    await addColumn('port_forwards', 'max_connections', 'INTEGER DEFAULT 0');
+    await addColumn('port_forwards', 'max_connection_rate', 'INTEGER DEFAULT 0');
+    await addColumn('clients', 'max_connections', 'INTEGER DEFAULT 0');
+    await addColumn('port_forwards', 'allow_cidrs', 'TEXT');
+    await addColumn('port_forwards', 'deny_cidrs', 'TEXT');
+    await addColumn('port_forwards', 'socks_username', 'TEXT');
+    await addColumn('port_forwards', 'socks_password_hash', 'TEXT');
+    await addColumn('port_forwards', 'dest_allow', 'TEXT');
+    await addColumn('port_forwards', 'dest_deny', 'TEXT');
+    await addColumn('clients', 'allow_declared_forwards', 'INTEGER DEFAULT 0');
+    await addColumn('clients', 'declared_ports', 'TEXT');
+    await addColumn('port_forwards', 'client_declared', 'INTEGER DEFAULT 0');
+    await addColumn('port_forwards', 'bind_address', 'TEXT');
+    await addColumn('clients', 'allowed_ports', 'TEXT');
+    await addColumn('clients', 'max_forwards', 'INTEGER DEFAULT 0');
+    await addColumn('clients', 'allowed_proxy_types', 'TEXT');
+    await addColumn('clients', 'allowed_directions', 'TEXT');
+
+    // Roll up traffic recorded before traffic_rollups existed; not again later, when retention
+    // may have emptied the rollups while old traffic_stats rows are kept
+    if (createdTables.has('traffic_rollups')) {
+      let migrated = 0;
+      for (const [resolution, format] of Object.entries(BUCKET_FORMATS)) {
+        migrated += await new Promise((resolve, reject) => {
+          this.db.run(`
+            INSERT INTO traffic_rollups (port_forward_id, resolution, bucket, bytes_in, bytes_out, updated_at)
+            SELECT port_forward_id, ?, strftime(?, timestamp), SUM(bytes_in), SUM(bytes_out), MAX(timestamp)
+            FROM traffic_stats
+            GROUP BY port_forward_id, strftime(?, timestamp)
+          `, [resolution, format, format], function(err) {
+            if (err) return reject(err);
+            resolve(this.changes);
+          });
+        });
+      }
+      if (migrated > 0) {
+        console.log('Migrated: rolled up existing traffic_stats into traffic_rollups');
+      }
+    }
+
+    // Seed all-time totals from the day buckets, which held them before traffic_totals existed
+    if (createdTables.has('traffic_totals')) {
+      const seeded = await new Promise((resolve, reject) => {
+        this.db.run(`
+          INSERT INTO traffic_totals (port_forward_id, bytes_in, bytes_out, updated_at)
+          SELECT port_forward_id, SUM(bytes_in), SUM(bytes_out), MAX(updated_at)
+          FROM traffic_rollups
+          WHERE resolution = 'day'
+          GROUP BY port_forward_id
+        `, [], function(err) {
+          if (err) return reject(err);
+          resolve(this.changes);
+        });
+      });
+      if (seeded > 0) {
+        console.log('Migrated: summed day rollups into traffic_totals');
+      }
+    }
   }
 
   // Close database connection
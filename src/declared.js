@@ -0,0 +1,81 @@
+// Port forwards a client declares in frpc.yaml (declareProxies: true) and sends in its handshake.
+// The server merges them into port_forwards when the client is allowed to declare forwards.
+
+const vhost = require('./vhost');
+
+// Proxy types a client may declare per direction; reverse directions reach into the server's
+// network and stay managed server-side
+const DECLARABLE_TYPES = {
+  forward: ['tcp', 'udp', 'http', 'https'],
+  dynamic: ['socks5', 'http-connect'],
+};
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function parsePort(value, label) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`${label} must be a port number`);
+  }
+  return port;
+}
+
+// frpc.yaml proxies entry (or its handshake form) -> port_forwards fields. Throws on invalid entries.
+function normalizeDeclaredProxy(proxy) {
+  if (!proxy || typeof proxy !== 'object') {
+    throw new Error('Proxy entries must be objects');
+  }
+  const name = String(proxy.name || '');
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid proxy name "${name}": use up to 64 letters, digits, "-", "_" or "."`);
+  }
+  const direction = String(proxy.direction || 'forward').toLowerCase();
+  const proxyType = String(proxy.type || (direction === 'dynamic' ? 'socks5' : 'tcp')).toLowerCase();
+  if (!DECLARABLE_TYPES[direction]) {
+    throw new Error(`Proxy [${name}]: direction must be one of ${Object.keys(DECLARABLE_TYPES).join(', ')}`);
+  }
+  if (!DECLARABLE_TYPES[direction].includes(proxyType)) {
+    throw new Error(`Proxy [${name}]: type must be one of ${DECLARABLE_TYPES[direction].join(', ')} for ${direction} forwards`);
+  }
+
+  const isVhost = direction === 'forward' && vhost.VHOST_PROXY_TYPES.includes(proxyType);
+  const customDomains = vhost.parseDomains(proxy.customDomains);
+  if (isVhost) {
+    if (customDomains.length === 0) {
+      throw new Error(`Proxy [${name}]: ${proxyType} forwards need customDomains`);
+    }
+    const invalid = customDomains.find(d => !vhost.isValidDomain(d));
+    if (invalid) {
+      throw new Error(`Proxy [${name}]: invalid domain ${invalid}`);
+    }
+  }
+
+  return {
+    name,
+    proxy_type: proxyType,
+    direction,
+    local_ip: direction === 'dynamic' ? '127.0.0.1' : String(proxy.localIp || '127.0.0.1'),
+    local_port: direction === 'dynamic' ? 0 : parsePort(proxy.localPort, `Proxy [${name}]: localPort`),
+    // Virtual host forwards share the server's vhost port instead of a port of their own
+    remote_port: isVhost ? 0 : parsePort(proxy.remotePort, `Proxy [${name}]: remotePort`),
+    custom_domains: isVhost ? customDomains.join(',') : null,
+  };
+}
+
+// Handshake form of a normalized entry
+function describeDeclaredProxy(fields) {
+  return {
+    name: fields.name,
+    type: fields.proxy_type,
+    direction: fields.direction,
+    localIp: fields.local_ip,
+    localPort: fields.local_port,
+    remotePort: fields.remote_port,
+    customDomains: fields.custom_domains ? fields.custom_domains.split(',') : [],
+  };
+}
+
+module.exports = {
+  normalizeDeclaredProxy,
+  describeDeclaredProxy,
+};
@@ -0,0 +1,133 @@
+// Helpers for http-connect dynamic forwards: CONNECT tunnels and absolute-URI proxy requests
+
+const { Transform } = require('stream');
+
+const CONNECT_ESTABLISHED = 'HTTP/1.1 200 Connection Established\r\n\r\n';
+const PROXY_AUTHENTICATE = { 'Proxy-Authenticate': 'Basic realm="node-frp", charset="UTF-8"' };
+
+// Hop-by-hop headers meant for the proxy, not the origin server
+const PROXY_HEADERS = new Set(['proxy-authorization', 'proxy-connection', 'connection', 'keep-alive']);
+
+// Response headers that would keep the browser's connection open
+const RESPONSE_CONNECTION_HEADERS = new Set(['connection', 'keep-alive', 'proxy-connection']);
+const MAX_RESPONSE_HEAD = 64 * 1024;
+
+// "example.com:443" / "[2001:db8::1]:443" -> { host, port }; null when malformed
+function parseAuthority(authority, defaultPort = null) {
+  const match = /^(?:\[([0-9a-fA-F:.]+)\]|([^:\[\]\/]+))(?::(\d{1,5}))?$/.exec(authority || '');
+  if (!match) return null;
+  const port = match[3] ? parseInt(match[3], 10) : defaultPort;
+  if (!port || port > 65535) return null;
+  return { host: match[1] || match[2], port };
+}
+
+// Where a parsed request head (see vhost.parseHttpRequestHead) should go. CONNECT yields
+// { host, port, head: null }; absolute-URI requests also get the head rewritten for the origin
+// server. Throws on requests a forward proxy cannot serve.
+function resolveTarget(request) {
+  if (request.method === 'CONNECT') {
+    const target = parseAuthority(request.target);
+    if (!target) {
+      throw new Error(`Invalid CONNECT target: ${request.target}`);
+    }
+    return { ...target, head: null };
+  }
+
+  let url;
+  try {
+    url = new URL(request.target);
+  } catch {
+    throw new Error('Proxy requests need an absolute URI such as http://example.com/');
+  }
+  if (url.protocol !== 'http:') {
+    throw new Error(`Unsupported scheme ${url.protocol.replace(/:$/, '')}; use CONNECT for HTTPS`);
+  }
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  const port = url.port ? parseInt(url.port, 10) : 80;
+
+  // Origin-form request line; one request per connection since the tunnel is bound to this target
+  const lines = [`${request.method} ${url.pathname}${url.search} ${request.version}`];
+  let hasHost = false;
+  for (const [name, value] of request.headers) {
+    const lower = name.toLowerCase();
+    if (PROXY_HEADERS.has(lower)) continue;
+    if (lower === 'host') hasHost = true;
+    lines.push(`${name}: ${value}`);
+  }
+  if (!hasHost) {
+    lines.push(`Host: ${url.host}`);
+  }
+  lines.push('Connection: close');
+  return { host, port, head: Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'latin1') };
+}
+
+// Sits between the origin server and the browser on plain proxy requests: the tunnel is bound to the
+// first request's target, so the final response head is rewritten to "Connection: close" and the
+// browser sends its next request, possibly for another host, on a new connection. Interim 1xx heads
+// and everything after the final head pass through unchanged.
+class CloseAfterResponse extends Transform {
+  constructor() {
+    super();
+    this.buffer = Buffer.alloc(0);
+    this.done = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.done) {
+      callback(null, chunk);
+      return;
+    }
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let end;
+    while (!this.done && (end = this.buffer.indexOf('\r\n\r\n')) !== -1) {
+      const head = this.buffer.subarray(0, end + 4);
+      this.buffer = this.buffer.subarray(end + 4);
+      const lines = head.subarray(0, end).toString('latin1').split('\r\n');
+      const status = parseInt(lines[0].split(' ')[1], 10);
+      if (status >= 100 && status < 200) {
+        this.push(head);
+        // Switching protocols: the rest is no longer HTTP
+        this.done = status === 101;
+        continue;
+      }
+      const kept = lines.filter((line, i) => i === 0 || !RESPONSE_CONNECTION_HEADERS.has(line.slice(0, line.indexOf(':')).trim().toLowerCase()));
+      kept.push('Connection: close');
+      this.push(Buffer.from(kept.join('\r\n') + '\r\n\r\n', 'latin1'));
+      this.done = true;
+    }
+    // Not HTTP after all, or a head too large to be one: stop looking
+    if (!this.done && this.buffer.length > MAX_RESPONSE_HEAD) {
+      this.done = true;
+    }
+    if (this.done && this.buffer.length > 0) {
+      this.push(this.buffer);
+      this.buffer = Buffer.alloc(0);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    callback(null, this.buffer.length > 0 ? this.buffer : null);
+  }
+}
+
+// Proxy-Authorization: Basic <base64 user:pass> -> { username, password }; null when absent or not Basic
+function parseProxyAuthorization(request) {
+  const header = request.headers.find(([name]) => name.toLowerCase() === 'proxy-authorization');
+  if (!header) return null;
+  const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(header[1]);
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  if (colon === -1) return null;
+  return { username: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+module.exports = {
+  CONNECT_ESTABLISHED,
+  PROXY_AUTHENTICATE,
+  parseAuthority,
+  resolveTarget,
+  parseProxyAuthorization,
+  CloseAfterResponse,
+};
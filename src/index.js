@@ -0,0 +1,14 @@
+// Library entry point for embedding the server or client in another application.
+// Validate configuration objects with ConfigLoader before passing them to FRPServer or FRPClient.
+
+const FRPServer = require('./server');
+const FRPClient = require('./client');
+const Database = require('./database');
+const ConfigLoader = require('./config');
+
+module.exports = {
+  FRPServer,
+  FRPClient,
+  Database,
+  ConfigLoader,
+};
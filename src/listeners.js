@@ -0,0 +1,54 @@
+// Helpers to bind listeners and shut them down together with their open connections,
+// so start() and stop() can resolve once the sockets are actually bound or closed
+
+const dgram = require('dgram');
+
+// Resolve once server listens; reject with the error that kept it from binding
+function listen(server, options) {
+  return new Promise((resolve, reject) => {
+    const onError = (err) => reject(err);
+    server.once('error', onError);
+    server.listen(options, () => {
+      server.removeListener('error', onError);
+      resolve(server);
+    });
+  });
+}
+
+// Remember a listener's open connections so closeServer() can end them instead of waiting on them
+function trackConnections(server) {
+  server.openSockets = new Set();
+  server.on('connection', (socket) => {
+    server.openSockets.add(socket);
+    socket.once('close', () => server.openSockets.delete(socket));
+  });
+  return server;
+}
+
+// Close a net/tls/http server or a UDP socket; resolves once it is closed, also when it already was
+function closeServer(server) {
+  return new Promise((resolve) => {
+    if (server instanceof dgram.Socket) {
+      try {
+        server.close(() => resolve());
+      } catch {
+        resolve();
+      }
+      return;
+    }
+    for (const socket of server.openSockets || []) {
+      socket.destroy();
+    }
+    if (!server.listening) {
+      resolve();
+      return;
+    }
+    server.close(() => resolve());
+  });
+}
+
+module.exports = {
+  listen,
+  trackConnections,
+  closeServer,
+};
@@ -0,0 +1,68 @@
+// Prometheus text exposition of the server's live state, served on /metrics by the web UI
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family: samples are [labels, value] pairs
+function family(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+}
+
+// frpServer state plus portForwards (rows with client_name) to label forwards by name and client.
+// Byte counters count since the server started, so they reset on restart as Prometheus expects.
+function renderMetrics(frpServer, portForwards) {
+  const forwards = new Map(portForwards.map(pf => [String(pf.id), pf]));
+  const forwardLabels = (id) => {
+    const forward = forwards.get(String(id));
+    return { forward_id: id, forward: forward ? forward.name : '', client: forward ? forward.client_name : '' };
+  };
+
+  const activeConnections = {};
+  for (const pf of portForwards) {
+    activeConnections[pf.id] = 0;
+  }
+  for (const connection of frpServer.liveConnections.values()) {
+    activeConnections[connection.portForwardId] = (activeConnections[connection.portForwardId] || 0) + 1;
+  }
+  const pendingConnections = [...frpServer.pendingConnections.values()].filter(pending => !pending.dataSocket).length;
+  const traffic = frpServer.getTrafficTotals();
+  const udpSessions = {};
+  for (const session of frpServer.udpSessions.values()) {
+    if (session.portForwardId) {
+      udpSessions[session.portForwardId] = (udpSessions[session.portForwardId] || 0) + 1;
+    }
+  }
+
+  return [
+    family('frp_connected_clients', 'gauge', 'Clients with an authenticated control connection.',
+      [[{}, frpServer.getConnectedClientIds().length]]),
+    family('frp_forward_active_connections', 'gauge', 'Open TCP connections per port forward.',
+      Object.entries(activeConnections).map(([id, count]) => [forwardLabels(id), count])),
+    family('frp_forward_bytes_in_total', 'counter', 'Bytes that came in through the tunnel per port forward.',
+      Object.entries(traffic).map(([id, total]) => [forwardLabels(id), total.bytesIn])),
+    family('frp_forward_bytes_out_total', 'counter', 'Bytes sent back through the tunnel per port forward.',
+      Object.entries(traffic).map(([id, total]) => [forwardLabels(id), total.bytesOut])),
+    family('frp_pending_connections', 'gauge', 'Connections waiting for the client to open their data connection.',
+      [[{}, pendingConnections]]),
+    family('frp_udp_sessions', 'gauge', 'Active UDP sessions per port forward.',
+      Object.entries(udpSessions).map(([id, count]) => [forwardLabels(id), count])),
+    family('frp_auth_failures_total', 'counter', 'Control connections refused during authentication.',
+      Object.entries(frpServer.authFailures).map(([reason, count]) => [{ reason }, count])),
+    family('frp_data_connection_timeouts_total', 'counter', 'Connections dropped because the client did not open a data connection in time.',
+      Object.entries(frpServer.dataConnectionTimeouts).map(([kind, count]) => [{ kind }, count])),
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  renderMetrics,
+};
@@ -0,0 +1,300 @@
+const { Duplex } = require('stream');
+const EventEmitter = require('events');
+
+// Yamux-style framing carried on the control socket once both sides agree on the
+// "mux" capability. Frame header: version(1) type(1) flags(2) streamId(4) length(4)
+const HEADER_SIZE = 12;
+const PROTOCOL_VERSION = 0;
+
+const TYPE_DATA = 0;
+const TYPE_WINDOW_UPDATE = 1;
+
+const FLAG_SYN = 0x1;
+const FLAG_FIN = 0x4;
+const FLAG_RST = 0x8;
+
+// DATA frames on stream 0 carry one JSON control message each
+const CONTROL_STREAM_ID = 0;
+
+const INITIAL_WINDOW = 256 * 1024;
+const MAX_FRAME_DATA = 16 * 1024;
+// Largest JSON control message accepted on stream 0 (a base64 UDP datagram is under 90 KB)
+const MAX_CONTROL_MESSAGE = 1024 * 1024;
+
+class MuxStream extends Duplex {
+  constructor(session, id) {
+    super();
+    this.session = session;
+    this.id = id;
+    this.sendWindow = INITIAL_WINDOW;
+    this.recvWindow = INITIAL_WINDOW;
+    this.recvUnacked = 0;
+    this.pendingChunk = null;
+    this.pendingCallback = null;
+    this.localFin = false;
+    this.remoteFin = false;
+  }
+
+  // Data is flow controlled: only send what the peer's window allows, the rest waits for a window update
+  _write(chunk, encoding, callback) {
+    this.pendingChunk = chunk;
+    this.pendingCallback = callback;
+    this.flushPending();
+  }
+
+  flushPending() {
+    while (this.pendingChunk && this.sendWindow > 0) {
+      const size = Math.min(this.pendingChunk.length, this.sendWindow, MAX_FRAME_DATA);
+      this.session.sendFrame(TYPE_DATA, 0, this.id, this.pendingChunk.subarray(0, size));
+      this.sendWindow -= size;
+      this.pendingChunk = size < this.pendingChunk.length ? this.pendingChunk.subarray(size) : null;
+    }
+    this.releaseCallback();
+  }
+
+  // Ask for the next chunk once this one is sent, but not while the shared socket is backed up:
+  // otherwise a fast stream fills its buffer and heartbeats and control messages queue behind it
+  releaseCallback() {
+    if (this.pendingChunk || !this.pendingCallback) {
+      return;
+    }
+    if (this.session.socket.writableNeedDrain) {
+      this.session.waitForDrain(this);
+      return;
+    }
+    const callback = this.pendingCallback;
+    this.pendingCallback = null;
+    callback();
+  }
+
+  _final(callback) {
+    this.localFin = true;
+    this.session.sendFrame(TYPE_DATA, FLAG_FIN, this.id);
+    callback();
+  }
+
+  // Called when the consumer wants more data; hand the consumed bytes back to the sender
+  _read() {
+    this.sendWindowUpdate();
+  }
+
+  sendWindowUpdate() {
+    if (this.recvUnacked > 0 && !this.destroyed) {
+      this.session.sendFrame(TYPE_WINDOW_UPDATE, 0, this.id, null, this.recvUnacked);
+      this.recvWindow += this.recvUnacked;
+      this.recvUnacked = 0;
+    }
+  }
+
+  _destroy(err, callback) {
+    if (!(this.localFin && this.remoteFin)) {
+      this.session.sendFrame(TYPE_WINDOW_UPDATE, FLAG_RST, this.id, null, 0);
+    }
+    this.session.streams.delete(this.id);
+    this.session.drainWaiters.delete(this);
+    this.pendingChunk = null;
+    this.pendingCallback = null;
+    callback(err);
+  }
+
+  handleData(payload) {
+    if (payload.length > this.recvWindow) {
+      this.destroy(new Error(`Stream ${this.id} exceeded its receive window`));
+      return;
+    }
+    this.recvWindow -= payload.length;
+    this.recvUnacked += payload.length;
+    if (this.push(payload) && this.recvUnacked >= INITIAL_WINDOW / 2) {
+      this.sendWindowUpdate();
+    }
+  }
+
+  handleWindowUpdate(delta) {
+    this.sendWindow += delta;
+    this.flushPending();
+  }
+
+  handleFin() {
+    this.remoteFin = true;
+    this.push(null);
+  }
+
+  handleReset() {
+    this.remoteFin = true;
+    this.localFin = true;
+    this.destroy(new Error('Stream reset by peer'));
+  }
+}
+
+class MuxSession extends EventEmitter {
+  constructor(socket, { isClient = false } = {}) {
+    super();
+    this.socket = socket;
+    this.streams = new Map(); // streamId -> MuxStream
+    this.drainWaiters = new Set(); // streams holding their write callback until the socket drains
+    // Clients open odd stream IDs, servers even ones, so both sides can open streams without colliding
+    this.nextStreamId = isClient ? 1 : 2;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+
+    this.onSocketData = (data) => this.handleData(data);
+    this.onSocketClose = () => this.destroy();
+    this.onSocketDrain = () => this.handleDrain();
+  }
+
+  // Start reading frames; initialData holds any bytes already read past the handshake line
+  start(initialData) {
+    this.socket.on('data', this.onSocketData);
+    this.socket.on('close', this.onSocketClose);
+    this.socket.on('drain', this.onSocketDrain);
+    if (initialData && initialData.length > 0) {
+      this.handleData(initialData);
+    }
+  }
+
+  sendFrame(type, flags, streamId, payload = null, windowDelta = 0) {
+    if (this.closed || this.socket.destroyed) {
+      return false;
+    }
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt8(PROTOCOL_VERSION, 0);
+    header.writeUInt8(type, 1);
+    header.writeUInt16BE(flags, 2);
+    header.writeUInt32BE(streamId, 4);
+    // WINDOW_UPDATE frames carry the window delta in the length field
+    header.writeUInt32BE(type === TYPE_WINDOW_UPDATE ? windowDelta : (payload ? payload.length : 0), 8);
+    return this.socket.write(payload && payload.length > 0 ? Buffer.concat([header, payload]) : header);
+  }
+
+  sendMessage(msg) {
+    return this.sendFrame(TYPE_DATA, 0, CONTROL_STREAM_ID, Buffer.from(JSON.stringify(msg)));
+  }
+
+  waitForDrain(stream) {
+    this.drainWaiters.add(stream);
+  }
+
+  handleDrain() {
+    const waiters = [...this.drainWaiters];
+    this.drainWaiters.clear();
+    for (const stream of waiters) {
+      stream.releaseCallback();
+    }
+  }
+
+  openStream() {
+    const id = this.nextStreamId;
+    this.nextStreamId += 2;
+    const stream = new MuxStream(this, id);
+    this.streams.set(id, stream);
+    this.sendFrame(TYPE_WINDOW_UPDATE, FLAG_SYN, id, null, 0);
+    return stream;
+  }
+
+  handleData(data) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+
+    while (this.buffer.length >= HEADER_SIZE) {
+      const version = this.buffer.readUInt8(0);
+      if (version !== PROTOCOL_VERSION) {
+        console.error(`Unsupported mux protocol version ${version}, closing connection`);
+        this.socket.destroy();
+        return;
+      }
+      const type = this.buffer.readUInt8(1);
+      const flags = this.buffer.readUInt16BE(2);
+      const streamId = this.buffer.readUInt32BE(4);
+      const length = this.buffer.readUInt32BE(8);
+      const payloadLength = type === TYPE_DATA ? length : 0;
+      // Refuse oversized frames from the header alone, before buffering their payload
+      if (payloadLength > this.maxPayload(streamId)) {
+        console.error(`Mux frame of ${payloadLength} bytes on stream ${streamId} is too large, closing connection`);
+        this.socket.destroy();
+        return;
+      }
+      if (this.buffer.length < HEADER_SIZE + payloadLength) {
+        return;
+      }
+      const payload = this.buffer.subarray(HEADER_SIZE, HEADER_SIZE + payloadLength);
+      this.buffer = this.buffer.subarray(HEADER_SIZE + payloadLength);
+
+      this.handleFrame(type, flags, streamId, length, payload);
+      if (this.closed) {
+        return;
+      }
+    }
+  }
+
+  // Most DATA payload a peer may send on streamId: its receive window, at most one frame's worth
+  maxPayload(streamId) {
+    if (streamId === CONTROL_STREAM_ID) {
+      return MAX_CONTROL_MESSAGE;
+    }
+    const stream = this.streams.get(streamId);
+    return Math.min(MAX_FRAME_DATA, stream ? stream.recvWindow : INITIAL_WINDOW);
+  }
+
+  handleFrame(type, flags, streamId, length, payload) {
+    if (streamId === CONTROL_STREAM_ID) {
+      if (type !== TYPE_DATA) {
+        return;
+      }
+      let msg;
+      try {
+        msg = JSON.parse(payload.toString());
+      } catch (err) {
+        console.error('Failed to parse mux control message:', err.message);
+        return;
+      }
+      this.emit('message', msg);
+      return;
+    }
+
+    let stream = this.streams.get(streamId);
+    if (!stream) {
+      if (!(flags & FLAG_SYN)) {
+        // Late frame for a stream we already closed; tell the peer unless it is resetting too
+        if (!(flags & FLAG_RST)) {
+          this.sendFrame(TYPE_WINDOW_UPDATE, FLAG_RST, streamId, null, 0);
+        }
+        return;
+      }
+      stream = new MuxStream(this, streamId);
+      this.streams.set(streamId, stream);
+      this.emit('stream', stream);
+    }
+
+    if (flags & FLAG_RST) {
+      stream.handleReset();
+      return;
+    }
+    if (type === TYPE_WINDOW_UPDATE) {
+      if (length > 0) {
+        stream.handleWindowUpdate(length);
+      }
+    } else if (payload.length > 0) {
+      stream.handleData(payload);
+    }
+    if (flags & FLAG_FIN) {
+      stream.handleFin();
+    }
+  }
+
+  destroy() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.socket.removeListener('data', this.onSocketData);
+    this.socket.removeListener('close', this.onSocketClose);
+    this.socket.removeListener('drain', this.onSocketDrain);
+    this.drainWaiters.clear();
+    for (const stream of this.streams.values()) {
+      stream.destroy(new Error('Multiplexed session closed'));
+    }
+    this.streams.clear();
+    this.emit('close');
+  }
+}
+
+module.exports = MuxSession;
@@ -0,0 +1,112 @@
+const { Transform } = require('stream');
+
+// Largest slice released at once, so low limits trickle data instead of sending it in bursts
+const MAX_SLICE = 16 * 1024;
+// Never let the burst allowance drop below one slice
+const MIN_BURST = MAX_SLICE;
+
+// Token bucket in units (bytes, connections) per second; a rate of 0 means unlimited. The bucket
+// holds at most one second worth of tokens, so an idle user can burst briefly but not indefinitely.
+class TokenBucket {
+  constructor(rate = 0, { minBurst = MIN_BURST } = {}) {
+    this.rate = 0;
+    this.minBurst = minBurst;
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+    this.setRate(rate);
+  }
+
+  setRate(rate) {
+    const value = Math.max(0, Number(rate) || 0);
+    if (value === this.rate) {
+      return;
+    }
+    this.refill();
+    const wasUnlimited = this.rate === 0;
+    this.rate = value;
+    // A bucket that was unlimited starts full, otherwise keep what is left
+    this.tokens = wasUnlimited ? this.capacity() : Math.min(this.tokens, this.capacity());
+  }
+
+  capacity() {
+    return Math.max(this.rate, this.minBurst);
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.rate > 0) {
+      this.tokens = Math.min(this.capacity(), this.tokens + (now - this.lastRefill) * this.rate / 1000);
+    }
+    this.lastRefill = now;
+  }
+
+  // Take tokens for units that will be used regardless (TCP data); returns how long to wait in ms
+  consume(bytes) {
+    if (this.rate === 0) {
+      return 0;
+    }
+    this.refill();
+    this.tokens -= bytes;
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens * 1000 / this.rate);
+  }
+
+  // Whether units fit right now without waiting (UDP datagrams and new connections, which are refused instead)
+  canConsume(bytes) {
+    if (this.rate === 0) {
+      return true;
+    }
+    this.refill();
+    return this.tokens >= bytes;
+  }
+}
+
+// Pass-through stream that holds chunks back until every bucket allows them. Because the
+// write callback is delayed, pipe() sees backpressure and pauses the source socket.
+class Throttle extends Transform {
+  constructor(buckets) {
+    super();
+    this.buckets = buckets.filter(Boolean);
+    this.timer = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.sendSlice(chunk, callback);
+  }
+
+  sendSlice(chunk, callback) {
+    const slice = chunk.length > MAX_SLICE ? chunk.subarray(0, MAX_SLICE) : chunk;
+    let wait = 0;
+    for (const bucket of this.buckets) {
+      wait = Math.max(wait, bucket.consume(slice.length));
+    }
+
+    const release = () => {
+      this.timer = null;
+      this.push(slice);
+      if (slice.length < chunk.length) {
+        this.sendSlice(chunk.subarray(slice.length), callback);
+      } else {
+        callback();
+      }
+    };
+
+    if (wait > 0) {
+      this.timer = setTimeout(release, wait);
+    } else {
+      release();
+    }
+  }
+
+  _destroy(err, callback) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    callback(err);
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  Throttle,
+};
@@ -1,37 +1,141 @@
 const net = require("net");
+const tls = require("tls");
 const dgram = require("dgram");
+const EventEmitter = require("events");
 
-const VALID_PROXY_TYPES = new Set(['tcp', 'udp', 'socks5']);
+const VALID_PROXY_TYPES = new Set(['tcp', 'udp', 'socks5', 'http', 'https', 'http-connect']);
 function normalizeProxyType(type) {
   const normalized = (type || 'tcp').toString().trim().toLowerCase();
   return VALID_PROXY_TYPES.has(normalized) ? normalized : 'tcp';
 }
 
+// Kind of listener a forward needs on its remote port
+function listenerType(f) {
+  const proxyType = normalizeProxyType(f.proxy_type);
+  if (f.direction === 'dynamic') {
+    return proxyType === 'http-connect' ? 'http-connect' : 'socks5';
+  }
+  return proxyType;
+}
+
+function describeDynamicProxy(f) {
+  return listenerType(f) === 'http-connect' ? 'HTTP/SOCKS5 proxy' : 'SOCKS5';
+}
+
+// Port forward row as sent to the client in auth_response and config_update
+function describeForwardForClient(f) {
+  return {
+    name: f.name,
+    remotePort: f.remote_port,
+    localIp: f.local_ip,
+    localPort: f.local_port,
+    proxyType: normalizeProxyType(f.proxy_type),
+    direction: f.direction,
+    remoteIp: f.remote_ip,
+    customDomains: vhost.parseDomains(f.custom_domains),
+    // Reverse-dynamic SOCKS servers run on the client, which verifies credentials against the hash
+    socksAuth: f.direction === 'reverse-dynamic' && f.socks_username && f.socks_password_hash
+      ? { username: f.socks_username, passwordHash: f.socks_password_hash }
+      : null,
+    // Dynamic forwards dial from the client, so it applies their destination policy
+    destAllow: f.direction === 'dynamic' && f.dest_allow ? f.dest_allow.split(',') : [],
+    destDeny: f.direction === 'dynamic' && f.dest_deny ? f.dest_deny.split(',') : [],
+  };
+}
+
 function genConnectionId() {
   // Low-collision ID: time + random segment
   return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
 }
+
+// UDP socket bound to bindAddress, or dual-stack on all interfaces when unset (IPv4 only on hosts without IPv6)
+function bindUdpSocket(bindAddress, port) {
+  const attempt = (type, address) => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type, reuseAddr: true });
+    const onError = (err) => {
+      socket.close();
+      reject(err);
+    };
+    socket.once('error', onError);
+    socket.bind(port, address, () => {
+      socket.removeListener('error', onError);
+      resolve(socket);
+    });
+  });
+  if (bindAddress) {
+    return attempt(net.isIPv6(bindAddress) ? 'udp6' : 'udp4', bindAddress);
+  }
+  return attempt('udp6', '::').catch((err) => {
+    if (err.code !== 'EAFNOSUPPORT' && err.code !== 'EADDRNOTAVAIL') throw err;
+    return attempt('udp4', '0.0.0.0');
+  });
+}
 const Database = require('./database');
 const WebUIServer = require('./webui');
+const MuxSession = require('./mux');
+const UdpChannel = require('./udpchannel');
+const vhost = require('./vhost');
+const { TokenBucket, Throttle } = require('./ratelimit');
+const { parseCidrList, normalizeAddress, SourceFilter, parseDestinationList, DestinationPolicy, parsePortRanges, portInRanges, bindAddressesOverlap, formatListenAddress } = require('./acl');
+const socks5 = require('./socks5');
+const httpproxy = require('./httpproxy');
+const { normalizeDeclaredProxy } = require('./declared');
+const { listen, trackConnections, closeServer } = require('./listeners');
+const { DEFAULT_RETENTION } = require('./traffic');
+
+// How often traffic history past its retention is pruned
+const TRAFFIC_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Proxy listener as reported in proxy_listen and proxy_close events
+function describeProxyListener(listenAddress, proxy) {
+  return {
+    name: proxy.name,
+    portForwardId: proxy.portForwardId,
+    clientId: proxy.controlSocket ? proxy.controlSocket.clientId : null,
+    type: proxy.type,
+    listenAddress,
+    remotePort: proxy.remotePort,
+  };
+}
 
-class FRPServer {
+// Events: 'client_authenticated' / 'client_disconnected' { clientId, clientName, remoteAddress },
+// 'client_auth_failed' { remoteAddress, error }, 'proxy_listen' / 'proxy_close' (see
+// describeProxyListener), 'connection_open' { connectionId, portForwardId, proxyName, clientId,
+// remoteAddress }, 'connection_close' (the same plus bytesIn, bytesOut and durationMs) and
+// 'traffic' { portForwardId, bytesIn, bytesOut } for each forward with traffic when counters are flushed
+class FRPServer extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.controlServer = null;
     this.webUI = null;
-    this.proxyServers = new Map();
-    this.clients = new Map(); // Maps socket -> [ports]
+    this.proxyServers = new Map(); // listen address ("*:6000", "192.0.2.1:6000") -> proxy listener
+    this.clients = new Map(); // Maps socket -> [listen addresses]
     this.clientSockets = new Map(); // Maps clientId -> socket
-    this.pendingConnections = new Map();
+    this.pendingConnections = new Map(); // connectionId -> connection waiting for, then piped to, its data connection (dataSocket)
     this.udpSessions = new Map(); // connectionId -> session info
+    this.liveConnections = new Map(); // connectionId -> open TCP connection of a forward with its socket, for the connection browser
     this.udpRemoteMap = new Map(); // remoteKey -> connectionId
+    this.socksBindListeners = new Map(); // connectionId -> { listener, timer, controlSocket } for reverse-dynamic SOCKS5 BIND
+    this.pendingUdpChecks = new Map(); // connectionId -> datagrams queued while a UDP destination is checked
+    this.limiters = new Map(); // 'client:<id>' / 'forward:<id>' -> bandwidth buckets, connection caps and counts
+    this.connectionLimitHits = new Map(); // portForwardId -> counts of connections refused per limit
+    this.sourceRejections = new Map(); // portForwardId -> { count, last_address, last_hit }
+    this.sourceRejectionLogged = new Map(); // 'portForwardId:address' -> time of last log line
+    this.authFailures = { invalid_token: 0, missing_token: 0, server_error: 0 }; // refused control connections per reason
+    this.dataConnectionTimeouts = { forward: 0, dynamic: 0, reverse: 0, 'reverse-dynamic': 0, udp_channel: 0 }; // client never opened the data connection
+    this.vhostServers = new Map(); // proxyType -> net.Server on the shared vhost port
+    this.vhostRoutes = { http: new Map(), https: new Map() }; // proxyType -> domain -> { controlSocket, name, portForwardId }
     this.database = new Database(config.databasePath || './frp.db');
 
     // Real-time traffic tracking
     this.trafficCounters = new Map(); // portForwardId -> { bytesIn, bytesOut }
+    this.trafficTotals = new Map(); // portForwardId -> { bytesIn, bytesOut } since the server started, never reset
     this.trafficFlushInterval = null;
+    this.trafficPruneInterval = null;
   }
 
+  // Resolves once the control port (and vhost ports) listen; rejects when one cannot be bound
   async start() {
     const port = this.config.bindPort || 7000;
 
@@ -41,23 +145,50 @@ class FRPServer {
       console.log('Database initialized successfully');
     } catch (err) {
       console.error('Failed to initialize database:', err);
-      process.exit(1);
+      throw err;
     }
 
-    // Start FRP control server
-    this.controlServer = net.createServer((socket) => {
+    // Start FRP control server (control and data connections share the port)
+    const onConnection = (socket) => {
       socket.setNoDelay(true);
       this.handleControlConnection(socket);
-    });
+    };
+    const tlsConfig = this.config.tls;
+    if (tlsConfig && tlsConfig.enabled) {
+      this.controlServer = tls.createServer({
+        cert: tlsConfig.cert,
+        key: tlsConfig.key,
+        ca: tlsConfig.ca,
+        // Require client certificates only when a CA is configured
+        requestCert: !!tlsConfig.ca,
+        rejectUnauthorized: !!tlsConfig.ca,
+      }, onConnection);
+
+      this.controlServer.on("tlsClientError", (err, socket) => {
+        console.error("TLS handshake failed from", socket.remoteAddress + ":", err.message);
+      });
+    } else {
+      this.controlServer = net.createServer(onConnection);
+    }
+    trackConnections(this.controlServer);
 
-    this.controlServer.listen(port, () => {
-      console.log(`FRP Server started on port ${port}`);
-    });
+    // Without bindAddr the control port listens dual-stack on :: (or 0.0.0.0 on hosts without IPv6)
+    const bindAddr = this.config.bindAddr || null;
+    await listen(this.controlServer, { port, host: bindAddr || undefined });
+    console.log(`FRP Server started on ${bindAddr ? formatListenAddress(bindAddr, port) : `port ${port}`}${tlsConfig && tlsConfig.enabled ? ' (TLS)' : ''}`);
 
     this.controlServer.on("error", (err) => {
       console.error("Server error:", err);
     });
 
+    // Shared virtual host port for HTTP forwards
+    if (this.config.vhostHTTPPort) {
+      await this.startVhostServer('http', this.config.vhostHTTPPort, (socket) => this.handleVhostHttpConnection(socket));
+    }
+    if (this.config.vhostHTTPSPort) {
+      await this.startVhostServer('https', this.config.vhostHTTPSPort, (socket) => this.handleVhostHttpsConnection(socket));
+    }
+
     // Start Web UI if enabled
     if (this.config.webUI && this.config.webUI.enabled) {
       try {
@@ -74,16 +205,31 @@ class FRPServer {
     // Start periodic traffic flushing (configurable interval)
     const flushIntervalMs = (this.config.trafficFlushInterval || 30) * 1000;
     this.startTrafficFlushing(flushIntervalMs);
+    this.startTrafficPruning();
+  }
+
+  // Heartbeat settings asked for in a client's handshake, kept within the server's bounds: the
+  // timeout is capped at maxHeartbeatTimeout and leaves room for at least two heartbeats.
+  // Values are in seconds; null when the client didn't ask (older clients).
+  negotiateHeartbeat(requested) {
+    if (!requested || typeof requested !== "object") {
+      return null;
+    }
+    const { minHeartbeatInterval, maxHeartbeatTimeout } = this.config;
+    const timeout = Math.min(Math.max(Number(requested.timeout) || this.config.heartbeatTimeout, minHeartbeatInterval * 2), maxHeartbeatTimeout);
+    const interval = Math.min(Math.max(Number(requested.interval) || minHeartbeatInterval, minHeartbeatInterval), timeout / 2);
+    return { interval, timeout };
   }
 
   handleControlConnection(socket) {
     console.log("New connection from:", socket.remoteAddress);
 
-    let buffer = "";
+    let buffer = Buffer.alloc(0);
     let isControlConnection = false;
     let handshakeComplete = false;
     let authenticated = false;
     let heartbeatTimer = null;
+    let heartbeatTimeoutMs = this.config.heartbeatTimeout * 1000; // Replaced by the negotiated timeout
 
     // Enable TCP keepalive to detect dead connections
     socket.setKeepAlive(true, 20000); // 20 seconds
@@ -94,12 +240,11 @@ class FRPServer {
       if (heartbeatTimer) {
         clearTimeout(heartbeatTimer);
       }
-      // Expect heartbeat every 20 seconds, timeout after 40 seconds
       heartbeatTimer = setTimeout(() => {
         console.log("Client heartbeat timeout, closing connection");
         this.cleanupClient(socket);
         socket.destroy();
-      }, 40000); // 40 seconds
+      }, heartbeatTimeoutMs);
     };
 
     // Helper to cleanup heartbeat timer
@@ -111,12 +256,12 @@ class FRPServer {
     };
 
     const onData = async (data) => {
-      buffer += data.toString();
+      buffer = Buffer.concat([buffer, data]);
 
       // Check for handshake in first message
-      const newlineIndex = buffer.indexOf("\n");
+      const newlineIndex = buffer.indexOf(0x0a);
       if (newlineIndex !== -1 && !handshakeComplete) {
-        const message = buffer.substring(0, newlineIndex);
+        const message = buffer.subarray(0, newlineIndex).toString();
 
         try {
           const msg = JSON.parse(message);
@@ -131,7 +276,7 @@ class FRPServer {
             this.handleIncomingDataConnection(
               socket,
               msg,
-              buffer.substring(newlineIndex + 1),
+              buffer.subarray(newlineIndex + 1),
             );
             return;
           } else if (msg.type === "control_handshake") {
@@ -150,8 +295,11 @@ class FRPServer {
                   socket.clientName = client.name;
                   // Track socket by client ID for dynamic updates
                   this.clientSockets.set(client.id, socket);
+                  this.emit("client_authenticated", { clientId: client.id, clientName: client.name, remoteAddress: socket.remoteAddress });
                 } else {
                   console.error("Authentication failed: Invalid token from", socket.remoteAddress);
+                  this.authFailures.invalid_token++;
+                  this.emit("client_auth_failed", { remoteAddress: socket.remoteAddress, error: "Invalid authentication token" });
                   socket.write(
                     JSON.stringify({
                       type: "auth_response",
@@ -164,6 +312,8 @@ class FRPServer {
                 }
               } catch (err) {
                 console.error("Database error during authentication:", err);
+                this.authFailures.server_error++;
+                this.emit("client_auth_failed", { remoteAddress: socket.remoteAddress, error: "Authentication failed due to server error" });
                 socket.write(
                   JSON.stringify({
                     type: "auth_response",
@@ -176,6 +326,8 @@ class FRPServer {
               }
             } else {
               console.error("Authentication failed: No token provided from", socket.remoteAddress);
+              this.authFailures.missing_token++;
+              this.emit("client_auth_failed", { remoteAddress: socket.remoteAddress, error: "Authentication token is required" });
               socket.write(
                 JSON.stringify({
                   type: "auth_response",
@@ -189,48 +341,88 @@ class FRPServer {
 
             handshakeComplete = true;
 
+            // Forwards declared in the client's frpc.yaml join the list before it is sent back
+            let declaredResults = [];
+            if (Array.isArray(msg.proxies)) {
+              try {
+                declaredResults = await this.mergeDeclaredForwards(socket, msg.proxies);
+              } catch (err) {
+                console.error("Failed to merge declared port forwards:", err);
+              }
+            }
+
             // Get port forwards for this client from database
             let portForwards = [];
             try {
               const forwards = await this.database.getPortForwardsByClient(socket.clientId);
-              portForwards = forwards.map(f => ({
-                name: f.name,
-                remotePort: f.remote_port,
-                localIp: f.local_ip,
-                localPort: f.local_port,
-                proxyType: normalizeProxyType(f.proxy_type),
-                direction: f.direction,
-                remoteIp: f.remote_ip
-              }));
+              portForwards = forwards.map(describeForwardForClient);
             } catch (err) {
               console.error("Failed to load port forwards:", err);
             }
 
+            // Multiplexing is used only when the client asks for it, so older clients keep working
+            const clientCapabilities = Array.isArray(msg.capabilities) ? msg.capabilities : [];
+            const capabilities = [];
+            if (this.config.mux !== false && clientCapabilities.includes("mux")) {
+              capabilities.push("mux");
+            }
+            if (clientCapabilities.includes("udp-channel")) {
+              capabilities.push("udp-channel");
+            }
+
+            const heartbeat = this.negotiateHeartbeat(msg.heartbeat);
+            if (heartbeat) {
+              heartbeatTimeoutMs = heartbeat.timeout * 1000;
+            }
+
             // Send auth success response with port forward assignments
             socket.write(
               JSON.stringify({
                 type: "auth_response",
                 success: true,
-                portForwards: portForwards
+                portForwards: portForwards,
+                capabilities,
+                ...(heartbeat ? { heartbeat } : {}),
               }) + "\n",
             );
 
             // Start heartbeat monitoring after successful authentication
             startHeartbeatTimeout();
 
-            buffer = buffer.substring(newlineIndex + 1);
+            const remaining = buffer.subarray(newlineIndex + 1);
+
+            // Switch to control message handler before anything else can arrive
+            socket.removeListener("data", onData);
+            if (capabilities.includes("mux")) {
+              // From here on the control socket carries framed control messages and data streams
+              const session = new MuxSession(socket);
+              socket.muxSession = session;
+              session.on("message", (controlMsg) => {
+                this.handleMessage(socket, controlMsg, startHeartbeatTimeout);
+              });
+              session.on("stream", (stream) => {
+                this.handleMuxStream(stream);
+              });
+              session.start(remaining);
+              console.log(`Client [${socket.clientName}] negotiated multiplexed transport`);
+            } else {
+              // Continue processing any remaining messages
+              this.processControlMessages(socket, remaining.toString(), startHeartbeatTimeout);
+              socket.on("data", (data) => {
+                this.processControlMessages(socket, data.toString(), startHeartbeatTimeout);
+              });
+            }
+
+            if (capabilities.includes("udp-channel")) {
+              this.requestUdpChannel(socket);
+            }
 
-            // Continue processing any remaining messages
-            this.processControlMessages(socket, buffer, startHeartbeatTimeout);
+            for (const result of declaredResults) {
+              this.sendMessage(socket, { type: "register_response", ...result });
+            }
 
             // Create proxy servers for this client automatically
             await this.createClientProxies(socket);
-
-            // Switch to control message handler
-            socket.removeListener("data", onData);
-            socket.on("data", (data) => {
-              this.processControlMessages(socket, data.toString(), startHeartbeatTimeout);
-            });
           } else {
             // Unexpected message type during handshake
             console.error(
@@ -295,6 +487,41 @@ class FRPServer {
     }
   }
 
+  // Send a control message to a client, framed when the connection is multiplexed
+  sendMessage(socket, msg) {
+    if (socket.muxSession) {
+      return socket.muxSession.sendMessage(msg);
+    }
+    return socket.write(JSON.stringify(msg) + "\n");
+  }
+
+  // A multiplexed stream starts with the same data_connection line as a dedicated socket
+  handleMuxStream(stream) {
+    let buffer = Buffer.alloc(0);
+    const onData = (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      const newlineIndex = buffer.indexOf(0x0a);
+      if (newlineIndex === -1) {
+        return;
+      }
+      stream.removeListener("data", onData);
+      try {
+        const msg = JSON.parse(buffer.subarray(0, newlineIndex).toString());
+        if (msg.type !== "data_connection") {
+          throw new Error(`unexpected message type ${msg.type}`);
+        }
+        this.handleIncomingDataConnection(stream, msg, buffer.subarray(newlineIndex + 1));
+      } catch (err) {
+        console.error("Invalid stream handshake:", err.message);
+        stream.destroy();
+      }
+    };
+    stream.on("data", onData);
+    stream.on("error", (err) => {
+      console.error("Stream error:", err.message);
+    });
+  }
+
   handleIncomingDataConnection(socket, msg, remainingBuffer) {
     const { connectionId } = msg;
 
@@ -312,18 +539,31 @@ class FRPServer {
         pendingConn.timer = null;
       }
 
+      if (pendingConn.udpChannel) {
+        this.attachUdpChannel(pendingConn.controlSocket, socket, remainingBuffer);
+        this.pendingConnections.delete(connectionId);
+        return;
+      }
+      // Kept until the sockets close for dynamic_ready and dynamic_failed, which follow the data connection
+      pendingConn.dataSocket = socket;
+
       // Two modes:
       // 1) forward mode: pendingConn.clientSocket is a socket from external client to server proxy
       // 2) reverse mode: pendingConn.targetSocket is a socket from server to target on server network
       if (pendingConn.clientSocket) {
+        // Rate limits sit between the sockets as throttles so they backpressure the sender.
+        // "up" is traffic sent by the FRP client, "down" traffic sent to it.
+        const upThrottle = new Throttle(this.getRateLimitBuckets(portForwardId, 'up'));
+        const downThrottle = new Throttle(this.getRateLimitBuckets(portForwardId, 'down'));
+
         // Pipe any remaining buffered data
         if (remainingBuffer.length > 0) {
           // Any extra bytes sent on the data socket after handshake go towards the client
-          pendingConn.clientSocket.write(remainingBuffer);
+          upThrottle.write(remainingBuffer);
         }
         // Flush any client data that arrived after SOCKS request while waiting for data socket
         if (pendingConn.clientPreData && pendingConn.clientPreData.length > 0) {
-          try { socket.write(pendingConn.clientPreData); } catch {}
+          downThrottle.write(pendingConn.clientPreData);
           pendingConn.clientPreData = Buffer.alloc(0);
         }
 
@@ -354,16 +594,28 @@ class FRPServer {
           }
         } catch {}
 
-        // Pipe the connections together
-        pendingConn.clientSocket.pipe(socket);
-        socket.pipe(pendingConn.clientSocket);
+        // Pipe the connections together; pipe() also forwards end once throttled data is flushed
+        pendingConn.clientSocket.pipe(downThrottle).pipe(socket);
+        if (pendingConn.responseFilter) {
+          socket.pipe(upThrottle).pipe(pendingConn.responseFilter).pipe(pendingConn.clientSocket);
+        } else {
+          socket.pipe(upThrottle).pipe(pendingConn.clientSocket);
+        }
 
         // Cleanup mapping when either side closes
         const cleanup = () => {
           this.pendingConnections.delete(connectionId);
         };
-        pendingConn.clientSocket.on('close', cleanup);
-        socket.on('close', cleanup);
+        pendingConn.clientSocket.on('close', () => {
+          upThrottle.destroy();
+          // Destroyed before it ended (e.g. closeLiveConnection): no end reaches the tunnel
+          if (!pendingConn.clientSocket.readableEnded) socket.destroy();
+          cleanup();
+        });
+        socket.on('close', () => {
+          downThrottle.destroy();
+          cleanup();
+        });
 
         pendingConn.clientSocket.on("error", () => {
           socket.destroy();
@@ -372,17 +624,16 @@ class FRPServer {
         socket.on("error", () => {
           pendingConn.clientSocket.destroy();
         });
-
-        pendingConn.clientSocket.on("end", () => {
-          socket.end();
-        });
-
-        socket.on("end", () => {
-          pendingConn.clientSocket.end();
-        });
       } else if (pendingConn.targetSocket) {
         // Reverse mode: pipe data socket <-> targetSocket
         const targetSocket = pendingConn.targetSocket;
+        const upThrottle = new Throttle(this.getRateLimitBuckets(portForwardId, 'up'));
+        const downThrottle = new Throttle(this.getRateLimitBuckets(portForwardId, 'down'));
+
+        // Bytes that arrived together with the handshake belong to the target
+        if (remainingBuffer.length > 0) {
+          upThrottle.write(remainingBuffer);
+        }
 
         // Wrap socket writes for traffic tracking
         const originalWrite = socket.write.bind(socket);
@@ -402,15 +653,23 @@ class FRPServer {
         };
 
         // Pipe the connections
-        socket.pipe(targetSocket);
-        targetSocket.pipe(socket);
+        socket.pipe(upThrottle).pipe(targetSocket);
+        targetSocket.pipe(downThrottle).pipe(socket);
+        this.trackConnection(portForwardId, targetSocket, { proxyName: pendingConn.proxyName, clientId: pendingConn.clientId, reverse: true });
 
         // Cleanup mapping when either side closes
         const cleanup = () => {
           this.pendingConnections.delete(connectionId);
         };
-        targetSocket.on('close', cleanup);
-        socket.on('close', cleanup);
+        targetSocket.on('close', () => {
+          upThrottle.destroy();
+          if (!targetSocket.readableEnded) socket.destroy();
+          cleanup();
+        });
+        socket.on('close', () => {
+          downThrottle.destroy();
+          cleanup();
+        });
 
         // Errors/cleanup
         targetSocket.on('error', () => {
@@ -419,12 +678,6 @@ class FRPServer {
         socket.on('error', () => {
           targetSocket.destroy();
         });
-        targetSocket.on('end', () => {
-          socket.end();
-        });
-        socket.on('end', () => {
-          targetSocket.end();
-        });
       } else {
         console.error(`Pending connection ${connectionId} missing sockets`);
         socket.destroy();
@@ -439,20 +692,18 @@ class FRPServer {
     switch (msg.type) {
       case "register":
         // No longer needed - proxies are created automatically from database
-        socket.write(
-          JSON.stringify({
-            type: "register_response",
-            success: false,
-            error: "Port forwards are now managed server-side via database"
-          }) + "\n"
-        );
+        this.sendMessage(socket, {
+          type: "register_response",
+          success: false,
+          error: "Port forwards are now managed server-side via database"
+        });
         break;
       case "heartbeat":
         // Reset heartbeat timeout on each heartbeat
         if (startHeartbeatTimeout) {
           startHeartbeatTimeout();
         }
-        socket.write(JSON.stringify({ type: "heartbeat_ack" }) + "\n");
+        this.sendMessage(socket, { type: "heartbeat_ack" });
         break;
       case "reverse_connection": {
         // Client wants the server to initiate connection to a target on server network
@@ -467,7 +718,7 @@ class FRPServer {
             const forward = forwards.find(f => f.name === proxyName && f.direction === 'reverse');
             if (!forward) {
               console.error(`Reverse forward [${proxyName}] not found for client ${socket.clientName}`);
-              socket.write(JSON.stringify({ type: 'reverse_failed', connectionId, error: 'Forward not found' }) + "\n");
+              this.sendMessage(socket, { type: 'reverse_failed', connectionId, error: 'Forward not found' });
               return;
             }
             const remoteIp = forward.remote_ip || '127.0.0.1';
@@ -481,23 +732,27 @@ class FRPServer {
                 targetSocket,
                 proxyName,
                 portForwardId: forward.id,
+                clientId: forward.client_id,
+                timer,
               });
               // Notify client to proceed opening data connection
-              socket.write(JSON.stringify({ type: 'reverse_ready', connectionId }) + "\n");
+              this.sendMessage(socket, { type: 'reverse_ready', connectionId });
             });
 
             targetSocket.setNoDelay(true);
 
             targetSocket.on('error', (err) => {
+              clearTimeout(timer);
               console.error(`Failed to connect target for reverse [${proxyName}]:`, err.message);
-              socket.write(JSON.stringify({ type: 'reverse_failed', connectionId, error: err.message }) + "\n");
+              this.sendMessage(socket, { type: 'reverse_failed', connectionId, error: err.message });
             });
 
-            // Timeout if client doesn't open data connection in time
-            setTimeout(() => {
+            // Timeout if client doesn't open data connection in time; cleared once it does
+            const timer = setTimeout(() => {
               const pending = this.pendingConnections.get(connectionId);
               if (pending && pending.targetSocket === targetSocket) {
                 console.log(`Reverse connection ${connectionId} timed out waiting for data socket`);
+                this.dataConnectionTimeouts.reverse++;
                 try { targetSocket.destroy(); } catch {}
                 this.pendingConnections.delete(connectionId);
               }
@@ -505,7 +760,7 @@ class FRPServer {
           })
           .catch(err => {
             console.error('Database error during reverse_connection:', err);
-            socket.write(JSON.stringify({ type: 'reverse_failed', connectionId, error: 'Server error' }) + "\n");
+            this.sendMessage(socket, { type: 'reverse_failed', connectionId, error: 'Server error' });
           });
         break;
       }
@@ -516,24 +771,41 @@ class FRPServer {
           console.error(`dynamic_ready for unknown or invalid connection ${connectionId}`);
           break;
         }
-        // SOCKS5 success reply
+        // SOCKS5 success reply (built from the address the client connected from) or HTTP "200 Connection Established"
+        try {
+          if (typeof pending.readyResponse === 'function') {
+            pending.clientSocket.write(pending.readyResponse(msg.address, msg.port));
+          } else if (pending.readyResponse) {
+            pending.clientSocket.write(pending.readyResponse);
+          }
+        } catch (e) {
+          console.error('Error sending dynamic connection reply:', e.message);
+        }
+        break;
+      }
+      case "dynamic_bind_ready": {
+        // First BIND reply: where the client is listening for the incoming connection
+        const { connectionId, address, port } = msg;
+        const pending = this.pendingConnections.get(connectionId);
+        if (!pending || !pending.clientSocket) {
+          console.error(`dynamic_bind_ready for unknown or invalid connection ${connectionId}`);
+          break;
+        }
         try {
-          const resp = Buffer.from([0x05, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
-          pending.clientSocket.write(resp);
+          pending.clientSocket.write(socks5.reply(socks5.REPLY_SUCCEEDED, address, port));
         } catch (e) {
-          console.error('Error sending SOCKS5 success:', e.message);
+          console.error('Error sending SOCKS5 BIND reply:', e.message);
         }
         break;
       }
       case "dynamic_failed": {
-        const { connectionId } = msg;
+        const { connectionId, reason } = msg;
         const pending = this.pendingConnections.get(connectionId);
         if (pending && pending.clientSocket) {
           try {
-            const resp = Buffer.from([0x05, 0x01, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
-            pending.clientSocket.write(resp);
+            // reason 'not_allowed': the client's destination policy refused the target
+            pending.clientSocket.end(reason === 'not_allowed' ? pending.deniedResponse : pending.failedResponse);
           } catch {}
-          try { pending.clientSocket.destroy(); } catch {}
           this.pendingConnections.delete(connectionId);
         } else {
           console.error(`dynamic_failed for unknown connection ${connectionId}`);
@@ -542,46 +814,84 @@ class FRPServer {
       }
       case "reverse_dynamic": {
         const { proxyName, connectionId, targetHost, targetPort } = msg;
-        if (!socket.clientId) {
-          console.error('reverse_dynamic received but clientId not set');
-          return;
+        if (!Number.isInteger(targetPort) || targetPort < 1 || targetPort > 65535) {
+          console.error(`Invalid target port ${targetPort} for reverse-dynamic [${proxyName}]`);
+          this.sendMessage(socket, { type: 'reverse_dynamic_failed', connectionId, error: 'Invalid target port' });
+          break;
         }
-        this.database.getPortForwardsByClient(socket.clientId)
-          .then(forwards => {
-            const forward = forwards.find(f => f.name === proxyName && f.direction === 'reverse-dynamic');
-            if (!forward) {
-              console.error(`Reverse-dynamic forward [${proxyName}] not found for client ${socket.clientName}`);
-              socket.write(JSON.stringify({ type: 'reverse_dynamic_failed', connectionId, error: 'Forward not found' }) + "\n");
+        this.findReverseDynamicForward(socket, proxyName, connectionId)
+          .then(async forward => {
+            if (!forward) return;
+            let address;
+            try {
+              address = await this.checkDestination(forward.id, proxyName, targetHost, targetPort);
+            } catch (err) {
+              console.error(`Failed to resolve ${targetHost} for reverse-dynamic [${proxyName}]:`, err.message);
+              this.sendMessage(socket, { type: 'reverse_dynamic_failed', connectionId, error: err.message });
+              return;
+            }
+            if (!address) {
+              this.sendMessage(socket, { type: 'reverse_dynamic_failed', connectionId, error: 'Destination not allowed', reason: 'not_allowed' });
               return;
             }
-            const targetSocket = net.createConnection(targetPort, targetHost, () => {
+            const targetSocket = net.createConnection(targetPort, address, () => {
               console.log(`Connected to server-side target ${targetHost}:${targetPort} for reverse-dynamic [${proxyName}]`);
               this.pendingConnections.set(connectionId, {
                 targetSocket,
                 proxyName,
                 portForwardId: forward.id,
+                clientId: forward.client_id,
+                timer,
               });
-              socket.write(JSON.stringify({ type: 'reverse_dynamic_ready', connectionId }) + "\n");
+              // The outgoing address becomes BND.ADDR/BND.PORT of the client's SOCKS5 reply
+              this.sendMessage(socket, { type: 'reverse_dynamic_ready', connectionId, address: normalizeAddress(targetSocket.localAddress), port: targetSocket.localPort });
             });
 
             targetSocket.setNoDelay(true);
             targetSocket.on('error', (err) => {
+              clearTimeout(timer);
               console.error(`Failed server-side target for reverse-dynamic [${proxyName}]:`, err.message);
-              socket.write(JSON.stringify({ type: 'reverse_dynamic_failed', connectionId, error: err.message }) + "\n");
+              this.sendMessage(socket, { type: 'reverse_dynamic_failed', connectionId, error: err.message });
             });
-            setTimeout(() => {
-              const pending = this.pendingConnections.get(connectionId);
-              if (pending && pending.targetSocket === targetSocket) {
-                console.log(`Reverse-dynamic connection ${connectionId} timed out waiting for data socket`);
-                try { targetSocket.destroy(); } catch {}
-                this.pendingConnections.delete(connectionId);
-              }
-            }, 10000);
+            const timer = this.expirePendingTarget(connectionId, targetSocket);
           })
-          .catch(err => {
-            console.error('Database error during reverse_dynamic:', err);
-            socket.write(JSON.stringify({ type: 'reverse_dynamic_failed', connectionId, error: 'Server error' }) + "\n");
-          });
+          .catch(err => this.failReverseDynamic(socket, connectionId, err));
+        break;
+      }
+      case "reverse_dynamic_bind": {
+        const { proxyName, connectionId } = msg;
+        this.findReverseDynamicForward(socket, proxyName, connectionId)
+          .then(forward => {
+            if (forward) this.startReverseSocksBind(socket, forward, connectionId);
+          })
+          .catch(err => this.failReverseDynamic(socket, connectionId, err));
+        break;
+      }
+      case "reverse_dynamic_udp": {
+        // Allow UDP datagrams for this forward before the client answers its UDP ASSOCIATE
+        const { proxyName, connectionId } = msg;
+        this.findReverseDynamicForward(socket, proxyName, connectionId)
+          .then(forward => {
+            if (!forward) return;
+            if (!socket.socksUdpForwards) {
+              socket.socksUdpForwards = new Map(); // forward name -> portForwardId
+            }
+            socket.socksUdpForwards.set(forward.name, forward.id);
+            this.sendMessage(socket, { type: 'reverse_dynamic_udp_ready', connectionId });
+          })
+          .catch(err => this.failReverseDynamic(socket, connectionId, err));
+        break;
+      }
+      case "socks_bind_cancel": {
+        this.closeSocksBindListener(msg.connectionId);
+        break;
+      }
+      case "udp_packet": {
+        // Reverse-dynamic UDP datagrams when there is no UDP channel
+        const { connectionId, data, targetHost, targetPort, proxyName } = msg;
+        if (connectionId && data) {
+          this.handleReverseUdpPacket(socket, connectionId, { targetHost, targetPort, proxyName }, Buffer.from(data, 'base64'));
+        }
         break;
       }
       case "udp_packet_response": {
@@ -599,6 +909,90 @@ class FRPServer {
     }
   }
 
+  // Merge the forwards a client declared in its handshake into port_forwards, marked client_declared.
+  // Declared rows are created or updated in place and the ones no longer declared (or now invalid)
+  // are removed; forwards managed in the web UI are never touched. Returns { name, success, error }
+  // per declared forward.
+  async mergeDeclaredForwards(socket, proxies) {
+    const client = await this.database.getClient(socket.clientId);
+    const existing = await this.database.getAllPortForwardsByClient(socket.clientId);
+    let ranges = null;
+    let denied = null;
+    if (!client.allow_declared_forwards) {
+      denied = 'This client is not allowed to declare port forwards';
+    } else {
+      try {
+        ranges = parsePortRanges(client.declared_ports);
+      } catch (err) {
+        denied = `Invalid declared port range for this client: ${err.message}`;
+      }
+    }
+
+    // Drop forwards the client no longer declares first so they don't count against its forward quota
+    const declaredNames = new Set(proxies.map(proxy => proxy && proxy.name ? String(proxy.name) : null));
+    const removeForward = async (forward, reason) => {
+      await this.database.deletePortForward(forward.id);
+      console.log(`Removed port forward [${forward.name}] ${reason} by client ${client.name}`);
+    };
+    for (const forward of existing) {
+      if (forward.client_declared && (denied || !declaredNames.has(forward.name))) {
+        await removeForward(forward, 'no longer declared');
+      }
+    }
+
+    const results = [];
+    const merged = new Set();
+    for (const proxy of proxies) {
+      const name = proxy && proxy.name ? String(proxy.name) : '(unnamed)';
+      try {
+        if (denied) {
+          throw new Error(denied);
+        }
+        const fields = normalizeDeclaredProxy(proxy);
+        if (merged.has(fields.name)) {
+          throw new Error('Duplicate proxy name');
+        }
+        const current = existing.find(f => f.name === fields.name);
+        if (current && !current.client_declared) {
+          throw new Error('Name is already used by a port forward managed on the server');
+        }
+        if (fields.remote_port) {
+          if (!portInRanges(fields.remote_port, ranges)) {
+            throw new Error(`Remote port ${fields.remote_port} is outside the ports allowed for this client`);
+          }
+          if (!await this.database.isRemotePortAvailable(fields.remote_port, current && current.id, null, this.config.proxyBindAddr)) {
+            throw new Error(`Remote port ${fields.remote_port} is already in use`);
+          }
+        }
+        fields.custom_domains = await vhost.validateVhostFields(fields, this.config, this.database, current && current.id);
+
+        if (current) {
+          const changed = Object.keys(fields).some(key => (current[key] ?? null) !== (fields[key] ?? null));
+          if (changed) {
+            await this.database.updatePortForward(current.id, fields);
+          }
+        } else {
+          await this.database.createPortForward(socket.clientId, fields.name, fields.remote_port, fields.local_ip,
+            fields.local_port, fields.proxy_type, fields.direction, '127.0.0.1',
+            { custom_domains: fields.custom_domains, client_declared: 1 });
+        }
+        merged.add(fields.name);
+        results.push({ name: fields.name, success: true });
+      } catch (err) {
+        results.push({ name, success: false, error: err.message });
+      }
+    }
+
+    for (const forward of existing) {
+      if (forward.client_declared && !denied && declaredNames.has(forward.name) && !merged.has(forward.name)) {
+        await removeForward(forward, 'declared invalidly');
+      }
+    }
+    const rejected = results.filter(r => !r.success);
+    console.log(`Client [${client.name}] declared ${proxies.length} port forward(s), ${merged.size} merged${rejected.length ? `, rejected: ${rejected.map(r => `${r.name} (${r.error})`).join(', ')}` : ''}`);
+    return results;
+  }
+
   async createClientProxies(socket) {
     if (!socket.clientId) {
       console.error('Cannot create proxies: client ID not set');
@@ -607,24 +1001,31 @@ class FRPServer {
 
     try {
       const portForwards = await this.database.getPortForwardsByClient(socket.clientId);
+      const client = await this.database.getClient(socket.clientId);
+      if (client) {
+        this.syncLimits(client, portForwards);
+      }
 
       for (const forward of portForwards) {
         const direction = forward.direction || 'forward';
         const proxyType = normalizeProxyType(forward.proxy_type);
         const remote_ip = forward.remote_ip || '127.0.0.1';
         if (direction === 'forward') {
-          if (proxyType === 'udp') {
+          if (vhost.VHOST_PROXY_TYPES.includes(proxyType)) {
+            this.registerVhostRoutes(socket, forward);
+          } else if (proxyType === 'udp') {
             await this.createUdpProxyServer(socket, {
               name: forward.name,
+              bindAddress: this.forwardBindAddress(forward),
               remotePort: forward.remote_port,
               localIp: forward.local_ip || '127.0.0.1',
               localPort: forward.local_port,
               portForwardId: forward.id,
             });
-            console.log(`UDP proxy [${forward.name}] listening on port ${forward.remote_port}`);
           } else {
             await this.createProxyServer(socket, {
               name: forward.name,
+              bindAddress: this.forwardBindAddress(forward),
               remotePort: forward.remote_port,
               proxyType,
               portForwardId: forward.id,
@@ -633,11 +1034,12 @@ class FRPServer {
         } else if (direction === 'dynamic') {
           await this.createProxyServer(socket, {
             name: forward.name,
+            bindAddress: this.forwardBindAddress(forward),
             remotePort: forward.remote_port,
-            proxyType: 'socks5',
+            proxyType: listenerType(forward),
             portForwardId: forward.id,
           });
-          console.log(`Dynamic SOCKS5 [${forward.name}] listening on ${forward.remote_port}`);
+          console.log(`Dynamic ${describeDynamicProxy(forward)} [${forward.name}] listening on ${formatListenAddress(this.forwardBindAddress(forward), forward.remote_port)}`);
         } else if (direction === 'reverse') {
           console.log(`Reverse forward [${forward.name}] configured: client will listen on ${forward.local_ip}:${forward.local_port}, server will connect to ${remote_ip}:${forward.remote_port}`);
         } else if (direction === 'reverse-dynamic') {
@@ -649,39 +1051,69 @@ class FRPServer {
     }
   }
 
-  async createProxyServer(controlSocket, { name, remotePort, proxyType, portForwardId }) {
-    // Check if port is already in use
-    if (this.proxyServers.has(remotePort)) {
-      console.error(`Port ${remotePort} already in use`);
+  // Where a forward's listener binds: its own bind_address, else the server's proxyBindAddr, else all interfaces
+  forwardBindAddress(forward) {
+    return forward.bind_address || this.config.proxyBindAddr || null;
+  }
+
+  // Running listener that would compete with one on bindAddress and port
+  findListenerConflict(bindAddress, port) {
+    for (const proxy of this.proxyServers.values()) {
+      if (proxy.remotePort === port && bindAddressesOverlap(proxy.bindAddress, bindAddress)) {
+        return proxy;
+      }
+    }
+    return null;
+  }
+
+  addProxyListener(controlSocket, listenAddress, proxy) {
+    this.proxyServers.set(listenAddress, proxy);
+    if (!this.clients.has(controlSocket)) {
+      this.clients.set(controlSocket, []);
+    }
+    this.clients.get(controlSocket).push(listenAddress);
+    this.emit('proxy_listen', describeProxyListener(listenAddress, proxy));
+  }
+
+  async createProxyServer(controlSocket, { name, bindAddress = null, remotePort, proxyType, portForwardId }) {
+    const listenAddress = formatListenAddress(bindAddress, remotePort);
+    const conflict = this.findListenerConflict(bindAddress, remotePort);
+    if (conflict) {
+      console.error(`Cannot start proxy [${name}]: ${listenAddress} is already used by proxy [${conflict.name}]`);
       return;
     }
 
     // Create proxy server for this remote port
-    const proxyServer = net.createServer((clientSocket) => {
+    const proxyServer = trackConnections(net.createServer((clientSocket) => {
       clientSocket.setNoDelay(true);
+      if (!this.checkSourceAddress(portForwardId, name, clientSocket.remoteAddress)) {
+        clientSocket.destroy();
+        return;
+      }
       if (proxyType === 'socks5') {
         this.handleSocks5ForwardConnection(controlSocket, clientSocket, name, portForwardId);
+      } else if (proxyType === 'http-connect') {
+        this.handleHttpProxyConnection(controlSocket, clientSocket, name, portForwardId);
       } else {
         this.handleProxyConnection(controlSocket, clientSocket, name, portForwardId);
       }
-    });
+    }));
 
     return new Promise((resolve, reject) => {
-      proxyServer.listen(remotePort, () => {
-        console.log(`Proxy [${name}] listening on port ${remotePort}`);
+      // Without a bind address Node listens dual-stack on :: (or 0.0.0.0 on hosts without IPv6)
+      proxyServer.listen({ port: remotePort, host: bindAddress || undefined }, () => {
+        console.log(`Proxy [${name}] listening on ${listenAddress}`);
 
-        this.proxyServers.set(remotePort, {
+        this.addProxyListener(controlSocket, listenAddress, {
           server: proxyServer,
           name: name,
           controlSocket: controlSocket,
           portForwardId: portForwardId,
+          type: proxyType,
+          bindAddress,
+          remotePort,
         });
 
-        if (!this.clients.has(controlSocket)) {
-          this.clients.set(controlSocket, []);
-        }
-        this.clients.get(controlSocket).push(remotePort);
-
         resolve();
       });
 
@@ -692,18 +1124,23 @@ class FRPServer {
     });
   }
 
-  async createUdpProxyServer(controlSocket, { name, remotePort, localIp, localPort, portForwardId }) {
-    if (this.proxyServers.has(remotePort)) {
-      console.error(`Port ${remotePort} already in use`);
+  async createUdpProxyServer(controlSocket, { name, bindAddress = null, remotePort, localIp, localPort, portForwardId }) {
+    const listenAddress = formatListenAddress(bindAddress, remotePort);
+    const conflict = this.findListenerConflict(bindAddress, remotePort);
+    if (conflict) {
+      console.error(`Cannot start UDP proxy [${name}]: ${listenAddress} is already used by proxy [${conflict.name}]`);
       return;
     }
 
-    const udpServer = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const udpServer = await bindUdpSocket(bindAddress, remotePort);
 
     udpServer.on('message', (msg, rinfo) => {
       if (!controlSocket || controlSocket.destroyed) {
         return;
       }
+      if (!this.checkSourceAddress(portForwardId, name, rinfo.address)) {
+        return;
+      }
       const remoteKey = `${portForwardId}:${rinfo.address}:${rinfo.port}`;
       let connectionId = this.udpRemoteMap.get(remoteKey);
       let session = connectionId ? this.udpSessions.get(connectionId) : null;
@@ -723,11 +1160,18 @@ class FRPServer {
           remoteKey,
           timer: null,
           initialized: false,
+          openedAt: Date.now(),
+          bytesIn: 0,
+          bytesOut: 0,
         };
         this.udpSessions.set(connectionId, session);
         this.udpRemoteMap.set(remoteKey, connectionId);
       }
 
+      // Datagrams cannot be held back, so over-limit ones are dropped
+      if (!this.tryConsumeRateLimit(portForwardId, 'down', msg.length)) {
+        return;
+      }
       this.sendUdpPacketToClient(session, msg, !session.initialized);
       this.refreshUdpSessionTimer(session);
     });
@@ -741,28 +1185,65 @@ class FRPServer {
       this.cleanupUdpSessionsForPortForward(portForwardId);
     });
 
-    return new Promise((resolve, reject) => {
-      udpServer.bind(remotePort, () => {
-        this.proxyServers.set(remotePort, {
-          server: udpServer,
-          name,
-          controlSocket,
-          portForwardId,
-          type: 'udp',
-        });
+    this.addProxyListener(controlSocket, listenAddress, {
+      server: udpServer,
+      name,
+      controlSocket,
+      portForwardId,
+      type: 'udp',
+      bindAddress,
+      remotePort,
+    });
+    console.log(`UDP proxy [${name}] listening on ${listenAddress}`);
+  }
 
-        if (!this.clients.has(controlSocket)) {
-          this.clients.set(controlSocket, []);
-        }
-        this.clients.get(controlSocket).push(remotePort);
+  // Ask the client to open the data connection that carries its binary UDP frames
+  requestUdpChannel(controlSocket) {
+    const connectionId = genConnectionId();
+    const pending = {
+      udpChannel: true,
+      controlSocket,
+      ownerClientId: controlSocket.clientId,
+    };
+    this.pendingConnections.set(connectionId, pending);
+    this.sendMessage(controlSocket, { type: 'udp_channel', connectionId });
 
-        resolve();
-      });
+    // Until the channel is up (or if it never comes) datagrams fall back to the control socket
+    pending.timer = setTimeout(() => {
+      const pending = this.pendingConnections.get(connectionId);
+      if (pending && pending.udpChannel) {
+        console.log(`UDP channel ${connectionId} timed out, using control connection for UDP`);
+        this.dataConnectionTimeouts.udp_channel++;
+        this.pendingConnections.delete(connectionId);
+      }
+    }, 10000);
+  }
 
-      udpServer.once('error', (err) => {
-        reject(err);
-      });
+  attachUdpChannel(controlSocket, socket, initialData) {
+    if (!controlSocket || controlSocket.destroyed) {
+      socket.destroy();
+      return;
+    }
+    const channel = new UdpChannel(socket);
+    controlSocket.udpChannel = channel;
+    channel.on('open', (connectionId, target, payload) => {
+      this.handleReverseUdpPacket(controlSocket, connectionId, target, payload);
+    });
+    channel.on('packet', (connectionId, payload) => {
+      this.handleUdpResponse(controlSocket, connectionId, payload);
+    });
+    channel.on('session_close', (connectionId) => {
+      this.closeUdpSession(connectionId, false);
     });
+    channel.on('close', () => {
+      if (controlSocket.udpChannel === channel) {
+        controlSocket.udpChannel = null;
+      }
+    });
+    if (initialData && initialData.length > 0) {
+      channel.handleData(initialData);
+    }
+    console.log(`UDP channel established for client ${controlSocket.clientName}`);
   }
 
   sendUdpPacketToClient(session, payload, includeTarget) {
@@ -771,6 +1252,18 @@ class FRPServer {
         this.closeUdpSession(session.connectionId, false);
         return;
       }
+      session.bytesOut += payload.length;
+
+      const channel = session.controlSocket.udpChannel;
+      if (channel && (!includeTarget || UdpChannel.canOpen(session.connectionId, session))) {
+        if (includeTarget) {
+          channel.sendOpen(session.connectionId, session, payload);
+          session.initialized = true;
+        } else {
+          channel.sendPacket(session.connectionId, payload);
+        }
+        return;
+      }
 
       const message = {
         type: 'udp_packet',
@@ -783,7 +1276,7 @@ class FRPServer {
         message.targetPort = session.targetPort;
         session.initialized = true;
       }
-      session.controlSocket.write(JSON.stringify(message) + '\n');
+      this.sendMessage(session.controlSocket, message);
     } catch (err) {
       console.error('Failed to forward UDP packet to client:', err.message);
     }
@@ -808,6 +1301,7 @@ class FRPServer {
   }
 
   closeUdpSession(connectionId, notifyClient = true) {
+    this.pendingUdpChecks.delete(connectionId);
     const session = this.udpSessions.get(connectionId);
     if (!session) {
       return;
@@ -819,9 +1313,16 @@ class FRPServer {
     if (session.remoteKey) {
       this.udpRemoteMap.delete(session.remoteKey);
     }
+    if (session.ownsSocket) {
+      try { session.udpServer.close(); } catch {}
+    }
     if (notifyClient && session.controlSocket && !session.controlSocket.destroyed) {
       try {
-        session.controlSocket.write(JSON.stringify({ type: 'udp_close', connectionId }) + '\n');
+        if (session.controlSocket.udpChannel) {
+          session.controlSocket.udpChannel.sendClose(connectionId);
+        } else {
+          this.sendMessage(session.controlSocket, { type: 'udp_close', connectionId });
+        }
       } catch (err) {
         console.error('Failed to notify client about UDP close:', err.message);
       }
@@ -834,159 +1335,499 @@ class FRPServer {
       return;
     }
 
+    try {
+      this.handleUdpResponse(socket, connectionId, Buffer.from(data, 'base64'));
+    } catch (err) {
+      console.error('Failed to handle udp_packet_response:', err.message);
+    }
+  }
+
+  // Relay a datagram from the client back to the remote peer of its session
+  handleUdpResponse(socket, connectionId, payload) {
     const session = this.udpSessions.get(connectionId);
     if (!session) {
-      console.error(`udp_packet_response for unknown connection ${connectionId}`);
+      console.error(`UDP response for unknown connection ${connectionId}`);
       return;
     }
 
     if (session.controlSocket !== socket) {
-      console.error(`udp_packet_response from mismatched client for connection ${connectionId}`);
+      console.error(`UDP response from mismatched client for connection ${connectionId}`);
       return;
     }
 
-    try {
-      const payload = Buffer.from(data, 'base64');
-      session.udpServer.send(payload, session.remotePort, session.remoteAddress, (err) => {
-        if (err) {
-          console.error(`Failed to send UDP response for connection ${connectionId}:`, err.message);
-        }
-      });
+    if (!this.tryConsumeRateLimit(session.portForwardId, 'up', payload.length)) {
       this.refreshUdpSessionTimer(session);
-    } catch (err) {
-      console.error('Failed to handle udp_packet_response:', err.message);
+      return;
+    }
+
+    session.bytesIn += payload.length;
+    // SOCKS5 UDP relays tell the SOCKS client which destination answered
+    const datagram = session.responseHeader ? Buffer.concat([session.responseHeader, payload]) : payload;
+    session.udpServer.send(datagram, session.remotePort, session.remoteAddress, (err) => {
+      if (err) {
+        console.error(`Failed to send UDP response for connection ${connectionId}:`, err.message);
+      }
+    });
+    this.refreshUdpSessionTimer(session);
+  }
+
+  // SOCKS5 handshake + dynamic forward: external client speaks SOCKS to server; server instructs client to connect to target.
+  // initialData: bytes already read from clientSocket (protocol detection on http-connect forwards)
+  handleSocks5ForwardConnection(controlSocket, clientSocket, proxyName, portForwardId, initialData = null) {
+    // Over-limit clients still get a proper SOCKS reply ("not allowed by ruleset") to their request
+    const limit = this.admitConnection(portForwardId, clientSocket);
+    if (limit) {
+      console.log(`Connection to SOCKS5 proxy [${proxyName}] refused: ${limit} limit reached`);
     }
+    const limiter = this.limiters.get(`forward:${portForwardId}`);
+
+    socks5.acceptConnection(clientSocket, {
+      auth: limiter ? limiter.socksAuth : null,
+      label: `SOCKS5 proxy [${proxyName}]`,
+      initialData,
+      onRequest: (request, rest) => {
+        if (limit) {
+          clientSocket.end(socks5.reply(socks5.REPLY_NOT_ALLOWED));
+          return;
+        }
+        if (!request.host) {
+          clientSocket.end(socks5.reply(socks5.REPLY_ADDRESS_NOT_SUPPORTED));
+          return;
+        }
+        if (request.cmd === socks5.CMD_UDP_ASSOCIATE) {
+          this.startSocksUdpAssociation(controlSocket, clientSocket, proxyName, portForwardId);
+          return;
+        }
+        if (request.cmd !== socks5.CMD_CONNECT && request.cmd !== socks5.CMD_BIND) {
+          clientSocket.end(socks5.reply(socks5.REPLY_COMMAND_NOT_SUPPORTED));
+          return;
+        }
+        this.startDynamicConnection(controlSocket, clientSocket, {
+          proxyName,
+          portForwardId,
+          targetHost: request.host,
+          targetPort: request.port,
+          preData: rest,
+          bind: request.cmd === socks5.CMD_BIND,
+          readyResponse: (address, port) => socks5.reply(socks5.REPLY_SUCCEEDED, address, port),
+          failedResponse: socks5.reply(socks5.REPLY_GENERAL_FAILURE),
+          deniedResponse: socks5.reply(socks5.REPLY_NOT_ALLOWED),
+        });
+      },
+    });
   }
 
-  // SOCKS5 handshake + dynamic forward: external client speaks SOCKS to server; server instructs client to connect to target
-  handleSocks5ForwardConnection(controlSocket, clientSocket, proxyName, portForwardId) {
+  // HTTP proxy on an http-connect dynamic forward: CONNECT tunnels and absolute-URI requests
+  // (GET http://host/path) both become dynamic connections dialed by the client. SOCKS5 clients
+  // are served on the same port, recognized by their first byte.
+  handleHttpProxyConnection(controlSocket, clientSocket, proxyName, portForwardId) {
     let buf = Buffer.alloc(0);
-    let stage = 'greet';
-    let connectionId = null;
-    // Buffer for any client data arriving after SOCKS request while we wait for data connection
-    let clientPreData = Buffer.alloc(0);
+
+    const reject = (status, message, headers) => {
+      try { clientSocket.end(vhost.renderErrorResponse(status, message, headers)); } catch {}
+    };
 
     const onData = (data) => {
       buf = Buffer.concat([buf, data]);
+      if (buf[0] === socks5.SOCKS_VERSION) {
+        clientSocket.removeListener('data', onData);
+        this.handleSocks5ForwardConnection(controlSocket, clientSocket, proxyName, portForwardId, buf);
+        return;
+      }
+      let head;
       try {
-        if (stage === 'greet') {
-          if (buf.length < 2) return;
-          const ver = buf[0];
-          const nmethods = buf[1];
-          const need = 2 + nmethods;
-          if (ver !== 0x05) {
-            clientSocket.destroy();
-            return;
-          }
-          if (buf.length < need) return; // wait more
-          // consume
-          buf = buf.slice(need);
-          // reply: no auth
-          clientSocket.write(Buffer.from([0x05, 0x00]));
-          stage = 'request';
-        }
-        if (stage === 'request') {
-          if (buf.length < 4) return;
-          const ver2 = buf[0];
-          const cmd = buf[1];
-          const atyp = buf[3];
-          if (ver2 !== 0x05) { clientSocket.destroy(); return; }
-          if (cmd !== 0x01) {
-            clientSocket.write(Buffer.from([0x05, 0x07, 0x00, 0x01, 0,0,0,0, 0,0]));
-            clientSocket.destroy();
-            return;
-          }
-          let addr = '';
-          let port = 0;
-          let offset = 4;
-          if (atyp === 0x01) { // IPv4
-            if (buf.length < offset + 4 + 2) return;
-            addr = `${buf[offset]}.${buf[offset+1]}.${buf[offset+2]}.${buf[offset+3]}`;
-            offset += 4;
-          } else if (atyp === 0x03) { // domain
-            if (buf.length < offset + 1) return;
-            const len = buf[offset];
-            if (buf.length < offset + 1 + len + 2) return;
-            addr = buf.slice(offset + 1, offset + 1 + len).toString('utf8');
-            offset += 1 + len;
-          } else if (atyp === 0x04) { // IPv6
-            if (buf.length < offset + 16 + 2) return;
-            const a = [];
-            for (let i = 0; i < 16; i+=2) {
-              a.push(buf.slice(offset+i, offset+i+2).toString('hex'));
-            }
-            addr = a.join(':');
-            offset += 16;
-          } else {
-            clientSocket.write(Buffer.from([0x05, 0x08, 0x00, 0x01, 0,0,0,0, 0,0]));
-            clientSocket.destroy();
-            return;
-          }
-          port = (buf[offset] << 8) + buf[offset+1];
-          buf = buf.slice(offset + 2);
-
-          // Ask client to connect to target; data path established upon data_connection
-          connectionId = genConnectionId();
-          this.pendingConnections.set(connectionId, {
-            clientSocket,
-            proxyName,
-            portForwardId,
-            // Store any early client data to forward once data socket is ready
-            clientPreData,
-            // Save reference to this data handler so we can remove it once piping is established
-            clientOnData: onData,
-            ownerClientId: controlSocket.clientId,
-          });
-          controlSocket.write(
-            JSON.stringify({ type: 'dynamic_connection', proxyName, connectionId, targetHost: addr, targetPort: port }) + "\n"
-          );
-
-          // Timeout for dynamic connection; store timer so it can be cleared on data connection
-          const timer = setTimeout(() => {
-            const pending = this.pendingConnections.get(connectionId);
-            if (pending && pending.clientSocket === clientSocket) {
-              console.log(`Dynamic connection ${connectionId} timed out`);
-              try { clientSocket.destroy(); } catch {}
-              this.pendingConnections.delete(connectionId);
-            }
-          }, this.config.dynamicTimeoutMs || 15000);
-          const p = this.pendingConnections.get(connectionId);
-          if (p) p.timer = timer;
+        head = vhost.parseHttpRequestHead(buf);
+      } catch (err) {
+        clientSocket.removeListener('data', onData);
+        reject(err.message === 'Request header too large' ? 431 : 400, err.message);
+        return;
+      }
+      if (!head) return;
+      clientSocket.removeListener('data', onData);
+      // The socket keeps flowing while credentials are checked, so collect what arrives meanwhile
+      let rest = buf.subarray(head.length);
+      const collect = (more) => { rest = Buffer.concat([rest, more]); };
+      clientSocket.on('data', collect);
+
+      const limit = this.admitConnection(portForwardId, clientSocket);
+      if (limit) {
+        console.log(`Connection to HTTP proxy [${proxyName}] refused: ${limit} limit reached`);
+        reject(503, 'Too many connections, try again later');
+        return;
+      }
 
-          stage = 'wait';
-        }
-        // While waiting for data connection, accumulate any client payload
-        if (stage === 'wait') {
-          if (buf.length > 0 && connectionId) {
-            const pending = this.pendingConnections.get(connectionId);
-            if (pending) {
-              // Append and clear local buffer
-              pending.clientPreData = Buffer.concat([pending.clientPreData || Buffer.alloc(0), buf]);
-              buf = Buffer.alloc(0);
-            }
-          }
-        }
-      } catch (e) {
-        console.error('SOCKS5 handshake error:', e.message);
-        try { clientSocket.destroy(); } catch {}
+      let target;
+      try {
+        target = httpproxy.resolveTarget(head);
+      } catch (err) {
+        reject(400, err.message);
+        return;
       }
+
+      this.checkHttpProxyAuth(portForwardId, proxyName, clientSocket, head).then((allowed) => {
+        clientSocket.removeListener('data', collect);
+        if (clientSocket.destroyed) return;
+        if (!allowed) {
+          reject(407, 'Proxy authentication required', httpproxy.PROXY_AUTHENTICATE);
+          return;
+        }
+        const connect = head.method === 'CONNECT';
+        this.startDynamicConnection(controlSocket, clientSocket, {
+          proxyName,
+          portForwardId,
+          targetHost: target.host,
+          targetPort: target.port,
+          // Plain requests are replayed to the origin server with the rewritten head, and the
+          // browser is told to close the connection after the response
+          preData: connect ? rest : Buffer.concat([target.head, rest]),
+          responseFilter: connect ? null : new httpproxy.CloseAfterResponse(),
+          readyResponse: connect ? Buffer.from(httpproxy.CONNECT_ESTABLISHED) : null,
+          failedResponse: vhost.renderErrorResponse(502, `Could not connect to ${target.host}:${target.port}`),
+          deniedResponse: vhost.renderErrorResponse(403, `Access to ${target.host}:${target.port} is not allowed`),
+        });
+      });
     };
 
     clientSocket.on('data', onData);
+  }
+
+  // http-connect forwards share the SOCKS5 credentials, sent as Proxy-Authorization: Basic
+  async checkHttpProxyAuth(portForwardId, proxyName, clientSocket, head) {
+    const limiter = this.limiters.get(`forward:${portForwardId}`);
+    const auth = limiter ? limiter.socksAuth : null;
+    if (!auth) {
+      return true;
+    }
+    const credentials = httpproxy.parseProxyAuthorization(head);
+    if (!credentials) {
+      return false;
+    }
+    const passwordMatches = await socks5.verifyPassword(credentials.password, auth.passwordHash);
+    if (credentials.username !== auth.username || !passwordMatches) {
+      console.log(`HTTP proxy [${proxyName}]: authentication failed for user "${credentials.username}" from ${clientSocket.remoteAddress}`);
+      return false;
+    }
+    return true;
+  }
+
+  // Ask the client to connect to a target for a dynamic forward (or, for BIND, to accept a
+  // connection from it); the data path is established upon data_connection. readyResponse,
+  // failedResponse and deniedResponse (destination policy) are written to clientSocket when the
+  // client reports back; readyResponse may be a function of the client's outgoing address and port.
+  // responseFilter, a Transform, sees the target's data on its way to clientSocket.
+  startDynamicConnection(controlSocket, clientSocket, { proxyName, portForwardId, targetHost, targetPort, preData, bind = false, readyResponse, failedResponse, deniedResponse, responseFilter = null }) {
+    const connectionId = genConnectionId();
+    const pending = {
+      clientSocket,
+      proxyName,
+      portForwardId,
+      // Early client data is forwarded once the data socket is ready
+      clientPreData: preData,
+      ownerClientId: controlSocket.clientId,
+      bind,
+      readyResponse,
+      failedResponse,
+      deniedResponse,
+      responseFilter,
+    };
+    // Removed again once piping is established
+    pending.clientOnData = (data) => {
+      pending.clientPreData = Buffer.concat([pending.clientPreData, data]);
+    };
+    clientSocket.on('data', pending.clientOnData);
+    this.pendingConnections.set(connectionId, pending);
+    this.sendMessage(controlSocket, {
+      type: bind ? 'dynamic_bind' : 'dynamic_connection',
+      proxyName,
+      connectionId,
+      targetHost,
+      targetPort,
+    });
+
+    // Timeout for dynamic connection; store timer so it can be cleared on data connection
+    pending.timer = setTimeout(() => {
+      if (this.pendingConnections.get(connectionId) === pending) {
+        console.log(`Dynamic connection ${connectionId} timed out`);
+        this.dataConnectionTimeouts.dynamic++;
+        try { clientSocket.destroy(); } catch {}
+        this.pendingConnections.delete(connectionId);
+      }
+    }, bind ? socks5.BIND_TIMEOUT_MS : (this.config.dynamicTimeoutMs || 15000));
+
     const cleanupPending = () => {
-      if (connectionId) {
-        const pending = this.pendingConnections.get(connectionId);
-        if (pending && pending.clientSocket === clientSocket) {
-          if (pending.timer) { try { clearTimeout(pending.timer); } catch {} }
-          this.pendingConnections.delete(connectionId);
+      if (this.pendingConnections.get(connectionId) === pending) {
+        if (pending.timer) {
+          try { clearTimeout(pending.timer); } catch {}
+          // Still waiting for the BIND connection: stop the client's listener
+          if (bind && !controlSocket.destroyed) {
+            this.sendMessage(controlSocket, { type: 'socks_bind_cancel', connectionId });
+          }
         }
+        this.pendingConnections.delete(connectionId);
       }
     };
     clientSocket.on('error', cleanupPending);
     clientSocket.on('close', cleanupPending);
   }
 
-  handleProxyConnection(controlSocket, clientSocket, proxyName, portForwardId) {
+  // UDP ASSOCIATE on a dynamic forward: the SOCKS client sends datagrams to a relay socket next to
+  // the SOCKS port and they reach the FRP client as ordinary UDP sessions, one per destination.
+  // The association lasts as long as the TCP connection that requested it.
+  startSocksUdpAssociation(controlSocket, clientSocket, proxyName, portForwardId) {
+    const associationId = genConnectionId();
+    const clientAddress = normalizeAddress(clientSocket.remoteAddress);
+    const relayAddress = normalizeAddress(clientSocket.localAddress);
+    const relay = dgram.createSocket(net.isIP(relayAddress) === 6 ? 'udp6' : 'udp4');
+
+    relay.on('message', (msg, rinfo) => {
+      // Only the SOCKS client that opened the association may use it
+      if (normalizeAddress(rinfo.address) !== clientAddress || !controlSocket || controlSocket.destroyed) {
+        return;
+      }
+      const datagram = socks5.parseUdpDatagram(msg);
+      // Fragments are optional in RFC 1928 and dropped here
+      if (!datagram || datagram.frag !== 0) {
+        return;
+      }
+      const remoteKey = `${portForwardId}:${associationId}:${rinfo.port}:${datagram.host}:${datagram.port}`;
+      let connectionId = this.udpRemoteMap.get(remoteKey);
+      let session = connectionId ? this.udpSessions.get(connectionId) : null;
+      if (!session) {
+        connectionId = genConnectionId();
+        session = {
+          connectionId,
+          proxyName,
+          portForwardId,
+          controlSocket,
+          udpServer: relay,
+          remoteAddress: rinfo.address,
+          remotePort: rinfo.port,
+          targetHost: datagram.host,
+          targetPort: datagram.port,
+          remoteKey,
+          associationId,
+          responseHeader: socks5.udpHeader(datagram.host, datagram.port),
+          timer: null,
+          initialized: false,
+          openedAt: Date.now(),
+          bytesIn: 0,
+          bytesOut: 0,
+        };
+        this.udpSessions.set(connectionId, session);
+        this.udpRemoteMap.set(remoteKey, connectionId);
+      }
+      if (!this.tryConsumeRateLimit(portForwardId, 'down', datagram.data.length)) {
+        return;
+      }
+      this.sendUdpPacketToClient(session, datagram.data, !session.initialized);
+      this.refreshUdpSessionTimer(session);
+    });
+
+    relay.on('error', (err) => {
+      console.error(`SOCKS5 UDP relay [${proxyName}] error:`, err.message);
+      clientSocket.destroy();
+    });
+
+    clientSocket.on('close', () => {
+      try { relay.close(); } catch {}
+      for (const [connectionId, session] of this.udpSessions.entries()) {
+        if (session.associationId === associationId) {
+          this.closeUdpSession(connectionId, true);
+        }
+      }
+    });
+
+    relay.bind(0, relayAddress, () => {
+      const { port } = relay.address();
+      console.log(`SOCKS5 UDP association on [${proxyName}] for ${clientAddress}, relay ${relayAddress}:${port}`);
+      clientSocket.write(socks5.reply(socks5.REPLY_SUCCEEDED, relayAddress, port));
+    });
+  }
+
+  // Datagram from a reverse-dynamic client's SOCKS5 UDP association. The first one of a session
+  // carries its destination on the server side; later ones are relayed like any UDP response.
+  handleReverseUdpPacket(controlSocket, connectionId, { targetHost, targetPort, proxyName }, payload) {
+    if (this.udpSessions.has(connectionId)) {
+      this.handleUdpResponse(controlSocket, connectionId, payload);
+      return;
+    }
+    // Datagrams arriving while the destination policy is checked wait for the session
+    const queued = this.pendingUdpChecks.get(connectionId);
+    if (queued) {
+      queued.push(payload);
+      return;
+    }
+    const portForwardId = controlSocket.socksUdpForwards && controlSocket.socksUdpForwards.get(proxyName);
+    if (!portForwardId || !targetHost || !targetPort) {
+      console.error(`UDP datagram for unknown reverse-dynamic forward [${proxyName || 'unknown'}]`);
+      this.sendMessage(controlSocket, { type: 'udp_close', connectionId });
+      return;
+    }
+
+    this.pendingUdpChecks.set(connectionId, [payload]);
+    this.checkDestination(portForwardId, proxyName, targetHost, targetPort)
+      .catch((err) => {
+        console.error(`Failed to resolve ${targetHost} for reverse-dynamic [${proxyName}]:`, err.message);
+        return null;
+      })
+      .then((address) => {
+        const payloads = this.pendingUdpChecks.get(connectionId);
+        this.pendingUdpChecks.delete(connectionId);
+        if (!payloads || controlSocket.destroyed) {
+          return;
+        }
+        if (!address) {
+          this.sendMessage(controlSocket, { type: 'udp_close', connectionId });
+          return;
+        }
+        this.openReverseUdpSession(controlSocket, connectionId, proxyName, portForwardId, address, targetPort);
+        payloads.forEach(data => this.handleUdpResponse(controlSocket, connectionId, data));
+      });
+  }
+
+  openReverseUdpSession(controlSocket, connectionId, proxyName, portForwardId, targetHost, targetPort) {
+    const socket = dgram.createSocket(net.isIP(targetHost) === 6 ? 'udp6' : 'udp4');
+    const session = {
+      connectionId,
+      proxyName,
+      portForwardId,
+      controlSocket,
+      udpServer: socket,
+      remoteAddress: targetHost,
+      remotePort: targetPort,
+      ownsSocket: true,
+      timer: null,
+      initialized: true,
+      openedAt: Date.now(),
+      bytesIn: 0,
+      bytesOut: 0,
+    };
+    socket.on('message', (msg) => {
+      if (!this.tryConsumeRateLimit(portForwardId, 'down', msg.length)) {
+        return;
+      }
+      this.sendUdpPacketToClient(session, msg, false);
+      this.refreshUdpSessionTimer(session);
+    });
+    socket.on('error', (err) => {
+      console.error(`Reverse-dynamic UDP session [${proxyName}] error:`, err.message);
+      this.closeUdpSession(connectionId, true);
+    });
+    this.udpSessions.set(connectionId, session);
+  }
+
+  // Resolves to the client's reverse-dynamic forward named proxyName, or null after telling the client
+  async findReverseDynamicForward(socket, proxyName, connectionId) {
+    if (!socket.clientId) {
+      console.error('reverse-dynamic request received but clientId not set');
+      return null;
+    }
+    try {
+      const forwards = await this.database.getPortForwardsByClient(socket.clientId);
+      const forward = forwards.find(f => f.name === proxyName && f.direction === 'reverse-dynamic');
+      if (!forward) {
+        console.error(`Reverse-dynamic forward [${proxyName}] not found for client ${socket.clientName}`);
+        this.sendMessage(socket, { type: 'reverse_dynamic_failed', connectionId, error: 'Forward not found' });
+      }
+      return forward || null;
+    } catch (err) {
+      console.error('Database error during reverse-dynamic request:', err);
+      this.sendMessage(socket, { type: 'reverse_dynamic_failed', connectionId, error: 'Server error' });
+      return null;
+    }
+  }
+
+  // Something threw while serving a reverse-dynamic request: log it and tell the client
+  failReverseDynamic(socket, connectionId, err) {
+    console.error('Error during reverse-dynamic request:', err);
+    try {
+      this.sendMessage(socket, { type: 'reverse_dynamic_failed', connectionId, error: 'Server error' });
+    } catch {}
+  }
+
+  // Drop a server-side target socket if the client never opens its data connection; returns the
+  // timer, which handleIncomingDataConnection clears when stored as the pending connection's timer
+  expirePendingTarget(connectionId, targetSocket) {
+    return setTimeout(() => {
+      const pending = this.pendingConnections.get(connectionId);
+      if (pending && pending.targetSocket === targetSocket) {
+        console.log(`Reverse-dynamic connection ${connectionId} timed out waiting for data socket`);
+        this.dataConnectionTimeouts['reverse-dynamic']++;
+        try { targetSocket.destroy(); } catch {}
+        this.pendingConnections.delete(connectionId);
+      }
+    }, 10000);
+  }
+
+  // BIND on a reverse-dynamic forward: listen on the server for the one connection the SOCKS5 user
+  // expects, then hand it to the client like a reverse-dynamic CONNECT
+  startReverseSocksBind(controlSocket, forward, connectionId) {
+    const bindAddress = normalizeAddress(controlSocket.localAddress);
+    const listener = net.createServer();
+    const fail = (error) => {
+      this.closeSocksBindListener(connectionId);
+      this.sendMessage(controlSocket, { type: 'reverse_dynamic_failed', connectionId, error });
+    };
+    const timer = setTimeout(() => {
+      console.log(`SOCKS5 BIND ${connectionId} on [${forward.name}] timed out`);
+      fail('BIND timed out');
+    }, socks5.BIND_TIMEOUT_MS);
+    this.socksBindListeners.set(connectionId, { listener, timer, controlSocket });
+
+    listener.on('error', (err) => {
+      console.error(`SOCKS5 BIND listener [${forward.name}] error:`, err.message);
+      fail(err.message);
+    });
+    listener.once('connection', (peer) => {
+      this.closeSocksBindListener(connectionId);
+      peer.setNoDelay(true);
+      peer.on('error', () => {});
+      const pending = {
+        targetSocket: peer,
+        proxyName: forward.name,
+        portForwardId: forward.id,
+      };
+      this.pendingConnections.set(connectionId, pending);
+      // Second BIND reply: who connected
+      this.sendMessage(controlSocket, {
+        type: 'reverse_dynamic_ready',
+        connectionId,
+        address: normalizeAddress(peer.remoteAddress),
+        port: peer.remotePort,
+      });
+      pending.timer = this.expirePendingTarget(connectionId, peer);
+    });
+    listener.listen(0, bindAddress, () => {
+      const { port } = listener.address();
+      console.log(`SOCKS5 BIND for reverse-dynamic [${forward.name}] listening on ${bindAddress}:${port}`);
+      this.sendMessage(controlSocket, { type: 'reverse_dynamic_bind_ready', connectionId, address: bindAddress, port });
+    });
+  }
+
+  closeSocksBindListener(connectionId) {
+    const entry = this.socksBindListeners.get(connectionId);
+    if (!entry) {
+      return;
+    }
+    this.socksBindListeners.delete(connectionId);
+    clearTimeout(entry.timer);
+    try { entry.listener.close(); } catch {}
+  }
+
+  // initialData: bytes already read from clientSocket (e.g. a request head used for routing)
+  // rejectResponse: written to clientSocket instead of just closing it when a connection limit is hit
+  handleProxyConnection(controlSocket, clientSocket, proxyName, portForwardId, { initialData = null, rejectResponse = null } = {}) {
+    const limit = this.admitConnection(portForwardId, clientSocket);
+    if (limit) {
+      console.log(`Connection to proxy [${proxyName}] refused: ${limit} limit reached`);
+      if (rejectResponse) {
+        try { clientSocket.end(rejectResponse); } catch {}
+      } else {
+        clientSocket.destroy();
+      }
+      return;
+    }
+
     const connectionId = genConnectionId();
 
     console.log(`New connection to proxy [${proxyName}], id: ${connectionId}`);
@@ -998,20 +1839,35 @@ class FRPServer {
       portForwardId: portForwardId,
     });
 
+    if (initialData) {
+      // The socket is already flowing, so keep collecting until the data connection takes over
+      const pending = this.pendingConnections.get(connectionId);
+      pending.clientPreData = initialData;
+      pending.clientOnData = (data) => {
+        pending.clientPreData = Buffer.concat([pending.clientPreData, data]);
+      };
+      clientSocket.on('data', pending.clientOnData);
+      clientSocket.on('close', () => {
+        if (this.pendingConnections.get(connectionId) === pending) {
+          if (pending.timer) { try { clearTimeout(pending.timer); } catch {} }
+          this.pendingConnections.delete(connectionId);
+        }
+      });
+    }
+
     // Request client to establish a data connection
-    controlSocket.write(
-      JSON.stringify({
-        type: "new_connection",
-        proxyName: proxyName,
-        connectionId: connectionId,
-      }) + "\n",
-    );
+    this.sendMessage(controlSocket, {
+      type: "new_connection",
+      proxyName: proxyName,
+      connectionId: connectionId,
+    });
 
     // Cleanup on timeout; store timer so it can be cleared on data connection
     const timer = setTimeout(() => {
       const pending = this.pendingConnections.get(connectionId);
       if (pending && pending.clientSocket === clientSocket) {
         console.log(`Connection ${connectionId} timed out`);
+        this.dataConnectionTimeouts.forward++;
         this.pendingConnections.delete(connectionId);
         try { clientSocket.destroy(); } catch {}
       }
@@ -1020,29 +1876,195 @@ class FRPServer {
     if (p) p.timer = timer;
   }
 
+  async startVhostServer(proxyType, port, onConnection) {
+    const server = trackConnections(net.createServer((socket) => {
+      socket.setNoDelay(true);
+      socket.on('error', () => {});
+      onConnection(socket);
+    }));
+    this.vhostServers.set(proxyType, server);
+    await listen(server, { port });
+    console.log(`${proxyType.toUpperCase()} virtual host server listening on port ${port}`);
+    server.on('error', (err) => {
+      console.error(`${proxyType.toUpperCase()} virtual host server error:`, err.message);
+    });
+  }
+
+  registerVhostRoutes(controlSocket, forward) {
+    const proxyType = normalizeProxyType(forward.proxy_type);
+    const routes = this.vhostRoutes[proxyType];
+    if (!this.vhostServers.has(proxyType)) {
+      console.error(`Cannot route ${proxyType.toUpperCase()} forward [${forward.name}]: no virtual host port configured`);
+      return;
+    }
+    for (const domain of vhost.parseDomains(forward.custom_domains)) {
+      const existing = routes.get(domain);
+      if (existing && existing.controlSocket !== controlSocket && !existing.controlSocket.destroyed) {
+        console.error(`Domain ${domain} for [${forward.name}] is already routed to [${existing.name}]`);
+        continue;
+      }
+      routes.set(domain, {
+        controlSocket,
+        name: forward.name,
+        portForwardId: forward.id,
+      });
+      console.log(`${proxyType.toUpperCase()} route ${domain} -> [${forward.name}]`);
+    }
+  }
+
+  unregisterVhostRoutes(controlSocket) {
+    for (const routes of Object.values(this.vhostRoutes)) {
+      for (const [domain, route] of routes.entries()) {
+        if (route.controlSocket === controlSocket) {
+          routes.delete(domain);
+        }
+      }
+    }
+  }
+
+  // Route a connection on the shared HTTP port by the Host header of its first request. The
+  // connection is then piped as-is, so it carries only that request: it is forwarded with
+  // "Connection: close" and a keep-alive request for another domain never reaches this backend.
+  // WebSocket upgrades keep their Connection header and pass straight through.
+  handleVhostHttpConnection(clientSocket) {
+    let buf = Buffer.alloc(0);
+
+    const reject = (status, message) => {
+      clientSocket.removeListener('data', onData);
+      try { clientSocket.end(vhost.renderErrorResponse(status, message)); } catch {}
+    };
+
+    const onData = async (data) => {
+      buf = Buffer.concat([buf, data]);
+      let head;
+      try {
+        head = vhost.parseHttpRequestHead(buf);
+      } catch (err) {
+        reject(err.message === 'Request header too large' ? 431 : 400, err.message);
+        return;
+      }
+      if (!head) return;
+
+      clientSocket.removeListener('data', onData);
+      if (!head.host) {
+        reject(400, 'Missing Host header');
+        return;
+      }
+
+      const route = vhost.matchDomain(this.vhostRoutes.http, head.host);
+      if (route && !route.controlSocket.destroyed) {
+        if (!this.checkSourceAddress(route.portForwardId, route.name, clientSocket.remoteAddress)) {
+          reject(403, `Your address is not allowed to access ${head.host}.`);
+          return;
+        }
+        this.handleProxyConnection(route.controlSocket, clientSocket, route.name, route.portForwardId, {
+          initialData: vhost.isUpgradeRequest(head) ? buf : Buffer.concat([vhost.closeAfterRequest(head), buf.subarray(head.length)]),
+          rejectResponse: vhost.renderErrorResponse(503, `${head.host} is receiving too many connections. Please try again later.`),
+        });
+        return;
+      }
+
+      // Not routed: tell apart a known site whose client is offline from an unknown host
+      clientSocket.pause();
+      try {
+        const forwards = await this.database.getVhostPortForwards('http');
+        const forward = forwards.find(f => vhost.domainsMatch(vhost.parseDomains(f.custom_domains), head.host));
+        if (forward) {
+          reject(502, `The service for ${head.host} is currently offline. Please try again later.`);
+        } else {
+          reject(404, `No site is configured for ${head.host}.`);
+        }
+      } catch (err) {
+        console.error('Database error during virtual host lookup:', err);
+        reject(502, 'The service is temporarily unavailable.');
+      }
+    };
+
+    clientSocket.on('data', onData);
+  }
+
+  // Route a connection on the shared HTTPS port by the SNI of its ClientHello. TLS is not
+  // terminated here: the raw stream, ClientHello included, is piped to the client's service.
+  handleVhostHttpsConnection(clientSocket) {
+    let buf = Buffer.alloc(0);
+
+    const onData = (data) => {
+      buf = Buffer.concat([buf, data]);
+      let hello;
+      try {
+        hello = vhost.parseTlsSni(buf);
+      } catch (err) {
+        clientSocket.removeListener('data', onData);
+        console.log(`Rejected HTTPS virtual host connection from ${clientSocket.remoteAddress}: ${err.message}`);
+        clientSocket.destroy();
+        return;
+      }
+      if (!hello) return;
+
+      clientSocket.removeListener('data', onData);
+      const route = hello.serverName ? vhost.matchDomain(this.vhostRoutes.https, hello.serverName) : null;
+      if (!route || route.controlSocket.destroyed) {
+        // No HTTP error page is possible before a TLS session exists, so just close
+        console.log(`No HTTPS route for ${hello.serverName || '(no SNI)'}`);
+        clientSocket.destroy();
+        return;
+      }
+      if (!this.checkSourceAddress(route.portForwardId, route.name, clientSocket.remoteAddress)) {
+        clientSocket.destroy();
+        return;
+      }
+      this.handleProxyConnection(route.controlSocket, clientSocket, route.name, route.portForwardId, { initialData: buf });
+    };
+
+    clientSocket.on('data', onData);
+  }
+
   cleanupClient(socket) {
-    const ports = this.clients.get(socket);
-    if (ports) {
-      console.log(`Cleaning up client at ${socket.remoteAddress || 'unknown'}, closing ${ports.length} proxy servers`);
-      ports.forEach((port) => {
-        const proxy = this.proxyServers.get(port);
+    const listenAddresses = this.clients.get(socket);
+    if (listenAddresses) {
+      console.log(`Cleaning up client at ${socket.remoteAddress || 'unknown'}, closing ${listenAddresses.length} proxy servers`);
+      listenAddresses.forEach((listenAddress) => {
+        const proxy = this.proxyServers.get(listenAddress);
         if (proxy) {
           try {
             proxy.server.close();
-            console.log(`Closed proxy [${proxy.name}] on port ${port}`);
+            console.log(`Closed proxy [${proxy.name}] on ${listenAddress}`);
           } catch (err) {
-            console.error(`Error closing proxy on port ${port}:`, err);
+            console.error(`Error closing proxy on ${listenAddress}:`, err);
           }
-          this.proxyServers.delete(port);
+          this.proxyServers.delete(listenAddress);
+          this.emit('proxy_close', describeProxyListener(listenAddress, proxy));
         }
       });
       this.clients.delete(socket);
     }
 
+    if (socket.udpChannel) {
+      socket.udpChannel.destroy();
+      socket.udpChannel = null;
+    }
+
+    if (socket.muxSession) {
+      socket.muxSession.destroy();
+    }
+
+    this.unregisterVhostRoutes(socket);
+
+    for (const [connectionId, entry] of this.socksBindListeners.entries()) {
+      if (entry.controlSocket === socket) {
+        this.closeSocksBindListener(connectionId);
+      }
+    }
+
     // Remove from clientSockets tracking
-    if (socket.clientId) {
+    if (socket.clientId && this.clientSockets.get(socket.clientId) === socket) {
       this.clientSockets.delete(socket.clientId);
     }
+    // Cleanup runs for each of end, error and close
+    if (socket.clientId && !socket.disconnectReported) {
+      socket.disconnectReported = true;
+      this.emit('client_disconnected', { clientId: socket.clientId, clientName: socket.clientName, remoteAddress: socket.remoteAddress });
+    }
 
     // Clean up any pending connections owned by this client
     if (socket.clientId) {
@@ -1065,6 +2087,11 @@ class FRPServer {
     }
   }
 
+  // Whether a running proxy currently listens on port, on any address
+  isPortBound(port) {
+    return [...this.proxyServers.values()].some(proxy => proxy.remotePort === port);
+  }
+
   // Get list of connected client IDs
   getConnectedClientIds() {
     const connectedIds = [];
@@ -1085,6 +2112,293 @@ class FRPServer {
     return traffic;
   }
 
+  // Traffic per port forward since the server started; unlike getTrafficCounters() it is not reset
+  // when counters are flushed, so rates can be taken from the difference between two calls
+  getTrafficTotals() {
+    const traffic = {};
+    for (const [portForwardId, total] of this.trafficTotals.entries()) {
+      traffic[portForwardId] = { ...total };
+    }
+    return traffic;
+  }
+
+  // Refresh the limiters of a client and of each of its forwards from their database rows, and
+  // drop the limiters of forwards the client no longer has
+  syncLimits(client, forwards) {
+    this.updateLimiter(`client:${client.id}`, client);
+    const keep = new Set();
+    for (const forward of forwards) {
+      const key = `forward:${forward.id}`;
+      Object.assign(this.updateLimiter(key, forward), { clientId: client.id, name: forward.name });
+      keep.add(key);
+    }
+    for (const [key, limiter] of this.limiters.entries()) {
+      if (limiter.clientId === client.id && !keep.has(key)) {
+        this.limiters.delete(key);
+      }
+    }
+  }
+
+  // Create or update the limiter under key ("client:<id>" or "forward:<id>") from a clients or
+  // port_forwards row: bandwidth in KB/s, concurrency cap and new connections per second (0 or empty
+  // for unlimited), plus SOCKS credentials and source/destination policies for forwards.
+  // All connections of the client or forward share it.
+  updateLimiter(key, row) {
+    let limiter = this.limiters.get(key);
+    if (!limiter) {
+      limiter = {
+        up: new TokenBucket(),
+        down: new TokenBucket(),
+        connectionRate: new TokenBucket(0, { minBurst: 1 }),
+        maxConnections: 0,
+        active: 0,
+      };
+      this.limiters.set(key, limiter);
+    }
+    limiter.up.setRate((row.rate_limit_up || 0) * 1024);
+    limiter.down.setRate((row.rate_limit_down || 0) * 1024);
+    limiter.connectionRate.setRate(row.max_connection_rate || 0);
+    limiter.maxConnections = row.max_connections || 0;
+    limiter.socksAuth = row.socks_username && row.socks_password_hash
+      ? { username: row.socks_username, passwordHash: row.socks_password_hash }
+      : null;
+    try {
+      limiter.sourceFilter = new SourceFilter(parseCidrList(row.allow_cidrs), parseCidrList(row.deny_cidrs));
+    } catch (err) {
+      // Fail closed rather than expose a forward whose lists cannot be understood
+      console.error(`Invalid source address lists for ${key}, denying all sources:`, err.message);
+      limiter.sourceFilter = new SourceFilter([], ['0.0.0.0/0', '::/0']);
+    }
+    try {
+      limiter.destinationPolicy = new DestinationPolicy(parseDestinationList(row.dest_allow), parseDestinationList(row.dest_deny));
+    } catch (err) {
+      console.error(`Invalid destination rules for ${key}, denying all destinations:`, err.message);
+      limiter.destinationPolicy = new DestinationPolicy([], ['*']);
+    }
+    return limiter;
+  }
+
+  // Apply a forward's source allow/deny lists; rejected attempts are counted and logged
+  checkSourceAddress(portForwardId, proxyName, address) {
+    const limiter = this.limiters.get(`forward:${portForwardId}`);
+    if (!limiter || limiter.sourceFilter.allows(address)) {
+      return true;
+    }
+
+    const ip = normalizeAddress(address);
+    if (!this.sourceRejections.has(portForwardId)) {
+      this.sourceRejections.set(portForwardId, { count: 0, last_address: null, last_hit: null });
+    }
+    const rejections = this.sourceRejections.get(portForwardId);
+    rejections.count++;
+    rejections.last_address = ip;
+    rejections.last_hit = new Date().toISOString();
+
+    // One log line per source and minute, so a flood (UDP in particular) cannot fill the log
+    const logKey = `${portForwardId}:${ip}`;
+    const now = Date.now();
+    if (now - (this.sourceRejectionLogged.get(logKey) || 0) >= 60000) {
+      if (this.sourceRejectionLogged.size > 10000) {
+        this.sourceRejectionLogged.clear();
+      }
+      this.sourceRejectionLogged.set(logKey, now);
+      console.log(`Rejected ${ip} on proxy [${proxyName}]: source address not allowed`);
+    }
+    return false;
+  }
+
+  // Apply a reverse-dynamic forward's destination policy before the server dials. Resolves to the
+  // address to dial, or null when the destination is not allowed.
+  async checkDestination(portForwardId, proxyName, host, port) {
+    const limiter = this.limiters.get(`forward:${portForwardId}`);
+    if (!limiter || !limiter.destinationPolicy) {
+      return host;
+    }
+    const { allowed, address } = await limiter.destinationPolicy.check(host, port);
+    if (!allowed) {
+      console.log(`Refused ${host}:${port} on reverse-dynamic [${proxyName}]: destination not allowed`);
+      return null;
+    }
+    return address;
+  }
+
+  // Apply the concurrency caps of a forward and its client and the forward's new-connection rate.
+  // Returns null when admitted (the connection counts until clientSocket closes), otherwise the limit hit.
+  admitConnection(portForwardId, clientSocket) {
+    const forward = this.limiters.get(`forward:${portForwardId}`);
+    if (!forward) {
+      this.trackConnection(portForwardId, clientSocket);
+      return null;
+    }
+    const client = this.limiters.get(`client:${forward.clientId}`);
+
+    let limit = null;
+    if (forward.maxConnections && forward.active >= forward.maxConnections) {
+      limit = 'max_connections';
+    } else if (client && client.maxConnections && client.active >= client.maxConnections) {
+      limit = 'client_max_connections';
+    } else if (!forward.connectionRate.canConsume(1)) {
+      limit = 'connection_rate';
+    }
+
+    if (limit) {
+      if (!this.connectionLimitHits.has(portForwardId)) {
+        this.connectionLimitHits.set(portForwardId, { max_connections: 0, client_max_connections: 0, connection_rate: 0, last_hit: null });
+      }
+      const hits = this.connectionLimitHits.get(portForwardId);
+      hits[limit]++;
+      hits.last_hit = new Date().toISOString();
+      return limit;
+    }
+
+    forward.connectionRate.consume(1);
+    forward.active++;
+    if (client) client.active++;
+    this.trackConnection(portForwardId, clientSocket);
+    clientSocket.once('close', () => {
+      forward.active--;
+      if (client) client.active--;
+    });
+    return null;
+  }
+
+  // Register an open TCP connection of a forward until socket closes, for getLiveConnections and
+  // closeLiveConnection, and emit connection_open / connection_close for it. socket is the server's
+  // end outside the tunnel: the external client for forward and dynamic forwards, the dialed target
+  // for reverse and reverse-dynamic ones.
+  trackConnection(portForwardId, socket, { proxyName = null, clientId = null, reverse = false } = {}) {
+    const limiter = this.limiters.get(`forward:${portForwardId}`);
+    const connection = {
+      connectionId: genConnectionId(),
+      portForwardId,
+      proxyName: limiter ? limiter.name : proxyName,
+      clientId: limiter ? limiter.clientId : clientId,
+      remoteAddress: socket.remoteAddress,
+      remotePort: socket.remotePort,
+      openedAt: Date.now(),
+      socket,
+      // As in the traffic counters: bytes written to an external client came in through the
+      // tunnel, while a reverse target's bytes are read and sent into it
+      bytes: () => reverse
+        ? { bytesIn: socket.bytesRead, bytesOut: socket.bytesWritten }
+        : { bytesIn: socket.bytesWritten, bytesOut: socket.bytesRead },
+    };
+    const event = {
+      connectionId: connection.connectionId,
+      portForwardId,
+      proxyName: connection.proxyName,
+      clientId: connection.clientId,
+      remoteAddress: connection.remoteAddress,
+    };
+    this.liveConnections.set(connection.connectionId, connection);
+    this.emit('connection_open', event);
+    socket.once('close', () => {
+      this.liveConnections.delete(connection.connectionId);
+      this.emit('connection_close', { ...event, ...connection.bytes(), durationMs: Date.now() - connection.openedAt });
+    });
+    return connection;
+  }
+
+  // Open TCP connections and UDP sessions with their peer, forward, client, start time and bytes so far.
+  // Bytes follow the traffic counters (see trackConnection).
+  getLiveConnections() {
+    const clientName = (clientId) => {
+      const socket = this.clientSockets.get(clientId);
+      return socket ? socket.clientName : null;
+    };
+    const connections = [];
+    for (const connection of this.liveConnections.values()) {
+      connections.push({
+        id: connection.connectionId,
+        protocol: 'tcp',
+        portForwardId: connection.portForwardId,
+        proxyName: connection.proxyName,
+        clientId: connection.clientId,
+        clientName: clientName(connection.clientId),
+        remoteAddress: normalizeAddress(connection.remoteAddress),
+        remotePort: connection.remotePort,
+        startedAt: new Date(connection.openedAt).toISOString(),
+        ...connection.bytes(),
+      });
+    }
+    for (const session of this.udpSessions.values()) {
+      const clientId = session.controlSocket ? session.controlSocket.clientId : null;
+      connections.push({
+        id: session.connectionId,
+        protocol: 'udp',
+        portForwardId: session.portForwardId,
+        proxyName: session.proxyName,
+        clientId,
+        clientName: clientName(clientId),
+        remoteAddress: normalizeAddress(session.remoteAddress),
+        remotePort: session.remotePort,
+        startedAt: new Date(session.openedAt).toISOString(),
+        bytesIn: session.bytesIn,
+        bytesOut: session.bytesOut,
+      });
+    }
+    return connections.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  // Terminate an open TCP connection or UDP session; false when there is none with this id
+  closeLiveConnection(connectionId) {
+    const connection = this.liveConnections.get(connectionId);
+    if (connection) {
+      console.log(`Closing connection ${connectionId} to [${connection.proxyName}] from ${normalizeAddress(connection.remoteAddress)}`);
+      connection.socket.destroy();
+      return true;
+    }
+    if (this.udpSessions.has(connectionId)) {
+      console.log(`Closing UDP session ${connectionId}`);
+      this.closeUdpSession(connectionId, true);
+      return true;
+    }
+    return false;
+  }
+
+  // Active connections, limit hits and rejected sources per port forward, for the dashboard and API
+  getConnectionStats() {
+    const stats = {};
+    for (const [key, limiter] of this.limiters.entries()) {
+      if (key.startsWith('forward:')) {
+        stats[key.slice('forward:'.length)] = { active: limiter.active, limit_hits: null, source_rejections: null };
+      }
+    }
+    for (const [portForwardId, hits] of this.connectionLimitHits.entries()) {
+      if (!stats[portForwardId]) {
+        stats[portForwardId] = { active: 0, limit_hits: null, source_rejections: null };
+      }
+      stats[portForwardId].limit_hits = { ...hits };
+    }
+    for (const [portForwardId, rejections] of this.sourceRejections.entries()) {
+      if (!stats[portForwardId]) {
+        stats[portForwardId] = { active: 0, limit_hits: null, source_rejections: null };
+      }
+      stats[portForwardId].source_rejections = { ...rejections };
+    }
+    return stats;
+  }
+
+  // Buckets a connection of this forward must respect: the forward's own and its client's
+  getRateLimitBuckets(portForwardId, direction) {
+    const forward = this.limiters.get(`forward:${portForwardId}`);
+    if (!forward) {
+      return [];
+    }
+    const client = this.limiters.get(`client:${forward.clientId}`);
+    return [forward[direction], client && client[direction]].filter(Boolean);
+  }
+
+  tryConsumeRateLimit(portForwardId, direction, bytes) {
+    const buckets = this.getRateLimitBuckets(portForwardId, direction);
+    // Check every bucket before taking from any, so a dropped datagram costs nothing
+    if (!buckets.every(bucket => bucket.canConsume(bytes))) {
+      return false;
+    }
+    buckets.forEach(bucket => bucket.consume(bytes));
+    return true;
+  }
+
   // Increment traffic counter for a port forward
   incrementTraffic(portForwardId, bytesIn, bytesOut) {
     if (!this.trafficCounters.has(portForwardId)) {
@@ -1093,6 +2407,13 @@ class FRPServer {
     const counter = this.trafficCounters.get(portForwardId);
     counter.bytesIn += bytesIn;
     counter.bytesOut += bytesOut;
+
+    if (!this.trafficTotals.has(portForwardId)) {
+      this.trafficTotals.set(portForwardId, { bytesIn: 0, bytesOut: 0 });
+    }
+    const total = this.trafficTotals.get(portForwardId);
+    total.bytesIn += bytesIn;
+    total.bytesOut += bytesOut;
   }
 
   // Flush traffic counters to database periodically
@@ -1105,6 +2426,7 @@ class FRPServer {
     // Flush to database
     for (const [portForwardId, counters] of countersToFlush.entries()) {
       if (counters.bytesIn > 0 || counters.bytesOut > 0) {
+        this.emit('traffic', { portForwardId, bytesIn: counters.bytesIn, bytesOut: counters.bytesOut });
         try {
           await this.database.updatePortForwardTraffic(portForwardId, counters.bytesIn, counters.bytesOut);
         } catch (err) {
@@ -1127,27 +2449,63 @@ class FRPServer {
     console.log(`Traffic flushing started (interval: ${intervalMs}ms)`);
   }
 
-  stop() {
+  // Drop traffic history past its retention now and then hourly
+  async pruneTraffic() {
+    try {
+      const { removed } = await this.database.pruneTraffic(this.config.trafficRetention || DEFAULT_RETENTION);
+      if (removed > 0) {
+        console.log(`Pruned ${removed} traffic history rows past retention`);
+      }
+    } catch (err) {
+      console.error('Failed to prune traffic history:', err);
+    }
+  }
+
+  startTrafficPruning() {
+    if (this.trafficPruneInterval) {
+      clearInterval(this.trafficPruneInterval);
+    }
+    this.pruneTraffic();
+    this.trafficPruneInterval = setInterval(() => this.pruneTraffic(), TRAFFIC_PRUNE_INTERVAL_MS);
+  }
+
+  // Resolves once every listener and client connection is closed and traffic is saved
+  async stop() {
     // Stop periodic traffic flushing
     if (this.trafficFlushInterval) {
       clearInterval(this.trafficFlushInterval);
       this.trafficFlushInterval = null;
     }
+    if (this.trafficPruneInterval) {
+      clearInterval(this.trafficPruneInterval);
+      this.trafficPruneInterval = null;
+    }
 
-    // Flush remaining traffic before stopping
-    this.flushTrafficCounters().catch(err => {
-      console.error('Failed to flush traffic on shutdown:', err);
-    });
-
+    // Proxy listeners first, so disconnecting clients find nothing left to close
+    const closing = [];
+    for (const [listenAddress, proxy] of this.proxyServers.entries()) {
+      closing.push(closeServer(proxy.server));
+      this.emit('proxy_close', describeProxyListener(listenAddress, proxy));
+    }
+    this.proxyServers.clear();
+    this.clients.clear();
+    closing.push(...[...this.vhostServers.values()].map(closeServer));
+    this.vhostServers.clear();
     if (this.controlServer) {
-      this.controlServer.close();
+      closing.push(closeServer(this.controlServer));
     }
-    this.proxyServers.forEach((proxy) => {
-      proxy.server.close();
-    });
     if (this.webUI) {
-      this.webUI.stop();
+      closing.push(this.webUI.stop());
     }
+    await Promise.all(closing);
+
+    // Flush remaining traffic before stopping
+    try {
+      await this.flushTrafficCounters();
+    } catch (err) {
+      console.error('Failed to flush traffic on shutdown:', err);
+    }
+    await this.database.close();
   }
 
   // Reload port forwards for a specific client
@@ -1163,48 +2521,63 @@ class FRPServer {
 
       // Get current port forwards from database
       const newForwards = await this.database.getPortForwardsByClient(clientId);
-      const currentPorts = this.clients.get(socket) || [];
-
-      // Find ports to remove (no longer in database)
-      const newPortSet = new Set(newForwards.map(f => f.remote_port));
-      const portsToRemove = currentPorts.filter(port => !newPortSet.has(port));
+      const client = await this.database.getClient(clientId);
+      if (client) {
+        this.syncLimits(client, newForwards);
+      }
+      const currentListeners = this.clients.get(socket) || [];
+
+      // Find listeners to remove (no longer in database, moved to another address, or now served by another kind of listener)
+      const listenAddressOf = (f) => formatListenAddress(this.forwardBindAddress(f), f.remote_port);
+      const newTypes = new Map(newForwards.map(f => [listenAddressOf(f), listenerType(f)]));
+      const listenersToRemove = currentListeners.filter(listenAddress => {
+        const proxy = this.proxyServers.get(listenAddress);
+        return !newTypes.has(listenAddress) || (proxy && proxy.type && proxy.type !== newTypes.get(listenAddress));
+      });
 
       // Close removed proxy servers
-      for (const port of portsToRemove) {
-        const proxy = this.proxyServers.get(port);
+      for (const listenAddress of listenersToRemove) {
+        const proxy = this.proxyServers.get(listenAddress);
         if (proxy && proxy.controlSocket === socket) {
           try {
             proxy.server.close();
-            this.proxyServers.delete(port);
-            console.log(`Removed proxy [${proxy.name}] on port ${port}`);
+            this.proxyServers.delete(listenAddress);
+            console.log(`Removed proxy [${proxy.name}] on ${listenAddress}`);
+            this.emit('proxy_close', describeProxyListener(listenAddress, proxy));
           } catch (err) {
-            console.error(`Error closing proxy on port ${port}:`, err);
+            console.error(`Error closing proxy on ${listenAddress}:`, err);
           }
         }
       }
 
-      // Update the client's port list
-      const remainingPorts = currentPorts.filter(port => newPortSet.has(port));
-      this.clients.set(socket, remainingPorts);
+      // Update the client's listener list
+      const remainingListeners = currentListeners.filter(listenAddress => !listenersToRemove.includes(listenAddress));
+      this.clients.set(socket, remainingListeners);
+
+      // Rebuild virtual host routes from scratch
+      this.unregisterVhostRoutes(socket);
 
       // Create new proxy servers or reverse configs
       for (const forward of newForwards) {
         const proxyType = normalizeProxyType(forward.proxy_type);
-        if (forward.direction === 'forward') {
-          if (!this.proxyServers.has(forward.remote_port)) {
+        if (forward.direction === 'forward' && vhost.VHOST_PROXY_TYPES.includes(proxyType)) {
+          this.registerVhostRoutes(socket, forward);
+        } else if (forward.direction === 'forward') {
+          if (!this.proxyServers.has(listenAddressOf(forward))) {
             try {
               if (proxyType === 'udp') {
                 await this.createUdpProxyServer(socket, {
                   name: forward.name,
+                  bindAddress: this.forwardBindAddress(forward),
                   remotePort: forward.remote_port,
                   localIp: forward.local_ip || '127.0.0.1',
                   localPort: forward.local_port,
                   portForwardId: forward.id
                 });
-                console.log(`UDP proxy [${forward.name}] listening on port ${forward.remote_port}`);
               } else {
                 await this.createProxyServer(socket, {
                   name: forward.name,
+                  bindAddress: this.forwardBindAddress(forward),
                   remotePort: forward.remote_port,
                   proxyType,
                   portForwardId: forward.id
@@ -1215,17 +2588,18 @@ class FRPServer {
             }
           }
         } else if (forward.direction === 'dynamic') {
-          if (!this.proxyServers.has(forward.remote_port)) {
+          if (!this.proxyServers.has(listenAddressOf(forward))) {
             try {
               await this.createProxyServer(socket, {
                 name: forward.name,
+                bindAddress: this.forwardBindAddress(forward),
                 remotePort: forward.remote_port,
-                proxyType: 'socks5',
+                proxyType: listenerType(forward),
                 portForwardId: forward.id
               });
-              console.log(`Dynamic SOCKS5 [${forward.name}] listening on ${forward.remote_port}`);
+              console.log(`Dynamic ${describeDynamicProxy(forward)} [${forward.name}] listening on ${listenAddressOf(forward)}`);
             } catch (err) {
-              console.error(`Failed to create dynamic SOCKS5 [${forward.name}]:`, err);
+              console.error(`Failed to create dynamic ${describeDynamicProxy(forward)} [${forward.name}]:`, err);
             }
           }
         } else if (forward.direction === 'reverse') {
@@ -1234,22 +2608,12 @@ class FRPServer {
       }
 
       // Send updated port forward list to client
-      const portForwards = newForwards.map(f => ({
-        name: f.name,
-        remotePort: f.remote_port,
-        localIp: f.local_ip,
-        localPort: f.local_port,
-        proxyType: normalizeProxyType(f.proxy_type),
-        direction: f.direction,
-        remoteIp: f.remote_ip
-      }));
-
-      socket.write(
-        JSON.stringify({
-          type: "config_update",
-          portForwards: portForwards
-        }) + "\n"
-      );
+      const portForwards = newForwards.map(describeForwardForClient);
+
+      this.sendMessage(socket, {
+        type: "config_update",
+        portForwards: portForwards
+      });
 
       console.log(`Successfully reloaded ${newForwards.length} port forwards for client ${socket.clientName}`);
     } catch (err) {
@@ -1265,15 +2629,15 @@ class FRPServer {
   // Return status of active clients and their forwardings
   getStatus() {
     const status = [];
-    for (const [socket, ports] of this.clients.entries()) {
+    for (const [socket, listenAddresses] of this.clients.entries()) {
       const clientInfo = {
         address: socket.remoteAddress,
         ports: [],
       };
-      for (const port of ports) {
-        const proxy = this.proxyServers.get(port);
+      for (const listenAddress of listenAddresses) {
+        const proxy = this.proxyServers.get(listenAddress);
         if (proxy) {
-          clientInfo.ports.push({ remotePort: port, name: proxy.name });
+          clientInfo.ports.push({ remotePort: proxy.remotePort, bindAddress: proxy.bindAddress, name: proxy.name });
         }
       }
       status.push(clientInfo);
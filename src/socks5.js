@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// SOCKS5 (RFC 1928) and username/password authentication (RFC 1929) helpers shared by the
+// server's dynamic forwards and the client's reverse-dynamic listeners.
+
+const SOCKS_VERSION = 0x05;
+const AUTH_VERSION = 0x01;
+
+const METHOD_NO_AUTH = 0x00;
+const METHOD_USERNAME_PASSWORD = 0x02;
+const METHOD_NO_ACCEPTABLE = 0xff;
+
+const CMD_CONNECT = 0x01;
+const CMD_BIND = 0x02;
+const CMD_UDP_ASSOCIATE = 0x03;
+
+const REPLY_SUCCEEDED = 0x00;
+const REPLY_GENERAL_FAILURE = 0x01;
+const REPLY_NOT_ALLOWED = 0x02;
+const REPLY_COMMAND_NOT_SUPPORTED = 0x07;
+const REPLY_ADDRESS_NOT_SUPPORTED = 0x08;
+
+const ATYP_IPV4 = 0x01;
+const ATYP_DOMAIN = 0x03;
+const ATYP_IPV6 = 0x04;
+
+const SCRYPT_KEY_LENGTH = 32;
+// How long a BIND request waits for the incoming connection
+const BIND_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Stored as "scrypt$<salt>$<key>" so the parameters can change later without breaking old hashes
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('hex')}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return Promise.resolve(false);
+  }
+  const expected = Buffer.from(keyHex, 'hex');
+  return new Promise((resolve) => {
+    crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (err, key) => {
+      resolve(!err && crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+// Greeting: VER NMETHODS METHODS. Returns null until complete, then { methods, length }
+function parseGreeting(buf) {
+  if (buf.length < 2) return null;
+  if (buf[0] !== SOCKS_VERSION) {
+    throw new Error(`Unsupported SOCKS version ${buf[0]}`);
+  }
+  const length = 2 + buf[1];
+  if (buf.length < length) return null;
+  return { methods: [...buf.subarray(2, length)], length };
+}
+
+// Method the server answers the greeting with; username/password is mandatory when required
+function selectMethod(methods, authRequired) {
+  if (authRequired) {
+    return methods.includes(METHOD_USERNAME_PASSWORD) ? METHOD_USERNAME_PASSWORD : METHOD_NO_ACCEPTABLE;
+  }
+  return METHOD_NO_AUTH;
+}
+
+// RFC 1929 request: VER ULEN UNAME PLEN PASSWD. Returns null until complete, then { username, password, length }
+function parseAuthRequest(buf) {
+  if (buf.length < 2) return null;
+  if (buf[0] !== AUTH_VERSION) {
+    throw new Error(`Unsupported SOCKS authentication version ${buf[0]}`);
+  }
+  const usernameLength = buf[1];
+  if (buf.length < 2 + usernameLength + 1) return null;
+  const passwordLength = buf[2 + usernameLength];
+  const length = 3 + usernameLength + passwordLength;
+  if (buf.length < length) return null;
+  return {
+    username: buf.subarray(2, 2 + usernameLength).toString('utf8'),
+    password: buf.subarray(3 + usernameLength, length).toString('utf8'),
+    length,
+  };
+}
+
+function authReply(success) {
+  return Buffer.from([AUTH_VERSION, success ? 0x00 : 0x01]);
+}
+
+// 16 address bytes -> compressed text form (RFC 5952), e.g. "2001:db8::1"; IPv4-mapped as ::ffff:a.b.c.d
+function bufferToIpv6(buf) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buf.readUInt16BE(i));
+  }
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return `::ffff:${buf[12]}.${buf[13]}.${buf[14]}.${buf[15]}`;
+  }
+  // The longest run of two or more zero groups (the first one on ties) becomes "::"
+  let runStart = -1;
+  let runLength = 1;
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let end = i;
+    while (end < 8 && groups[end] === 0) end++;
+    if (end - i > runLength) {
+      runStart = i;
+      runLength = end - i;
+    }
+    i = end;
+  }
+  const hex = groups.map(group => group.toString(16));
+  if (runStart === -1) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, runStart).join(':')}::${hex.slice(runStart + runLength).join(':')}`;
+}
+
+// ATYP DST.ADDR DST.PORT at offset. Returns null until complete, then { atyp, host, port, length };
+// unknown address types yield host null.
+function parseAddress(buf, offset) {
+  if (buf.length < offset + 1) return null;
+  const atyp = buf[offset];
+  let pos = offset + 1;
+  let host;
+  if (atyp === ATYP_IPV4) {
+    if (buf.length < pos + 4 + 2) return null;
+    host = `${buf[pos]}.${buf[pos+1]}.${buf[pos+2]}.${buf[pos+3]}`;
+    pos += 4;
+  } else if (atyp === ATYP_DOMAIN) {
+    if (buf.length < pos + 1) return null;
+    const len = buf[pos];
+    if (buf.length < pos + 1 + len + 2) return null;
+    host = buf.subarray(pos + 1, pos + 1 + len).toString('utf8');
+    pos += 1 + len;
+  } else if (atyp === ATYP_IPV6) {
+    if (buf.length < pos + 16 + 2) return null;
+    host = bufferToIpv6(buf.subarray(pos, pos + 16));
+    pos += 16;
+  } else {
+    return { atyp, host: null, port: 0, length: 0 };
+  }
+  return { atyp, host, port: buf.readUInt16BE(pos), length: pos + 2 - offset };
+}
+
+function ipv6ToBuffer(address) {
+  let text = address;
+  // Embedded IPv4 tail, e.g. ::ffff:192.0.2.1
+  const v4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (v4) {
+    const hex = (a, b) => ((parseInt(a, 10) << 8) | parseInt(b, 10)).toString(16);
+    text = text.slice(0, v4.index) + `${hex(v4[1], v4[2])}:${hex(v4[3], v4[4])}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...new Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups];
+  const buf = Buffer.alloc(16);
+  groups.forEach((group, i) => buf.writeUInt16BE(parseInt(group, 16) || 0, i * 2));
+  return buf;
+}
+
+// ATYP ADDR PORT for an IPv4/IPv6 address or a domain name
+function encodeAddress(host, port) {
+  const portBuf = Buffer.alloc(2);
+  portBuf.writeUInt16BE(port || 0);
+  const family = net.isIP(host || '');
+  if (family === 4) {
+    return Buffer.concat([Buffer.from([ATYP_IPV4, ...host.split('.').map(Number)]), portBuf]);
+  }
+  if (family === 6) {
+    return Buffer.concat([Buffer.from([ATYP_IPV6]), ipv6ToBuffer(host), portBuf]);
+  }
+  if (host) {
+    const name = Buffer.from(host);
+    return Buffer.concat([Buffer.from([ATYP_DOMAIN, name.length]), name, portBuf]);
+  }
+  return Buffer.from([ATYP_IPV4, 0, 0, 0, 0, 0, 0]);
+}
+
+// Request: VER CMD RSV ATYP DST.ADDR DST.PORT. Returns null until complete, then
+// { cmd, atyp, host, port, length }; unknown address types yield host null and length 0.
+function parseRequest(buf) {
+  if (buf.length < 4) return null;
+  if (buf[0] !== SOCKS_VERSION) {
+    throw new Error(`Unsupported SOCKS version ${buf[0]}`);
+  }
+  const cmd = buf[1];
+  const address = parseAddress(buf, 3);
+  if (!address) return null;
+  if (!address.host) {
+    return { cmd, atyp: address.atyp, host: null, port: 0, length: 0 };
+  }
+  return { cmd, atyp: address.atyp, host: address.host, port: address.port, length: 3 + address.length };
+}
+
+// Reply with the bound address, all-zero IPv4 when there is none to report
+function reply(code, host = null, port = 0) {
+  return Buffer.concat([Buffer.from([SOCKS_VERSION, code, 0x00]), encodeAddress(host, port)]);
+}
+
+// UDP relay datagram: RSV(2) FRAG ATYP DST.ADDR DST.PORT DATA. Returns { frag, host, port, data },
+// or null when the header is malformed.
+function parseUdpDatagram(buf) {
+  if (buf.length < 4) return null;
+  const address = parseAddress(buf, 3);
+  if (!address || !address.host) return null;
+  return { frag: buf[2], host: address.host, port: address.port, data: buf.subarray(3 + address.length) };
+}
+
+// Header prepended to datagrams relayed back to the SOCKS client
+function udpHeader(host, port) {
+  return Buffer.concat([Buffer.from([0x00, 0x00, 0x00]), encodeAddress(host, port)]);
+}
+
+// Drives the greeting, optional username/password authentication and request parsing of one
+// incoming SOCKS5 connection. auth is { username, passwordHash } or null for no authentication;
+// initialData holds bytes already read from the socket.
+// Calls onRequest(request, rest) once with the parsed request and any bytes that followed it;
+// the caller takes over the socket's 'data' events from there and sends the reply itself.
+function acceptConnection(socket, { auth = null, label = 'SOCKS5', initialData = null, onRequest }) {
+  let buf = Buffer.alloc(0);
+  let stage = 'greet';
+
+  const refuse = (response) => {
+    stage = 'closed';
+    socket.removeListener('data', onData);
+    socket.end(response);
+  };
+
+  const onData = (data) => {
+    buf = Buffer.concat([buf, data]);
+    try {
+      if (stage === 'greet') {
+        const greeting = parseGreeting(buf);
+        if (!greeting) return;
+        buf = buf.subarray(greeting.length);
+        const method = selectMethod(greeting.methods, !!auth);
+        if (method === METHOD_NO_ACCEPTABLE) {
+          console.log(`${label}: client ${socket.remoteAddress} did not offer username/password authentication`);
+          refuse(Buffer.from([SOCKS_VERSION, method]));
+          return;
+        }
+        socket.write(Buffer.from([SOCKS_VERSION, method]));
+        stage = method === METHOD_USERNAME_PASSWORD ? 'auth' : 'request';
+      }
+      if (stage === 'auth') {
+        const credentials = parseAuthRequest(buf);
+        if (!credentials) return;
+        buf = buf.subarray(credentials.length);
+        // Hashing is asynchronous; keep buffering whatever the client pipelines meanwhile
+        stage = 'authenticating';
+        const usernameMatches = credentials.username === auth.username;
+        verifyPassword(credentials.password, auth.passwordHash).then((passwordMatches) => {
+          if (socket.destroyed || stage !== 'authenticating') return;
+          if (!usernameMatches || !passwordMatches) {
+            console.log(`${label}: authentication failed for user "${credentials.username}" from ${socket.remoteAddress}`);
+            refuse(authReply(false));
+            return;
+          }
+          socket.write(authReply(true));
+          stage = 'request';
+          onData(Buffer.alloc(0));
+        });
+        return;
+      }
+      if (stage === 'request') {
+        const request = parseRequest(buf);
+        if (!request) return;
+        stage = 'done';
+        socket.removeListener('data', onData);
+        onRequest(request, buf.subarray(request.length));
+      }
+    } catch (err) {
+      console.error(`${label} handshake error:`, err.message);
+      stage = 'closed';
+      socket.removeListener('data', onData);
+      socket.destroy();
+    }
+  };
+
+  socket.on('data', onData);
+  if (initialData && initialData.length > 0) {
+    onData(initialData);
+  }
+}
+
+module.exports = {
+  SOCKS_VERSION,
+  METHOD_NO_AUTH,
+  METHOD_USERNAME_PASSWORD,
+  METHOD_NO_ACCEPTABLE,
+  CMD_CONNECT,
+  CMD_BIND,
+  CMD_UDP_ASSOCIATE,
+  REPLY_SUCCEEDED,
+  REPLY_GENERAL_FAILURE,
+  REPLY_NOT_ALLOWED,
+  REPLY_COMMAND_NOT_SUPPORTED,
+  REPLY_ADDRESS_NOT_SUPPORTED,
+  BIND_TIMEOUT_MS,
+  hashPassword,
+  verifyPassword,
+  parseGreeting,
+  selectMethod,
+  parseAuthRequest,
+  authReply,
+  parseRequest,
+  reply,
+  parseUdpDatagram,
+  udpHeader,
+  acceptConnection,
+};
@@ -0,0 +1,128 @@
+// Traffic history: rollup resolutions, retention and time series built from rollup buckets
+
+// Rollup bucket sizes in seconds
+const RESOLUTIONS = { minute: 60, hour: 3600, day: 86400 };
+
+// Days to keep each rollup resolution and the raw flush rows older versions wrote; 0 keeps them forever
+const DEFAULT_RETENTION = { raw: 1, minute: 7, hour: 90, day: 0 };
+
+// Steps picked when a series request has none, from fine to coarse
+const AUTO_STEPS = [60, 300, 900, 1800, 3600, 10800, 21600, 43200, 86400, 604800];
+const AUTO_MAX_POINTS = 360;
+const MAX_POINTS = 2000;
+
+// trafficRetention from frps.yaml, with defaults for missing entries
+function parseRetention(value) {
+  const retention = { ...DEFAULT_RETENTION };
+  if (value === undefined || value === null) {
+    return retention;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('trafficRetention must map raw, minute, hour and day to a number of days');
+  }
+  for (const [key, days] of Object.entries(value)) {
+    if (!(key in DEFAULT_RETENTION)) {
+      throw new Error(`Unknown trafficRetention entry: ${key}`);
+    }
+    const number = Number(days);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`trafficRetention.${key} must be a non-negative number of days`);
+    }
+    retention[key] = number;
+  }
+  return retention;
+}
+
+// "300", "5m", "1h", "1d" -> seconds, a whole number of minutes
+function parseStep(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim().toLowerCase());
+  const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  const seconds = match ? Number(match[1]) * units[match[2]] : NaN;
+  if (!seconds || seconds % 60 !== 0) {
+    throw new Error('step must be a whole number of minutes, e.g. 300, 5m, 1h or 1d');
+  }
+  return seconds;
+}
+
+// ISO date or Unix seconds -> Date
+function parseTime(value, label) {
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value) * 1000) : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${label} must be an ISO date or Unix time in seconds`);
+  }
+  return date;
+}
+
+// Timestamps as stored by SQLite's CURRENT_TIMESTAMP (UTC) -> Date
+function fromSqlTime(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+// Finest rollup resolution still kept for data as old as from
+function finestResolutionFor(from, retention, now) {
+  for (const resolution of Object.keys(RESOLUTIONS)) {
+    const days = retention[resolution];
+    if (!days || now - from.getTime() <= days * 86400 * 1000) {
+      return resolution;
+    }
+  }
+  return 'day';
+}
+
+// Time range, step and rollup resolution for a series request ({ from, to, step } query strings).
+// Defaults to the last 24 hours with a step that keeps the series to a few hundred points. Steps
+// finer than the data kept for the range are raised to the finest resolution available.
+function resolveSeriesQuery(query, retention, now = Date.now()) {
+  const to = query.to ? parseTime(query.to, 'to') : new Date(now);
+  const from = query.from ? parseTime(query.from, 'from') : new Date(to.getTime() - 86400 * 1000);
+  if (from >= to) {
+    throw new Error('from must be before to');
+  }
+  const minimum = RESOLUTIONS[finestResolutionFor(from, retention, now)];
+  const span = (to - from) / 1000;
+  let step;
+  if (query.step) {
+    step = Math.max(parseStep(query.step), minimum);
+    if (step % minimum !== 0) {
+      step = Math.ceil(step / minimum) * minimum;
+    }
+  } else {
+    step = AUTO_STEPS.find(s => s >= minimum && s % minimum === 0 && span / s <= AUTO_MAX_POINTS) || AUTO_STEPS[AUTO_STEPS.length - 1];
+  }
+  if (span / step > MAX_POINTS) {
+    throw new Error(`Too many points (${Math.ceil(span / step)}); use a larger step`);
+  }
+  // Coarsest rollup that still adds up to whole steps
+  const resolution = ['day', 'hour', 'minute'].find(r => step % RESOLUTIONS[r] === 0 && RESOLUTIONS[r] >= minimum);
+  // Start on a step boundary so the first point covers a whole step
+  const start = new Date(Math.floor(from.getTime() / (step * 1000)) * step * 1000);
+  return { from: start, to, step, resolution };
+}
+
+// Rollup rows ({ bucket, bytes_in, bytes_out }) -> one point per step from..to, empty steps as zero
+function buildSeries(rows, { from, to, step }) {
+  const stepMs = step * 1000;
+  const sums = new Map();
+  for (const row of rows) {
+    const key = Math.floor(fromSqlTime(row.bucket).getTime() / stepMs) * stepMs;
+    const sum = sums.get(key) || { bytes_in: 0, bytes_out: 0 };
+    sum.bytes_in += row.bytes_in;
+    sum.bytes_out += row.bytes_out;
+    sums.set(key, sum);
+  }
+  const points = [];
+  for (let time = from.getTime(); time < to.getTime(); time += stepMs) {
+    const sum = sums.get(time) || { bytes_in: 0, bytes_out: 0 };
+    points.push({ time: new Date(time).toISOString(), ...sum });
+  }
+  return points;
+}
+
+module.exports = {
+  RESOLUTIONS,
+  DEFAULT_RETENTION,
+  parseRetention,
+  finestResolutionFor,
+  resolveSeriesQuery,
+  buildSeries,
+};
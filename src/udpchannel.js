@@ -0,0 +1,143 @@
+const EventEmitter = require('events');
+
+// Datagrams for all UDP sessions of a client travel over one dedicated data connection
+// (or multiplexed stream) as length-prefixed binary frames instead of base64 JSON lines
+// on the control socket, so bulk UDP traffic never queues in front of control messages.
+//
+// Frame: length(4) type(1) idLength(1) connectionId body
+//   OPEN  body: hostLength(1) host port(2) nameLength(1) proxyName payload
+//   DATA  body: payload
+//   CLOSE body: empty
+const FRAME_OPEN = 0x01;
+const FRAME_DATA = 0x02;
+const FRAME_CLOSE = 0x03;
+
+// Drop datagrams rather than buffer without bound when the connection cannot keep up
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+// Largest UDP payload plus room for the frame header
+const MAX_FRAME_SIZE = 65535 + 1024;
+// connectionId, host and proxyName are prefixed with a one-byte length
+const MAX_FIELD_LENGTH = 255;
+
+class UdpChannel extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.droppedPackets = 0;
+
+    socket.on('data', (data) => this.handleData(data));
+    socket.on('close', () => this.emit('close'));
+    socket.on('error', (err) => {
+      console.error('UDP channel error:', err.message);
+    });
+  }
+
+  // Whether an OPEN frame can carry this session; when it cannot, callers send it as JSON instead
+  static canOpen(connectionId, { targetHost, targetPort, proxyName }) {
+    return Buffer.byteLength(connectionId) <= MAX_FIELD_LENGTH
+      && Buffer.byteLength(targetHost || '') <= MAX_FIELD_LENGTH
+      && Buffer.byteLength(proxyName || '') <= MAX_FIELD_LENGTH
+      && Number.isInteger(targetPort || 0) && (targetPort || 0) >= 0 && (targetPort || 0) <= 65535;
+  }
+
+  sendOpen(connectionId, target, payload) {
+    if (!UdpChannel.canOpen(connectionId, target)) {
+      return false;
+    }
+    const { targetHost, targetPort, proxyName } = target;
+    const host = Buffer.from(targetHost || '');
+    const name = Buffer.from(proxyName || '');
+    const body = Buffer.alloc(1 + host.length + 2 + 1 + name.length);
+    let offset = 0;
+    body.writeUInt8(host.length, offset); offset += 1;
+    host.copy(body, offset); offset += host.length;
+    body.writeUInt16BE(targetPort || 0, offset); offset += 2;
+    body.writeUInt8(name.length, offset); offset += 1;
+    name.copy(body, offset);
+    return this.writeFrame(FRAME_OPEN, connectionId, Buffer.concat([body, payload]));
+  }
+
+  sendPacket(connectionId, payload) {
+    return this.writeFrame(FRAME_DATA, connectionId, payload);
+  }
+
+  sendClose(connectionId) {
+    return this.writeFrame(FRAME_CLOSE, connectionId, Buffer.alloc(0));
+  }
+
+  writeFrame(type, connectionId, body) {
+    if (this.socket.destroyed) {
+      return false;
+    }
+    // CLOSE frames are tiny and must not be lost, datagrams may be
+    if (type !== FRAME_CLOSE && this.socket.writableLength > MAX_BUFFERED_BYTES) {
+      this.droppedPackets++;
+      return false;
+    }
+    const id = Buffer.from(connectionId);
+    if (id.length > MAX_FIELD_LENGTH) {
+      return false;
+    }
+    const header = Buffer.alloc(6 + id.length);
+    header.writeUInt32BE(2 + id.length + body.length, 0);
+    header.writeUInt8(type, 4);
+    header.writeUInt8(id.length, 5);
+    id.copy(header, 6);
+    this.socket.write(Buffer.concat([header, body]));
+    return true;
+  }
+
+  handleData(data) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readUInt32BE(0);
+      if (length > MAX_FRAME_SIZE) {
+        console.error(`UDP channel frame too large (${length} bytes), closing channel`);
+        this.socket.destroy();
+        return;
+      }
+      if (this.buffer.length < 4 + length) {
+        return;
+      }
+      const frame = this.buffer.subarray(4, 4 + length);
+      this.buffer = this.buffer.subarray(4 + length);
+
+      try {
+        this.handleFrame(frame);
+      } catch (err) {
+        console.error('Invalid UDP channel frame:', err.message);
+      }
+    }
+  }
+
+  handleFrame(frame) {
+    const type = frame.readUInt8(0);
+    const idLength = frame.readUInt8(1);
+    const connectionId = frame.subarray(2, 2 + idLength).toString();
+    const body = frame.subarray(2 + idLength);
+
+    if (type === FRAME_OPEN) {
+      let offset = 0;
+      const hostLength = body.readUInt8(offset); offset += 1;
+      const targetHost = body.subarray(offset, offset + hostLength).toString(); offset += hostLength;
+      const targetPort = body.readUInt16BE(offset); offset += 2;
+      const nameLength = body.readUInt8(offset); offset += 1;
+      const proxyName = body.subarray(offset, offset + nameLength).toString(); offset += nameLength;
+      this.emit('open', connectionId, { targetHost, targetPort, proxyName }, body.subarray(offset));
+    } else if (type === FRAME_DATA) {
+      this.emit('packet', connectionId, body);
+    } else if (type === FRAME_CLOSE) {
+      this.emit('session_close', connectionId);
+    } else {
+      throw new Error(`unknown frame type ${type}`);
+    }
+  }
+
+  destroy() {
+    this.socket.destroy();
+  }
+}
+
+module.exports = UdpChannel;
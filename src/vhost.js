@@ -0,0 +1,272 @@
+// Helpers for virtual host forwards: domain lists, Host header / TLS SNI parsing and routing
+
+const MAX_REQUEST_HEAD = 16 * 1024;
+// A ClientHello is normally a few hundred bytes; post-quantum key shares push it past 1KB
+const MAX_CLIENT_HELLO = 64 * 1024;
+
+// Proxy types routed by domain on a shared server port rather than a remote_port of their own
+const VHOST_PROXY_TYPES = ['http', 'https'];
+
+const DOMAIN_PATTERN = /^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+// "a.example.com, *.dev.example.com" -> ['a.example.com', '*.dev.example.com']
+function parseDomains(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : value.toString().split(/[\s,]+/);
+  return [...new Set(list.map(d => d.trim().toLowerCase()).filter(Boolean))];
+}
+
+function isValidDomain(domain) {
+  return domain.length <= 253 && DOMAIN_PATTERN.test(domain);
+}
+
+// Strip the port and normalize case: "App.Example.com:8080" -> "app.example.com"
+function normalizeHost(host) {
+  if (!host) return null;
+  let value = host.trim().toLowerCase();
+  if (value.startsWith('[')) {
+    return value.slice(1, value.indexOf(']'));
+  }
+  const colon = value.lastIndexOf(':');
+  if (colon !== -1 && value.indexOf(':') === colon) {
+    value = value.slice(0, colon);
+  }
+  return value.replace(/\.$/, '');
+}
+
+// Find the route for host in a Map keyed by domain: exact match first, then the most specific wildcard
+function matchDomain(routes, host) {
+  if (!host) return null;
+  if (routes.has(host)) {
+    return routes.get(host);
+  }
+  let rest = host;
+  let dot;
+  while ((dot = rest.indexOf('.')) !== -1) {
+    rest = rest.slice(dot + 1);
+    const route = routes.get(`*.${rest}`);
+    if (route) {
+      return route;
+    }
+  }
+  return null;
+}
+
+function domainsMatch(domains, host) {
+  return !!matchDomain(new Map(domains.map(d => [d, true])), host);
+}
+
+// Returns null until the request head is complete, then
+// { method, target, version, host, headers: [[name, value]], length } where length includes the blank line
+function parseHttpRequestHead(buf) {
+  const end = buf.indexOf('\r\n\r\n');
+  if (end === -1) {
+    if (buf.length > MAX_REQUEST_HEAD) {
+      throw new Error('Request header too large');
+    }
+    return null;
+  }
+  const lines = buf.subarray(0, end).toString('latin1').split('\r\n');
+  const requestLine = lines[0].split(' ');
+  if (requestLine.length !== 3 || !requestLine[2].startsWith('HTTP/')) {
+    throw new Error('Malformed request line');
+  }
+  const headers = [];
+  let host = null;
+  for (const line of lines.slice(1)) {
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const name = line.slice(0, colon).trim();
+    const value = line.slice(colon + 1).trim();
+    headers.push([name, value]);
+    if (host === null && name.toLowerCase() === 'host') {
+      host = value;
+    }
+  }
+  return {
+    method: requestLine[0],
+    target: requestLine[1],
+    version: requestLine[2],
+    host: normalizeHost(host),
+    headers,
+    length: end + 4,
+  };
+}
+
+// Connection-scoped headers replaced when a connection is limited to one request
+const CONNECTION_HEADERS = new Set(['connection', 'keep-alive', 'proxy-connection']);
+
+function isUpgradeRequest(head) {
+  const connection = head.headers.find(([name]) => name.toLowerCase() === 'connection');
+  return !!connection && /(^|,)\s*upgrade\s*(,|$)/i.test(connection[1]) &&
+    head.headers.some(([name]) => name.toLowerCase() === 'upgrade');
+}
+
+// Request head rebuilt with "Connection: close", so the backend closes after its response and the
+// browser opens a new connection (routed again) for its next request
+function closeAfterRequest(head) {
+  const lines = [`${head.method} ${head.target} ${head.version}`];
+  for (const [name, value] of head.headers) {
+    if (!CONNECTION_HEADERS.has(name.toLowerCase())) {
+      lines.push(`${name}: ${value}`);
+    }
+  }
+  lines.push('Connection: close');
+  return Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'latin1');
+}
+
+// Peek the server name from a TLS ClientHello without terminating TLS.
+// Returns null until the ClientHello is complete, then { serverName } (null when no SNI was sent).
+function parseTlsSni(buf) {
+  // The handshake message may be split across several records
+  let handshake = Buffer.alloc(0);
+  let offset = 0;
+  while (true) {
+    if (buf.length < offset + 5) {
+      return null;
+    }
+    if (buf[offset] !== 0x16) {
+      throw new Error('Not a TLS handshake');
+    }
+    const recordLength = buf.readUInt16BE(offset + 3);
+    if (buf.length < offset + 5 + recordLength) {
+      if (buf.length > MAX_CLIENT_HELLO) {
+        throw new Error('ClientHello too large');
+      }
+      return null;
+    }
+    handshake = Buffer.concat([handshake, buf.subarray(offset + 5, offset + 5 + recordLength)]);
+    offset += 5 + recordLength;
+
+    if (handshake.length >= 4) {
+      if (handshake[0] !== 0x01) {
+        throw new Error('Not a ClientHello');
+      }
+      const helloLength = handshake.readUIntBE(1, 3);
+      if (helloLength > MAX_CLIENT_HELLO) {
+        throw new Error('ClientHello too large');
+      }
+      if (handshake.length >= 4 + helloLength) {
+        return { serverName: readSniExtension(handshake.subarray(4, 4 + helloLength)) };
+      }
+    }
+  }
+}
+
+function readSniExtension(hello) {
+  // client_version(2) random(32) session_id cipher_suites compression_methods extensions
+  let pos = 34;
+  pos += 1 + hello.readUInt8(pos);
+  pos += 2 + hello.readUInt16BE(pos);
+  pos += 1 + hello.readUInt8(pos);
+  if (pos + 2 > hello.length) {
+    return null;
+  }
+  const extensionsEnd = Math.min(hello.length, pos + 2 + hello.readUInt16BE(pos));
+  pos += 2;
+
+  while (pos + 4 <= extensionsEnd) {
+    const type = hello.readUInt16BE(pos);
+    const length = hello.readUInt16BE(pos + 2);
+    pos += 4;
+    if (type === 0x0000) {
+      // server_name_list: listLength(2) then entries of nameType(1) nameLength(2) name
+      let entry = pos + 2;
+      const listEnd = Math.min(pos + length, extensionsEnd);
+      while (entry + 3 <= listEnd) {
+        const nameType = hello.readUInt8(entry);
+        const nameLength = hello.readUInt16BE(entry + 1);
+        if (nameType === 0 && entry + 3 + nameLength <= listEnd) {
+          return normalizeHost(hello.subarray(entry + 3, entry + 3 + nameLength).toString('latin1'));
+        }
+        entry += 3 + nameLength;
+      }
+      return null;
+    }
+    pos += length;
+  }
+  return null;
+}
+
+// HTTP/HTTPS forwards are routed by domain on a shared vhost port instead of listening on remote_port.
+// Checks the server has that port and no other forward uses the domains. Returns the normalized
+// custom_domains value to store, or null for other proxy types.
+async function validateVhostFields(fields, config, database, excludeId = null) {
+  const proxyType = fields.proxy_type;
+  if (!VHOST_PROXY_TYPES.includes(proxyType)) {
+    return null;
+  }
+  const label = proxyType.toUpperCase();
+  const portOption = proxyType === 'https' ? 'vhostHTTPSPort' : 'vhostHTTPPort';
+  if (!config[portOption]) {
+    throw new Error(`${label} forwards require ${portOption} in the server configuration`);
+  }
+  if ((fields.direction || 'forward') !== 'forward') {
+    throw new Error(`${label} forwards only support the forward direction`);
+  }
+  const domains = parseDomains(fields.custom_domains);
+  if (domains.length === 0) {
+    throw new Error(`${label} forwards need at least one custom domain`);
+  }
+  const invalid = domains.find(d => !isValidDomain(d));
+  if (invalid) {
+    throw new Error(`Invalid domain: ${invalid}`);
+  }
+  const existing = await database.getVhostPortForwards(proxyType);
+  for (const other of existing) {
+    if (excludeId && other.id === parseInt(excludeId)) continue;
+    const taken = parseDomains(other.custom_domains).find(d => domains.includes(d));
+    if (taken) {
+      throw new Error(`Domain ${taken} is already used by port forward ${other.name}`);
+    }
+  }
+  return domains.join(',');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const STATUS_TEXT = {
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not Found',
+  407: 'Proxy Authentication Required',
+  431: 'Request Header Fields Too Large',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+};
+
+// Complete HTTP response with a small HTML page; the connection is closed afterwards.
+// headers: extra response headers, e.g. { 'Proxy-Authenticate': 'Basic realm="node-frp"' }
+function renderErrorResponse(status, message, headers = {}) {
+  const title = `${status} ${STATUS_TEXT[status] || 'Error'}`;
+  const body = `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><title>${title}</title>
+<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;background:#f5f5f5;color:#333;text-align:center;padding:4rem 1rem}h1{font-weight:400}p{color:#666}</style>
+</head>
+<body><h1>${title}</h1><p>${escapeHtml(message)}</p><hr><small>node-frp</small></body>
+</html>
+`;
+  return `HTTP/1.1 ${title}\r\n` +
+    'Content-Type: text/html; charset=utf-8\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('') +
+    'Connection: close\r\n\r\n' + body;
+}
+
+module.exports = {
+  VHOST_PROXY_TYPES,
+  parseDomains,
+  isValidDomain,
+  normalizeHost,
+  matchDomain,
+  domainsMatch,
+  parseHttpRequestHead,
+  isUpgradeRequest,
+  closeAfterRequest,
+  parseTlsSni,
+  validateVhostFields,
+  renderErrorResponse,
+};
@@ -5,6 +5,181 @@ const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const path = require('path');
+const vhost = require('./vhost');
+const { parseCidrList, parseDestinationList, parsePortRanges, formatPortRanges, portInRanges, parseBindAddress, formatListenAddress, formatHostPort, normalizeAddress } = require('./acl');
+const socks5 = require('./socks5');
+const { DEFAULT_RETENTION, finestResolutionFor, resolveSeriesQuery, buildSeries } = require('./traffic');
+const { renderMetrics } = require('./metrics');
+const { diffRecords } = require('./audit');
+const crypto = require('crypto');
+
+// Source address lists are stored normalized and comma separated, empty lists as NULL
+function parseSourceLists(body, partial = false) {
+  const lists = {};
+  for (const field of ['allow_cidrs', 'deny_cidrs']) {
+    if (typeof body[field] === 'undefined' && partial) continue;
+    const cidrs = parseCidrList(body[field]);
+    lists[field] = cidrs.length > 0 ? cidrs.join(',') : null;
+  }
+  return lists;
+}
+
+// Limit fields with their labels; bandwidth is in KB/s, connection rate in new connections per second
+const CLIENT_LIMIT_FIELDS = [
+  ['rate_limit_up', 'Upload limit'],
+  ['rate_limit_down', 'Download limit'],
+  ['max_connections', 'Max connections'],
+];
+const PORT_FORWARD_LIMIT_FIELDS = [
+  ...CLIENT_LIMIT_FIELDS,
+  ['max_connection_rate', 'Connection rate limit'],
+];
+
+// Limits are whole numbers where empty or 0 means unlimited. With partial set, only fields present
+// in body are returned so REST updates leave the others untouched.
+function parseLimits(body, fields, partial = false) {
+  const limits = {};
+  for (const [field, label] of fields) {
+    const value = body[field];
+    if (typeof value === 'undefined' && partial) continue;
+    if (typeof value === 'undefined' || value === null || value === '') {
+      limits[field] = 0;
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${label} must be a non-negative whole number`);
+    }
+    limits[field] = number;
+  }
+  return limits;
+}
+
+// Whether a client may declare its own forwards in frpc.yaml, and on which remote ports (empty for any)
+function parseDeclaredSettings(body, partial = false) {
+  const settings = {};
+  const allow = body.allow_declared_forwards;
+  if (typeof allow !== 'undefined' || !partial) {
+    settings.allow_declared_forwards = allow && allow !== '0' && allow !== 'false' ? 1 : 0;
+  }
+  if (typeof body.declared_ports !== 'undefined' || !partial) {
+    const ranges = parsePortRanges(body.declared_ports);
+    settings.declared_ports = ranges.length > 0 ? formatPortRanges(ranges) : null;
+  }
+  return settings;
+}
+
+const PROXY_TYPES = ['tcp', 'udp', 'socks5', 'http-connect', 'http', 'https'];
+const DIRECTIONS = ['forward', 'reverse', 'dynamic', 'reverse-dynamic'];
+const DYNAMIC_DIRECTIONS = ['dynamic', 'reverse-dynamic'];
+
+// "tcp, udp" / ['tcp', 'udp'] (checkbox groups) -> "tcp,udp" restricted to known values, NULL for all
+function parseAllowedList(value, known, label) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const items = [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+  const invalid = items.find(item => !known.includes(item));
+  if (invalid) {
+    throw new Error(`Unknown ${label} ${invalid} (expected ${known.join(', ')})`);
+  }
+  return items.length > 0 ? items.join(',') : null;
+}
+
+// Which port forwards a client may have: remote port ranges, how many, which proxy types and
+// directions. Empty values mean unrestricted; enforcement lives in the database layer.
+function parseClientPolicy(body, partial = false) {
+  const policy = parseLimits(body, [['max_forwards', 'Max port forwards']], partial);
+  if (typeof body.allowed_ports !== 'undefined' || !partial) {
+    const ranges = parsePortRanges(body.allowed_ports);
+    policy.allowed_ports = ranges.length > 0 ? formatPortRanges(ranges) : null;
+  }
+  if (typeof body.allowed_proxy_types !== 'undefined' || !partial) {
+    policy.allowed_proxy_types = parseAllowedList(body.allowed_proxy_types, PROXY_TYPES, 'proxy type');
+  }
+  if (typeof body.allowed_directions !== 'undefined' || !partial) {
+    policy.allowed_directions = parseAllowedList(body.allowed_directions, DIRECTIONS, 'direction');
+  }
+  return policy;
+}
+
+// SOCKS5 credentials for dynamic forwards. The password is write-only: it is stored as a hash and
+// an empty password keeps the current one. An empty username turns authentication off.
+async function parseSocksAuth(body, current = null, partial = false) {
+  const hasUsername = typeof body.socks_username !== 'undefined';
+  if (partial && !hasUsername && typeof body.socks_password === 'undefined') {
+    return {};
+  }
+  const username = hasUsername ? String(body.socks_username || '').trim() : ((current && current.socks_username) || '');
+  if (!username) {
+    return { socks_username: null, socks_password_hash: null };
+  }
+  const direction = body.direction || (current && current.direction) || 'forward';
+  if (!DYNAMIC_DIRECTIONS.includes(direction)) {
+    throw new Error('SOCKS5 authentication is only available for dynamic and reverse-dynamic forwards');
+  }
+  // RFC 1929 carries both fields with a one byte length
+  if (Buffer.byteLength(username) > 255) {
+    throw new Error('SOCKS5 username must be at most 255 bytes');
+  }
+  const password = body.socks_password ? String(body.socks_password) : '';
+  if (password) {
+    if (Buffer.byteLength(password) > 255) {
+      throw new Error('SOCKS5 password must be at most 255 bytes');
+    }
+    return { socks_username: username, socks_password_hash: await socks5.hashPassword(password) };
+  }
+  if (current && current.socks_password_hash) {
+    return { socks_username: username, socks_password_hash: current.socks_password_hash };
+  }
+  throw new Error('A SOCKS5 password is required when a username is set');
+}
+
+// Destination rules for dynamic forwards, stored normalized and comma separated like the source lists
+function parseDestinationLists(body, current = null, partial = false) {
+  const lists = {};
+  for (const field of ['dest_allow', 'dest_deny']) {
+    if (typeof body[field] === 'undefined' && partial) continue;
+    const rules = parseDestinationList(body[field]);
+    lists[field] = rules.length > 0 ? rules.join(',') : null;
+  }
+  // Partial updates keep the stored rules, which must still fit the (possibly new) direction
+  const effective = { ...(current || {}), ...lists };
+  const direction = body.direction || (current && current.direction) || 'forward';
+  if ((effective.dest_allow || effective.dest_deny) && !DYNAMIC_DIRECTIONS.includes(direction)) {
+    throw new Error('Destination rules are only available for dynamic and reverse-dynamic forwards');
+  }
+  return lists;
+}
+
+// Address the server listens on for the forward; empty falls back to the server's proxyBindAddr
+function parseBindAddressField(body, current = null, partial = false) {
+  if (typeof body.bind_address === 'undefined' && partial) {
+    return {};
+  }
+  const bindAddress = parseBindAddress(body.bind_address);
+  const direction = body.direction || (current && current.direction) || 'forward';
+  const proxyType = body.proxy_type || (current && current.proxy_type) || 'tcp';
+  if (bindAddress && (!['forward', 'dynamic'].includes(direction) || vhost.VHOST_PROXY_TYPES.includes(proxyType))) {
+    throw new Error('A bind address is only available for forward and dynamic forwards that listen on their own port');
+  }
+  return { bind_address: bindAddress };
+}
+
+// Known direction; the HTTP proxy flavor only exists for server-side dynamic forwards
+function validateProxyType(fields) {
+  const direction = fields.direction || 'forward';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown direction ${direction} (expected ${DIRECTIONS.join(', ')})`);
+  }
+  if (fields.proxy_type === 'http-connect' && direction !== 'dynamic') {
+    throw new Error('HTTP proxy forwards only support the dynamic direction');
+  }
+}
+
+// API responses never include the password hash, only whether one is set
+function publicPortForward(portForward) {
+  const { socks_password_hash, ...rest } = portForward;
+  return { ...rest, socks_auth: !!(portForward.socks_username && socks_password_hash) };
+}
 
 class WebUIServer {
   constructor(config, database, frpServer) {
@@ -13,9 +188,15 @@ class WebUIServer {
     this.frpServer = frpServer;
     this.app = express();
     this.httpServer = null;
+    this.reservedPorts = new Set(); // pool ports handed out to forwards that are not stored yet
+    this.eventStreams = new Set(); // Open /api/events responses
+    this.serverListeners = []; // [event, handler] registered on frpServer
+    this.trafficSampleTimer = null;
+    this.lastTrafficTotals = null;
 
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupEventStream();
   }
 
   setupMiddleware() {
@@ -26,7 +207,6 @@ class WebUIServer {
     this.app.use(cookieParser());
 
     // Generate a random session secret on startup
-    const crypto = require('crypto');
     const sessionSecret = crypto.randomBytes(32).toString('hex');
 
     this.app.use(session({
@@ -48,6 +228,8 @@ class WebUIServer {
     // View engine setup
     this.app.set('view engine', 'ejs');
     this.app.set('views', path.join(__dirname, '..', 'web', 'views'));
+    this.app.locals.portPool = this.config.portPool ? formatPortRanges(this.config.portPool) : null;
+    this.app.locals.listenAddress = (forward) => formatListenAddress(forward.bind_address || this.config.proxyBindAddr, forward.remote_port);
 
     // Static files
     this.app.use('/static', express.static(path.join(__dirname, '..', 'web', 'public')));
@@ -72,25 +254,257 @@ class WebUIServer {
         console.error('Failed to reload port forwards for client:', err);
       }
     }
+    await this.publishClientForwards(clientId);
+  }
+
+  // Live updates for the dashboard and port forwards pages over Server-Sent Events: clients
+  // connecting and disconnecting, port forward changes and, every second while a page listens,
+  // the traffic of the last second and active connections per forward
+  setupEventStream() {
+    if (!this.frpServer) {
+      return;
+    }
+    // Another connection of the same client may already have replaced the one that ended
+    const publishClient = ({ clientId, clientName }) => {
+      const connected = this.frpServer.getConnectedClientIds().includes(clientId);
+      this.broadcast('client', { clientId, clientName, connected });
+    };
+    this.serverListeners = [
+      ['client_authenticated', publishClient],
+      ['client_disconnected', publishClient],
+    ];
+    for (const [event, handler] of this.serverListeners) {
+      this.frpServer.on(event, handler);
+    }
+  }
+
+  addEventStream(res) {
+    this.eventStreams.add(res);
+    const connectedClientIds = this.frpServer ? this.frpServer.getConnectedClientIds() : [];
+    this.sendEvent(res, 'status', { connectedClientIds });
+    if (!this.trafficSampleTimer && this.frpServer) {
+      this.lastTrafficTotals = this.frpServer.getTrafficTotals();
+      this.trafficSampleTimer = setInterval(() => this.sampleTraffic(), 1000);
+    }
+  }
+
+  removeEventStream(res) {
+    this.eventStreams.delete(res);
+    if (this.eventStreams.size === 0 && this.trafficSampleTimer) {
+      clearInterval(this.trafficSampleTimer);
+      this.trafficSampleTimer = null;
+    }
+  }
+
+  sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(event, data) {
+    for (const res of this.eventStreams) {
+      this.sendEvent(res, event, data);
+    }
+  }
+
+  // Bytes per forward since the previous sample, from the server's running totals
+  sampleTraffic() {
+    const totals = this.frpServer.getTrafficTotals();
+    const forwards = {};
+    for (const [portForwardId, total] of Object.entries(totals)) {
+      const previous = this.lastTrafficTotals[portForwardId] || { bytesIn: 0, bytesOut: 0 };
+      const bytesIn = total.bytesIn - previous.bytesIn;
+      const bytesOut = total.bytesOut - previous.bytesOut;
+      if (bytesIn > 0 || bytesOut > 0) {
+        forwards[portForwardId] = { bytesIn, bytesOut };
+      }
+    }
+    this.lastTrafficTotals = totals;
+
+    const connections = {};
+    for (const [portForwardId, stats] of Object.entries(this.frpServer.getConnectionStats())) {
+      connections[portForwardId] = stats.active;
+    }
+    this.broadcast('traffic', { forwards, connections });
+
+    // The connections page asks for the open connections themselves
+    for (const res of this.eventStreams) {
+      if (res.connectionsQuery) {
+        this.sendEvent(res, 'connections', this.listConnections(res.connectionsQuery));
+      }
+    }
+  }
+
+  // Open connections, optionally only those of one client (client_id) or port forward (port_forward_id)
+  listConnections(query = {}) {
+    const connections = this.frpServer ? this.frpServer.getLiveConnections() : [];
+    return connections.filter(c =>
+      (!query.client_id || String(c.clientId) === String(query.client_id)) &&
+      (!query.port_forward_id || String(c.portForwardId) === String(query.port_forward_id)));
+  }
+
+  // State of every port forward of a client after a change made through the web UI or API
+  async publishClientForwards(clientId) {
+    if (this.eventStreams.size === 0) {
+      return;
+    }
+    try {
+      const forwards = await this.database.getAllPortForwardsByClient(clientId);
+      const connected = this.frpServer ? this.frpServer.getConnectedClientIds().includes(clientId) : false;
+      this.broadcast('forwards', {
+        clientId,
+        forwards: forwards.map(f => ({ id: f.id, enabled: !!f.enabled, active: !!f.enabled && connected })),
+      });
+    } catch (err) {
+      console.error('Failed to publish port forward changes:', err);
+    }
+  }
+
+  // Next free port from the server's portPool that is not stored for another forward, bound by a running
+  // proxy, used by the server itself, outside the client's allowed ports or reserved by a concurrent request.
+  // The port stays reserved until the caller removes it from reservedPorts.
+  async allocateRemotePort(clientId) {
+    const pool = this.config.portPool;
+    if (!pool || pool.length === 0) {
+      throw new Error('Automatic remote ports require portPool in the server configuration');
+    }
+    const client = await this.database.getClient(clientId);
+    if (!client) {
+      throw new Error('Client not found');
+    }
+    const allowed = parsePortRanges(client.allowed_ports);
+    const used = await this.database.getUsedRemotePorts();
+    const serverPorts = [this.config.bindPort, this.config.vhostHTTPPort, this.config.vhostHTTPSPort, this.config.webUI && this.config.webUI.port].map(Number);
+    for (const [min, max] of pool) {
+      for (let port = min; port <= max; port++) {
+        if (used.has(port) || this.reservedPorts.has(port) || serverPorts.includes(port) || !portInRanges(port, allowed)) continue;
+        if (this.frpServer && this.frpServer.isPortBound(port)) continue;
+        this.reservedPorts.add(port);
+        return port;
+      }
+    }
+    throw new Error(`No free port left in the port pool${allowed.length > 0 ? ` within the ports allowed for client ${client.name}` : ''}`);
   }
 
   setupRoutes() {
     const requireAuth = this.requireAuth.bind(this);
     const db = this.database;
     const reloadClientPortForwards = this.reloadClientPortForwards.bind(this);
+    const validateVhostFields = (fields, excludeId = null) => vhost.validateVhostFields(fields, this.config, db, excludeId);
+    const isRemotePortAvailable = (port, excludeId, bindAddress) => db.isRemotePortAvailable(port, excludeId, bindAddress, this.config.proxyBindAddr);
+
+    // Runs create(remotePort) with the requested port, or with one allocated from the pool when it is "auto"
+    const withRemotePort = async (fields, create) => {
+      if (String(fields.remote_port).trim().toLowerCase() !== 'auto') {
+        return create(fields.remote_port);
+      }
+      if (!['forward', 'dynamic'].includes(fields.direction || 'forward') || vhost.VHOST_PROXY_TYPES.includes(fields.proxy_type)) {
+        throw new Error('Automatic remote ports are only available for forwards the server listens on (forward and dynamic, except HTTP/HTTPS)');
+      }
+      const port = await this.allocateRemotePort(fields.client_id);
+      try {
+        return await create(port);
+      } finally {
+        this.reservedPorts.delete(port);
+      }
+    };
+
+    // Traffic of the given port forwards as a zero-filled series for the from/to/step query
+    const trafficRetention = this.config.trafficRetention || DEFAULT_RETENTION;
+    const sendTrafficSeries = async (req, res, portForwardIds, fields) => {
+      let range;
+      try {
+        range = resolveSeriesQuery(req.query, trafficRetention);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      const rows = await db.getTrafficRollups(portForwardIds, range.resolution, range.from, range.to);
+      res.json({
+        ...fields,
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        step: range.step,
+        resolution: range.resolution,
+        points: buildSeries(rows, range),
+      });
+    };
+
+    // Prometheus metrics, outside the session login so scrapers only need metrics.token
+    const metrics = this.config.metrics || {};
+    if (metrics.enabled) {
+      this.app.get('/metrics', async (req, res) => {
+        if (metrics.token) {
+          const expected = Buffer.from(`Bearer ${metrics.token}`);
+          const given = Buffer.from(req.get('Authorization') || '');
+          if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).send('Unauthorized\n');
+          }
+        }
+        if (!this.frpServer) {
+          return res.status(503).send('FRP server not available\n');
+        }
+        try {
+          const portForwards = await db.getAllPortForwards();
+          res.type('text/plain; version=0.0.4').send(renderMetrics(this.frpServer, portForwards));
+        } catch (err) {
+          res.status(500).send(`${err.message}\n`);
+        }
+      });
+    }
+
+    // Record an administrative change; before and after are the stored records (null when created or deleted).
+    // A failed write is logged but doesn't undo or fail the change itself.
+    const audit = async (req, action, targetType, before, after, { actor, targetName, changes } = {}) => {
+      const target = after || before || {};
+      try {
+        await db.addAuditEntry({
+          actor: actor || (req.session && req.session.username) || 'unknown',
+          action,
+          targetType,
+          targetId: target.id,
+          targetName: targetName || target.name,
+          changes: changes !== undefined ? changes : diffRecords(before, after),
+          sourceIp: normalizeAddress(req.ip),
+        });
+      } catch (err) {
+        console.error('Failed to write audit log entry:', err);
+      }
+    };
+
+    // Audit log filters from a query string; throws on invalid dates
+    const parseAuditQuery = (query) => {
+      const filters = {};
+      for (const field of ['actor', 'action', 'target_type', 'target_id']) {
+        if (query[field]) filters[field] = String(query[field]);
+      }
+      for (const field of ['since', 'until']) {
+        if (query[field]) {
+          const date = new Date(query[field]);
+          if (isNaN(date.getTime())) {
+            throw new Error(`${field} must be an ISO date`);
+          }
+          filters[field] = date;
+        }
+      }
+      filters.limit = Math.min(Math.max(parseInt(query.limit) || 100, 1), 1000);
+      filters.offset = Math.max(parseInt(query.offset) || 0, 0);
+      return filters;
+    };
 
     // Login routes
     this.app.get('/login', (req, res) => {
       res.render('login', { error: null });
     });
 
-    this.app.post('/login', (req, res) => {
+    this.app.post('/login', async (req, res) => {
       const { username, password } = req.body;
       if (username === this.config.webUI.username && password === this.config.webUI.password) {
         req.session.authenticated = true;
         req.session.username = username;
+        await audit(req, 'login', null, null, null, { changes: null });
         res.redirect('/');
       } else {
+        await audit(req, 'login_failed', null, null, null, { actor: String(username || ''), changes: null });
         res.render('login', { error: 'Invalid username or password' });
       }
     });
@@ -109,6 +523,7 @@ class WebUIServer {
         const connectedClientIds = this.frpServer ? this.frpServer.getConnectedClientIds() : [];
         const trafficData = await db.getAllPortForwardsTraffic();
         const realtimeTraffic = this.frpServer ? this.frpServer.getTrafficCounters() : {};
+        const connectionStats = this.frpServer ? this.frpServer.getConnectionStats() : {};
 
         // Create a traffic map for easy lookup
         const trafficMap = {};
@@ -144,10 +559,11 @@ class WebUIServer {
         }));
 
         const portForwardsWithStatus = portForwards.map(pf => ({
-          ...pf,
+          ...publicPortForward(pf),
           client_connected: connectedClientIds.includes(pf.client_id),
           active: pf.enabled && connectedClientIds.includes(pf.client_id),
-          traffic: trafficMap[pf.id] || { total_bytes_in: 0, total_bytes_out: 0, total_bytes: 0, last_activity: null }
+          traffic: trafficMap[pf.id] || { total_bytes_in: 0, total_bytes_out: 0, total_bytes: 0, last_activity: null },
+          connections: connectionStats[pf.id] || { active: 0, limit_hits: null, source_rejections: null }
         }));
 
         res.render('dashboard', { stats, clients: clientsWithStatus, portForwards: portForwardsWithStatus });
@@ -183,7 +599,8 @@ class WebUIServer {
     this.app.post('/clients/new', requireAuth, async (req, res) => {
       try {
         const { name, description } = req.body;
-        await db.createClient(name, description);
+        const created = await db.createClient(name, description, { ...parseLimits(req.body, CLIENT_LIMIT_FIELDS), ...parseDeclaredSettings(req.body), ...parseClientPolicy(req.body) });
+        await audit(req, 'client.create', 'client', null, await db.getClient(created.id));
         res.redirect('/clients');
       } catch (err) {
         console.error('Error creating client:', err);
@@ -196,7 +613,9 @@ class WebUIServer {
         const client = await db.getClient(req.params.id);
         if (!client) return res.status(404).send('Client not found');
         const portForwards = await db.getPortForwardsByClient(req.params.id);
-        res.render('client-detail', { client, portForwards });
+        // Disabled forwards still have traffic history to chart
+        const trafficForwards = await db.getAllPortForwardsByClient(req.params.id);
+        res.render('client-detail', { client, portForwards, trafficForwards });
       } catch (err) {
         console.error('Error loading client:', err);
         res.status(500).send('Internal server error');
@@ -217,11 +636,17 @@ class WebUIServer {
     this.app.post('/clients/:id/edit', requireAuth, async (req, res) => {
       try {
         const { name, description, enabled } = req.body;
+        const before = await db.getClient(req.params.id);
         await db.updateClient(req.params.id, {
           name,
           description,
+          ...parseLimits(req.body, CLIENT_LIMIT_FIELDS),
+          ...parseDeclaredSettings(req.body),
+          ...parseClientPolicy(req.body),
           enabled: enabled ? 1 : 0
         });
+        await audit(req, 'client.update', 'client', before, await db.getClient(req.params.id));
+        await reloadClientPortForwards(parseInt(req.params.id));
         res.redirect(`/clients/${req.params.id}`);
       } catch (err) {
         console.error('Error updating client:', err);
@@ -270,7 +695,7 @@ class WebUIServer {
 
         // Add connection status and traffic to each port forward
         const portForwardsWithStatus = portForwards.map(pf => ({
-          ...pf,
+          ...publicPortForward(pf),
           client_connected: connectedClientIds.includes(pf.client_id),
           active: pf.enabled && connectedClientIds.includes(pf.client_id),
           traffic: trafficMap[pf.id] || { total_bytes_in: 0, total_bytes_out: 0, total_bytes: 0, last_activity: null }
@@ -283,6 +708,36 @@ class WebUIServer {
       }
     });
 
+    this.app.get('/connections', requireAuth, (req, res) => {
+      res.render('connections', { connections: this.listConnections(req.query), filter: req.query });
+    });
+
+    this.app.get('/audit', requireAuth, async (req, res) => {
+      try {
+        let filters;
+        let error = null;
+        // The page's date inputs carry no time zone; like the table they are in UTC
+        const query = { ...req.query };
+        for (const field of ['since', 'until']) {
+          if (/^\d{4}-\d\d-\d\dT\d\d:\d\d(:\d\d)?$/.test(query[field] || '')) {
+            query[field] += 'Z';
+          }
+        }
+        try {
+          filters = parseAuditQuery(query);
+        } catch (err) {
+          error = err.message;
+          filters = parseAuditQuery({ ...query, since: null, until: null });
+        }
+        const entries = await db.getAuditLog(filters);
+        const { actors, actions } = await db.getAuditFilterValues();
+        res.render('audit', { entries, actors, actions, filter: req.query, limit: filters.limit, offset: filters.offset, error });
+      } catch (err) {
+        console.error('Error loading audit log:', err);
+        res.status(500).send('Internal server error');
+      }
+    });
+
     this.app.get('/port-forwards/new', requireAuth, async (req, res) => {
       try {
         const clients = await db.getAllClients();
@@ -295,21 +750,36 @@ class WebUIServer {
 
     this.app.post('/port-forwards/new', requireAuth, async (req, res) => {
       try {
-        const { client_id, name, remote_port, local_ip, local_port, proxy_type, direction, remote_ip } = req.body;
-        const available = await db.isRemotePortAvailable(remote_port);
-        if (!available && direction !== 'reverse') {
-          throw new Error(`Remote port ${remote_port} is already in use`);
-        }
-        await db.createPortForward(
-          client_id,
-          name,
-          parseInt(remote_port),
-          local_ip || '127.0.0.1',
-          parseInt(local_port),
-          proxy_type || 'tcp',
-          direction || 'forward',
-          remote_ip || '127.0.0.1'
-        );
+        const { client_id, name, local_ip, local_port, proxy_type, direction, remote_ip } = req.body;
+        validateProxyType(req.body);
+        const customDomains = await validateVhostFields(req.body);
+        const fields = { ...req.body, remote_port: req.body.auto_remote_port ? 'auto' : req.body.remote_port };
+        const bindAddress = parseBindAddressField(req.body);
+        const created = await withRemotePort(fields, async (remote_port) => {
+          const available = customDomains !== null || await isRemotePortAvailable(remote_port, null, bindAddress.bind_address);
+          if (!available && direction !== 'reverse') {
+            throw new Error(`Remote port ${remote_port} is already in use`);
+          }
+          return db.createPortForward(
+            client_id,
+            name,
+            customDomains !== null ? 0 : parseInt(remote_port),
+            local_ip || '127.0.0.1',
+            parseInt(local_port),
+            proxy_type || 'tcp',
+            direction || 'forward',
+            remote_ip || '127.0.0.1',
+            {
+              custom_domains: customDomains,
+              ...bindAddress,
+              ...parseLimits(req.body, PORT_FORWARD_LIMIT_FIELDS),
+              ...parseSourceLists(req.body),
+              ...parseDestinationLists(req.body),
+              ...await parseSocksAuth(req.body)
+            }
+          );
+        });
+        await audit(req, 'port_forward.create', 'port_forward', null, await db.getPortForward(created.id));
         await reloadClientPortForwards(parseInt(client_id));
         res.redirect('/port-forwards');
       } catch (err) {
@@ -338,21 +808,31 @@ class WebUIServer {
     this.app.post('/port-forwards/:id/edit', requireAuth, async (req, res) => {
       try {
         const { name, remote_port, local_ip, local_port, proxy_type, enabled, direction, remote_ip } = req.body;
-        const available = await db.isRemotePortAvailable(remote_port, req.params.id);
+        validateProxyType(req.body);
+        const customDomains = await validateVhostFields(req.body, req.params.id);
+        const bindAddress = parseBindAddressField(req.body);
+        const available = customDomains !== null || await isRemotePortAvailable(remote_port, req.params.id, bindAddress.bind_address);
         if (!available && direction !== 'reverse') {
           throw new Error(`Remote port ${remote_port} is already in use`);
         }
         const portForward = await db.getPortForward(req.params.id);
         await db.updatePortForward(req.params.id, {
           name,
-          remote_port: parseInt(remote_port),
+          remote_port: customDomains !== null ? 0 : parseInt(remote_port),
           local_ip: local_ip || '127.0.0.1',
           local_port: parseInt(local_port),
           proxy_type: proxy_type || 'tcp',
           direction: direction || 'forward',
           remote_ip: remote_ip || '127.0.0.1',
+          custom_domains: customDomains,
+          ...bindAddress,
+          ...parseLimits(req.body, PORT_FORWARD_LIMIT_FIELDS),
+          ...parseSourceLists(req.body),
+          ...parseDestinationLists(req.body, portForward),
+          ...await parseSocksAuth(req.body, portForward),
           enabled: enabled ? 1 : 0
         });
+        await audit(req, 'port_forward.update', 'port_forward', portForward, await db.getPortForward(req.params.id));
         if (portForward) {
           await reloadClientPortForwards(portForward.client_id);
         }
@@ -392,7 +872,8 @@ class WebUIServer {
     this.app.post('/api/clients', requireAuth, async (req, res) => {
       try {
         const { name, description } = req.body;
-        const client = await db.createClient(name, description);
+        const client = await db.createClient(name, description, { ...parseLimits(req.body, CLIENT_LIMIT_FIELDS), ...parseDeclaredSettings(req.body), ...parseClientPolicy(req.body) });
+        await audit(req, 'client.create', 'client', null, await db.getClient(client.id));
         res.status(201).json(client);
       } catch (err) {
         res.status(400).json({ error: err.message });
@@ -401,8 +882,11 @@ class WebUIServer {
 
     this.app.put('/api/clients/:id', requireAuth, async (req, res) => {
       try {
-        await db.updateClient(req.params.id, req.body);
+        const before = await db.getClient(req.params.id);
+        await db.updateClient(req.params.id, { ...req.body, ...parseLimits(req.body, CLIENT_LIMIT_FIELDS, true), ...parseDeclaredSettings(req.body, true), ...parseClientPolicy(req.body, true) });
         const client = await db.getClient(req.params.id);
+        await audit(req, 'client.update', 'client', before, client);
+        await reloadClientPortForwards(parseInt(req.params.id));
         res.json(client);
       } catch (err) {
         res.status(400).json({ error: err.message });
@@ -411,7 +895,11 @@ class WebUIServer {
 
     this.app.delete('/api/clients/:id', requireAuth, async (req, res) => {
       try {
-        await db.deleteClient(req.params.id);
+        const client = await db.getClient(req.params.id);
+        const { changes } = await db.deleteClient(req.params.id);
+        if (changes > 0) {
+          await audit(req, 'client.delete', 'client', client, null);
+        }
         res.json({ success: true });
       } catch (err) {
         res.status(400).json({ error: err.message });
@@ -422,12 +910,14 @@ class WebUIServer {
       try {
         const portForwards = await db.getAllPortForwards();
         const connectedClientIds = this.frpServer ? this.frpServer.getConnectedClientIds() : [];
+        const connectionStats = this.frpServer ? this.frpServer.getConnectionStats() : {};
 
         // Add connection status to each port forward
         const portForwardsWithStatus = portForwards.map(pf => ({
-          ...pf,
+          ...publicPortForward(pf),
           client_connected: connectedClientIds.includes(pf.client_id),
-          active: pf.enabled && connectedClientIds.includes(pf.client_id)
+          active: pf.enabled && connectedClientIds.includes(pf.client_id),
+          connections: connectionStats[pf.id] || { active: 0, limit_hits: null, source_rejections: null }
         }));
 
         res.json(portForwardsWithStatus);
@@ -440,7 +930,8 @@ class WebUIServer {
       try {
         const portForward = await db.getPortForward(req.params.id);
         if (!portForward) return res.status(404).json({ error: 'Port forward not found' });
-        res.json(portForward);
+        const connectionStats = this.frpServer ? this.frpServer.getConnectionStats() : {};
+        res.json({ ...publicPortForward(portForward), connections: connectionStats[portForward.id] || { active: 0, limit_hits: null, source_rejections: null } });
       } catch (err) {
         res.status(500).json({ error: err.message });
       }
@@ -448,21 +939,40 @@ class WebUIServer {
 
     this.app.post('/api/port-forwards', requireAuth, async (req, res) => {
       try {
-        const { client_id, name, remote_port, local_ip, local_port, proxy_type } = req.body;
-        const available = await db.isRemotePortAvailable(remote_port);
-        if (!available) {
-          return res.status(400).json({ error: `Remote port ${remote_port} is already in use` });
-        }
-        const portForward = await db.createPortForward(
-          client_id,
-          name,
-          parseInt(remote_port),
-          local_ip || '127.0.0.1',
-          parseInt(local_port),
-          proxy_type || 'tcp'
-        );
+        const { client_id, name, local_ip, local_port, proxy_type, direction, remote_ip } = req.body;
+        validateProxyType(req.body);
+        const customDomains = await validateVhostFields(req.body);
+        // remote_port "auto" takes the next free port from the pool; the response carries the chosen one
+        const bindAddress = parseBindAddressField(req.body);
+        // The password hash is only ever derived from socks_password, never taken from the body
+        const socksAuth = await parseSocksAuth(req.body);
+        const portForward = await withRemotePort(req.body, async (remote_port) => {
+          const available = customDomains !== null || await isRemotePortAvailable(remote_port, null, bindAddress.bind_address);
+          if (!available && direction !== 'reverse') {
+            throw new Error(`Remote port ${remote_port} is already in use`);
+          }
+          return db.createPortForward(
+            client_id,
+            name,
+            customDomains !== null ? 0 : parseInt(remote_port),
+            local_ip || '127.0.0.1',
+            parseInt(local_port),
+            proxy_type || 'tcp',
+            direction || 'forward',
+            remote_ip || '127.0.0.1',
+            {
+              custom_domains: customDomains,
+              ...bindAddress,
+              ...parseLimits(req.body, PORT_FORWARD_LIMIT_FIELDS),
+              ...parseSourceLists(req.body),
+              ...parseDestinationLists(req.body),
+              ...socksAuth
+            }
+          );
+        });
+        await audit(req, 'port_forward.create', 'port_forward', null, await db.getPortForward(portForward.id));
         await reloadClientPortForwards(parseInt(client_id));
-        res.status(201).json(portForward);
+        res.status(201).json(publicPortForward(portForward));
       } catch (err) {
         res.status(400).json({ error: err.message });
       }
@@ -470,19 +980,35 @@ class WebUIServer {
 
     this.app.put('/api/port-forwards/:id', requireAuth, async (req, res) => {
       try {
-        if (req.body.remote_port) {
-          const available = await db.isRemotePortAvailable(req.body.remote_port, req.params.id);
+        const currentPortForward = await db.getPortForward(req.params.id);
+        if (!currentPortForward) return res.status(404).json({ error: 'Port forward not found' });
+        // The password hash comes from socks_password, and only the server marks forwards as client-declared
+        const { socks_password_hash, client_declared, ...body } = req.body;
+        const updates = {
+          ...body,
+          ...parseLimits(req.body, PORT_FORWARD_LIMIT_FIELDS, true),
+          ...parseSourceLists(req.body, true),
+          ...parseDestinationLists(req.body, currentPortForward, true),
+          ...await parseSocksAuth(req.body, currentPortForward, true),
+          ...parseBindAddressField(req.body, currentPortForward, true)
+        };
+        validateProxyType({ ...currentPortForward, ...updates });
+        const customDomains = await validateVhostFields({ ...currentPortForward, ...updates }, req.params.id);
+        updates.custom_domains = customDomains;
+        if (customDomains !== null) {
+          updates.remote_port = 0;
+        } else if (updates.remote_port || typeof updates.bind_address !== 'undefined') {
+          const { remote_port, bind_address } = { ...currentPortForward, ...updates };
+          const available = await isRemotePortAvailable(remote_port, req.params.id, bind_address);
           if (!available) {
-            return res.status(400).json({ error: `Remote port ${req.body.remote_port} is already in use` });
+            return res.status(400).json({ error: `Remote port ${remote_port} is already in use` });
           }
         }
-        const currentPortForward = await db.getPortForward(req.params.id);
-        await db.updatePortForward(req.params.id, req.body);
+        await db.updatePortForward(req.params.id, updates);
         const portForward = await db.getPortForward(req.params.id);
-        if (currentPortForward) {
-          await reloadClientPortForwards(currentPortForward.client_id);
-        }
-        res.json(portForward);
+        await audit(req, 'port_forward.update', 'port_forward', currentPortForward, portForward);
+        await reloadClientPortForwards(currentPortForward.client_id);
+        res.json(publicPortForward(portForward));
       } catch (err) {
         res.status(400).json({ error: err.message });
       }
@@ -496,6 +1022,7 @@ class WebUIServer {
         // Toggle the enabled status
         const newStatus = portForward.enabled ? 0 : 1;
         await db.updatePortForward(req.params.id, { enabled: newStatus });
+        await audit(req, newStatus ? 'port_forward.enable' : 'port_forward.disable', 'port_forward', portForward, await db.getPortForward(req.params.id));
 
         // Reload client configuration if client is connected
         if (portForward) {
@@ -503,7 +1030,7 @@ class WebUIServer {
         }
 
         const updatedPortForward = await db.getPortForward(req.params.id);
-        res.json(updatedPortForward);
+        res.json(publicPortForward(updatedPortForward));
       } catch (err) {
         res.status(400).json({ error: err.message });
       }
@@ -514,6 +1041,7 @@ class WebUIServer {
         const portForward = await db.getPortForward(req.params.id);
         await db.deletePortForward(req.params.id);
         if (portForward) {
+          await audit(req, 'port_forward.delete', 'port_forward', portForward, null);
           await reloadClientPortForwards(portForward.client_id);
         }
         res.json({ success: true });
@@ -522,12 +1050,80 @@ class WebUIServer {
       }
     });
 
+    // Live updates, see setupEventStream()
+    this.app.get('/api/events', requireAuth, (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+      // ?connections=1 adds the open connections (filtered like /api/connections) to each sample
+      if (req.query.connections) {
+        res.connectionsQuery = { client_id: req.query.client_id, port_forward_id: req.query.port_forward_id };
+      }
+      this.addEventStream(res);
+      req.on('close', () => this.removeEventStream(res));
+    });
+
     this.app.get('/api/port-forwards/:id/traffic', requireAuth, async (req, res) => {
       try {
         const portForwardId = req.params.id;
         const since = req.query.since ? new Date(req.query.since) : null;
-        const traffic = await db.getPortForwardTraffic(portForwardId, since);
-        res.json(traffic);
+        if (since && isNaN(since.getTime())) {
+          return res.status(400).json({ error: 'since must be an ISO date' });
+        }
+        const resolution = since ? finestResolutionFor(since, trafficRetention, Date.now()) : null;
+        const totals = await db.getPortForwardTraffic(portForwardId, since, resolution);
+        res.json(totals);
+      } catch (err) {
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    this.app.get('/api/port-forwards/:id/traffic/series', requireAuth, async (req, res) => {
+      try {
+        const portForward = await db.getPortForward(req.params.id);
+        if (!portForward) return res.status(404).json({ error: 'Port forward not found' });
+        await sendTrafficSeries(req, res, [portForward.id], { portForwardId: portForward.id });
+      } catch (err) {
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    this.app.get('/api/clients/:id/traffic/series', requireAuth, async (req, res) => {
+      try {
+        const client = await db.getClient(req.params.id);
+        if (!client) return res.status(404).json({ error: 'Client not found' });
+        const portForwards = await db.getAllPortForwardsByClient(client.id);
+        await sendTrafficSeries(req, res, portForwards.map(pf => pf.id), { clientId: client.id });
+      } catch (err) {
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    this.app.get('/api/connections', requireAuth, (req, res) => {
+      res.json(this.listConnections(req.query));
+    });
+
+    this.app.delete('/api/connections/:id', requireAuth, async (req, res) => {
+      const connection = this.listConnections().find(c => c.id === req.params.id);
+      if (!connection || !this.frpServer.closeLiveConnection(connection.id)) {
+        return res.status(404).json({ error: 'Connection not found' });
+      }
+      const closed = { id: connection.id, protocol: connection.protocol, port_forward_id: connection.portForwardId, client_id: connection.clientId, bytes_in: connection.bytesIn, bytes_out: connection.bytesOut };
+      await audit(req, 'connection.close', 'connection', closed, null, { targetName: `${connection.proxyName} ${formatHostPort(connection.remoteAddress, connection.remotePort)}` });
+      res.json({ success: true });
+    });
+
+    this.app.get('/api/audit', requireAuth, async (req, res) => {
+      let filters;
+      try {
+        filters = parseAuditQuery(req.query);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      try {
+        res.json(await db.getAuditLog(filters));
       } catch (err) {
         res.status(500).json({ error: err.message });
       }
@@ -537,7 +1133,8 @@ class WebUIServer {
       try {
         const stats = await db.getStatistics();
         const traffic = await db.getAllPortForwardsTraffic();
-        res.json({ ...stats, traffic });
+        const connections = this.frpServer ? this.frpServer.getConnectionStats() : {};
+        res.json({ ...stats, traffic, connections });
       } catch (err) {
         res.status(500).json({ error: err.message });
       }
@@ -560,11 +1157,30 @@ class WebUIServer {
     });
   }
 
+  // Resolves once the HTTP server is closed, including idle keep-alive connections
   stop() {
-    if (this.httpServer) {
-      this.httpServer.close();
-      console.log('Web UI server stopped');
+    for (const [event, handler] of this.serverListeners) {
+      this.frpServer.removeListener(event, handler);
+    }
+    this.serverListeners = [];
+    for (const res of this.eventStreams) {
+      res.end();
     }
+    this.eventStreams.clear();
+    if (this.trafficSampleTimer) {
+      clearInterval(this.trafficSampleTimer);
+      this.trafficSampleTimer = null;
+    }
+    if (!this.httpServer) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.httpServer.close(() => {
+        console.log('Web UI server stopped');
+        resolve();
+      });
+      this.httpServer.closeAllConnections();
+    });
   }
 }
 
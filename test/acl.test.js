@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const { DestinationPolicy, parseDestinationList } = require('../src/acl');
+
+function policy(allow, deny) {
+  return new DestinationPolicy(parseDestinationList(allow), parseDestinationList(deny));
+}
+
+test('an empty policy allows everything and dials the requested host', async () => {
+  assert.deepStrictEqual(await policy('', '').check('example.com', 443), { allowed: true, address: 'example.com' });
+});
+
+test('deny wins over allow', async (t) => {
+  // Names are resolved for the CIDR rules
+  t.mock.method(dns.promises, 'lookup', async () => ({ address: '192.0.2.1', family: 4 }));
+  const p = policy('*.internal, 10.0.0.0/8', 'secret.internal, 10.0.0.5');
+  assert.strictEqual((await p.check('web.internal', 80)).allowed, true);
+  assert.strictEqual((await p.check('secret.internal', 80)).allowed, false);
+  assert.strictEqual((await p.check('10.0.0.4', 80)).allowed, true);
+  assert.strictEqual((await p.check('10.0.0.5', 80)).allowed, false);
+});
+
+test('a non-empty allowlist admits only what it covers', async () => {
+  const p = policy('*.internal', '');
+  assert.strictEqual((await p.check('example.com', 80)).allowed, false);
+  assert.strictEqual((await p.check('WEB.Internal.', 80)).allowed, true);
+});
+
+test('CIDR rules apply to the resolved address, which is what gets dialed', async (t) => {
+  const lookup = t.mock.method(dns.promises, 'lookup', async (name) => ({ address: name === 'inside.example' ? '10.1.2.3' : '192.0.2.7', family: 4 }));
+  const p = policy('', '10.0.0.0/8');
+  assert.deepStrictEqual(await p.check('inside.example', 443), { allowed: false, address: '10.1.2.3' });
+  assert.deepStrictEqual(await p.check('outside.example', 443), { allowed: true, address: '192.0.2.7' });
+  assert.strictEqual(lookup.mock.callCount(), 2);
+});
+
+test('names are not resolved when no CIDR rule covers the port', async (t) => {
+  const lookup = t.mock.method(dns.promises, 'lookup', async () => ({ address: '10.1.2.3', family: 4 }));
+  const p = policy('', '10.0.0.0/8:22, *.blocked');
+  assert.deepStrictEqual(await p.check('inside.example', 443), { allowed: true, address: 'inside.example' });
+  assert.strictEqual(lookup.mock.callCount(), 0);
+});
+
+test('IPv4-mapped IPv6 addresses are matched as IPv4', async (t) => {
+  const p = policy('', '10.0.0.0/8');
+  assert.deepStrictEqual(await p.check('::ffff:10.0.0.1', 80), { allowed: false, address: '10.0.0.1' });
+  assert.deepStrictEqual(await p.check('::FFFF:10.0.0.1', 80), { allowed: false, address: '10.0.0.1' });
+  t.mock.method(dns.promises, 'lookup', async () => ({ address: '::ffff:10.9.9.9', family: 6 }));
+  assert.deepStrictEqual(await p.check('mapped.example', 80), { allowed: false, address: '10.9.9.9' });
+});
+
+test('rules only apply to their port ranges', async () => {
+  const p = policy('', '*:25, example.com:8000-8100, [fd00::/8]:22');
+  assert.strictEqual((await p.check('mail.example', 25)).allowed, false);
+  assert.strictEqual((await p.check('mail.example', 587)).allowed, true);
+  assert.strictEqual((await p.check('example.com', 7999)).allowed, true);
+  assert.strictEqual((await p.check('example.com', 8000)).allowed, false);
+  assert.strictEqual((await p.check('example.com', 8100)).allowed, false);
+  assert.strictEqual((await p.check('example.com', 8101)).allowed, true);
+  assert.strictEqual((await p.check('fd00::1', 22)).allowed, false);
+  assert.strictEqual((await p.check('fd00::1', 23)).allowed, true);
+});
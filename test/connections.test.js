@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { freePort, echoServer, waitFor, startPair } = require('./helpers');
+
+// The connection browser lists open TCP connections of every direction and can close them, and
+// each of them emits connection_open and connection_close
+let pair;
+let echo;
+const ports = {};
+const opened = [];
+
+// Open connection to port that has echoed payload once
+function openEchoed(port, payload, prefix = Buffer.alloc(0)) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(port, '127.0.0.1', () => socket.write(Buffer.concat([prefix, Buffer.from(payload)])));
+    let received = Buffer.alloc(0);
+    socket.on('data', (data) => {
+      received = Buffer.concat([received, data]);
+      if (received.toString('latin1').endsWith(payload)) {
+        socket.removeAllListeners('data');
+        resolve(socket);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+// SOCKS5 greeting and CONNECT to 127.0.0.1:port in one write; the reply comes back before the echo
+function socksConnect(port) {
+  const request = Buffer.from([0x05, 0x01, 0x00, 0x05, 0x01, 0x00, 0x01, 127, 0, 0, 1, 0, 0]);
+  request.writeUInt16BE(port, request.length - 2);
+  return request;
+}
+
+function liveFor(name) {
+  return pair.server.getLiveConnections().filter(c => c.proxyName === name);
+}
+
+before(async () => {
+  echo = await echoServer();
+  for (const name of ['forward', 'dynamic', 'reverse', 'reverseDynamic']) {
+    ports[name] = await freePort();
+  }
+  const echoPort = echo.address().port;
+  pair = await startPair({
+    forwards: [
+      { name: 'forward', remotePort: ports.forward, localPort: echoPort },
+      { name: 'dynamic', remotePort: ports.dynamic, localPort: 0, proxyType: 'socks5', direction: 'dynamic' },
+      { name: 'reverse', remotePort: echoPort, localPort: ports.reverse, direction: 'reverse' },
+      { name: 'reverse-dynamic', remotePort: 0, localPort: ports.reverseDynamic, proxyType: 'socks5', direction: 'reverse-dynamic' },
+    ],
+  });
+  pair.server.on('connection_open', event => opened.push(event));
+});
+
+after(async () => {
+  if (pair) await pair.stop();
+  if (echo) echo.close();
+});
+
+for (const [name, key, socks] of [['forward', 'forward', false], ['dynamic', 'dynamic', true], ['reverse', 'reverse', false], ['reverse-dynamic', 'reverseDynamic', true]]) {
+  test(`${name} connections are listed until closed`, async () => {
+    const prefix = socks ? socksConnect(echo.address().port) : Buffer.alloc(0);
+    const socket = await openEchoed(ports[key], `hello ${name}`, prefix);
+    const closed = new Promise(resolve => socket.on('close', resolve));
+    const closeEvent = new Promise(resolve => pair.server.on('connection_close', event => event.proxyName === name && resolve(event)));
+    try {
+      const [connection] = await waitFor(() => liveFor(name).length > 0 && liveFor(name), { label: `${name} connection` });
+      assert.ok(opened.some(event => event.connectionId === connection.id), `connection_open for ${name}`);
+      assert.strictEqual(connection.protocol, 'tcp');
+      assert.strictEqual(connection.clientId, (await pair.server.database.getAllClients())[0].id);
+      assert.ok(connection.bytesIn > 0 && connection.bytesOut > 0, `bytes counted for ${name}`);
+
+      assert.strictEqual(pair.server.closeLiveConnection(connection.id), true);
+      await closed;
+      const event = await closeEvent;
+      assert.strictEqual(event.connectionId, connection.id);
+      assert.ok(event.bytesIn >= connection.bytesIn && event.bytesOut >= connection.bytesOut);
+      assert.ok(event.durationMs >= 0);
+      await waitFor(() => liveFor(name).length === 0, { label: `${name} connection removed` });
+    } finally {
+      socket.destroy();
+    }
+  });
+}
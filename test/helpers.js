@@ -0,0 +1,84 @@
+// Shared setup for tests that run a server and a client in this process
+const net = require('net');
+const { mock } = require('node:test');
+const { FRPServer, FRPClient, ConfigLoader } = require('../src');
+
+// A port nothing listens on right now
+function freePort(host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, host, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function echoServer(host = '127.0.0.1') {
+  return new Promise((resolve) => {
+    const server = net.createServer(socket => socket.pipe(socket));
+    server.listen(0, host, () => resolve(server));
+  });
+}
+
+// Resolves once check() returns something truthy, polling every 50ms
+async function waitFor(check, { timeout = 5000, label = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+}
+
+// Server with an in-memory database, one client row holding forwards (see Database.createPortForward)
+// and a connected client, resolved once every forward listens on the server or the client.
+// Server and client log a lot; the logs are silenced until stop().
+// With authenticate: false it resolves as soon as the client starts connecting, for clients the
+// server is expected to refuse.
+async function startPair({ server = {}, client = {}, forwards = [], authenticate = true }) {
+  const log = mock.method(console, 'log', () => {});
+  const error = mock.method(console, 'error', () => {});
+  const bindPort = await freePort(server.bindAddr || '127.0.0.1');
+  const serverConfig = ConfigLoader.validateServerConfig({
+    bindPort,
+    databasePath: ':memory:',
+    webUI: { enabled: false, username: 'admin', password: 'admin' },
+    ...server,
+  });
+  const frpServer = new FRPServer(serverConfig);
+  await frpServer.start();
+  const row = await frpServer.database.createClient('test', '');
+  for (const f of forwards) {
+    await frpServer.database.createPortForward(row.id, f.name, f.remotePort, f.localIp || '127.0.0.1', f.localPort,
+      f.proxyType || 'tcp', f.direction || 'forward', f.remoteIp || '127.0.0.1', f.extra);
+  }
+  const clientConfig = ConfigLoader.validateClientConfig({ serverAddr: '127.0.0.1', serverPort: bindPort, token: row.token, ...client });
+  const frpClient = new FRPClient(clientConfig);
+  const listening = new Set();
+  frpServer.on('proxy_listen', event => listening.add(event.name));
+  frpClient.on('proxy_listen', event => listening.add(event.name));
+  if (authenticate) {
+    await frpClient.start();
+    await waitFor(() => forwards.every(f => listening.has(f.name)), { label: 'forward listeners' });
+  } else {
+    frpClient.start();
+  }
+
+  const stop = async () => {
+    await frpClient.stop();
+    await frpServer.stop();
+    log.mock.restore();
+    error.mock.restore();
+  };
+  return { server: frpServer, client: frpClient, stop };
+}
+
+module.exports = {
+  freePort,
+  echoServer,
+  waitFor,
+  startPair,
+};
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const httpproxy = require('../src/httpproxy');
+const vhost = require('../src/vhost');
+
+// Feed chunks through a CloseAfterResponse and collect the output
+function filter(chunks) {
+  return new Promise((resolve, reject) => {
+    const closer = new httpproxy.CloseAfterResponse();
+    const out = [];
+    closer.on('data', (data) => out.push(data));
+    closer.on('end', () => resolve(Buffer.concat(out).toString('latin1')));
+    closer.on('error', reject);
+    for (const chunk of chunks) {
+      closer.write(Buffer.from(chunk, 'latin1'));
+    }
+    closer.end();
+  });
+}
+
+test('rewrites the response head to Connection: close', async () => {
+  const out = await filter(['HTTP/1.1 200 OK\r\nContent-Length: 2\r\nConnection: keep-alive\r\nKeep-Alive: timeout=5\r\n\r\nok']);
+  assert.strictEqual(out, 'HTTP/1.1 200 OK\r\nContent-Length: 2\r\nConnection: close\r\n\r\nok');
+});
+
+test('finds a response head split across chunks and leaves the body alone', async () => {
+  const out = await filter(['HTTP/1.1 200 OK\r\nContent-', 'Length: 24\r', '\n\r\nConnection: keep-alive', '\r\n\r\n']);
+  assert.strictEqual(out, 'HTTP/1.1 200 OK\r\nContent-Length: 24\r\nConnection: close\r\n\r\nConnection: keep-alive\r\n\r\n');
+});
+
+test('passes interim responses through and rewrites the final one', async () => {
+  const out = await filter(['HTTP/1.1 100 Continue\r\n\r\nHTTP/1.1 204 No Content\r\n\r\n']);
+  assert.strictEqual(out, 'HTTP/1.1 100 Continue\r\n\r\nHTTP/1.1 204 No Content\r\nConnection: close\r\n\r\n');
+});
+
+test('leaves protocol switches untouched', async () => {
+  const head = 'HTTP/1.1 101 Switching Protocols\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n\r\n';
+  assert.strictEqual(await filter([head + 'frames']), head + 'frames');
+});
+
+test('resolves absolute-URI requests to origin form with Connection: close', () => {
+  const head = vhost.parseHttpRequestHead(Buffer.from('GET http://example.com:8080/a?b=1 HTTP/1.1\r\nHost: example.com:8080\r\nProxy-Connection: keep-alive\r\n\r\n'));
+  const target = httpproxy.resolveTarget(head);
+  assert.strictEqual(target.host, 'example.com');
+  assert.strictEqual(target.port, 8080);
+  assert.strictEqual(target.head.toString('latin1'), 'GET /a?b=1 HTTP/1.1\r\nHost: example.com:8080\r\nConnection: close\r\n\r\n');
+});
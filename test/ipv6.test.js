@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const dgram = require('dgram');
+const { freePort, echoServer, startPair } = require('./helpers');
+
+// Every direction over the IPv6 loopback: control connection, forward, reverse, dynamic and
+// reverse-dynamic SOCKS5 with IPv6 (ATYP 0x04) addresses, and a UDP forward on a udp6 socket
+const LOOPBACK = Buffer.from('00000000000000000000000000000001', 'hex');
+
+let pair;
+let echo;
+let udpEcho;
+const ports = {};
+
+function roundtrip(port, payload) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(port, '::1', () => socket.write(payload));
+    let received = '';
+    socket.on('data', (data) => {
+      received += data;
+      if (received.length >= payload.length) {
+        socket.end();
+        resolve(received);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+// Reads exactly n bytes at a time from socket
+function reader(socket) {
+  let buffer = Buffer.alloc(0);
+  const waiting = [];
+  const pump = () => {
+    while (waiting.length > 0 && buffer.length >= waiting[0].n) {
+      const { n, resolve } = waiting.shift();
+      resolve(buffer.subarray(0, n));
+      buffer = buffer.subarray(n);
+    }
+  };
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    pump();
+  });
+  return (n) => new Promise(resolve => {
+    waiting.push({ n, resolve });
+    pump();
+  });
+}
+
+// SOCKS5 CONNECT to [::1]:port with an IPv6 address (ATYP 0x04); resolves with the raw reply and the socket
+async function socksConnectIpv6(proxyPort, targetPort) {
+  const socket = net.createConnection(proxyPort, '::1');
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+  const read = reader(socket);
+  socket.write(Buffer.from([0x05, 0x01, 0x00]));
+  assert.deepStrictEqual([...await read(2)], [0x05, 0x00]);
+
+  const port = Buffer.alloc(2);
+  port.writeUInt16BE(targetPort);
+  socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00, 0x04]), LOOPBACK, port]));
+  const head = await read(4);
+  assert.strictEqual(head[0], 0x05);
+  assert.strictEqual(head[1], 0x00, 'SOCKS5 reply should be "succeeded"');
+  const address = await read(head[3] === 0x04 ? 18 : head[3] === 0x01 ? 6 : 0);
+  return { socket, read, atyp: head[3], address: address.subarray(0, address.length - 2), port: address.readUInt16BE(address.length - 2) };
+}
+
+before(async () => {
+  echo = await echoServer('::1');
+  udpEcho = dgram.createSocket('udp6');
+  udpEcho.on('message', (msg, rinfo) => udpEcho.send(msg, rinfo.port, rinfo.address));
+  await new Promise(resolve => udpEcho.bind(0, '::1', resolve));
+
+  for (const name of ['forward', 'udp', 'dynamic', 'reverse', 'reverseDynamic']) {
+    ports[name] = await freePort('::1');
+  }
+  const echoPort = echo.address().port;
+  pair = await startPair({
+    server: { bindAddr: '::1' },
+    client: { serverAddr: '[::1]' },
+    forwards: [
+      { name: 'forward', remotePort: ports.forward, localIp: '::1', localPort: echoPort, extra: { bind_address: '::1' } },
+      { name: 'udp', remotePort: ports.udp, localIp: '::1', localPort: udpEcho.address().port, proxyType: 'udp' },
+      { name: 'dynamic', remotePort: ports.dynamic, localPort: 0, proxyType: 'socks5', direction: 'dynamic' },
+      { name: 'reverse', remotePort: echoPort, remoteIp: '::1', localIp: '::1', localPort: ports.reverse, direction: 'reverse' },
+      { name: 'reverse-dynamic', remotePort: 0, localIp: '::1', localPort: ports.reverseDynamic, proxyType: 'socks5', direction: 'reverse-dynamic' },
+    ],
+  });
+});
+
+after(async () => {
+  if (pair) await pair.stop();
+  if (echo) echo.close();
+  if (udpEcho) udpEcho.close();
+});
+
+test('control connection listens on and connects over ::1', () => {
+  assert.strictEqual(pair.server.controlServer.address().address, '::1');
+  assert.ok(pair.client.connected);
+  assert.deepStrictEqual(pair.server.getConnectedClientIds().length, 1);
+});
+
+test('forward carries TCP over ::1', async () => {
+  assert.strictEqual(await roundtrip(ports.forward, 'forward over v6'), 'forward over v6');
+});
+
+test('reverse carries TCP over ::1', async () => {
+  assert.strictEqual(await roundtrip(ports.reverse, 'reverse over v6'), 'reverse over v6');
+});
+
+test('UDP forward relays datagrams on a udp6 socket', async () => {
+  const socket = dgram.createSocket('udp6');
+  try {
+    const reply = new Promise(resolve => socket.once('message', msg => resolve(msg.toString())));
+    socket.send('datagram', ports.udp, '::1');
+    assert.strictEqual(await reply, 'datagram');
+  } finally {
+    socket.close();
+  }
+});
+
+for (const [label, key] of [['dynamic', 'dynamic'], ['reverse-dynamic', 'reverseDynamic']]) {
+  test(`${label} SOCKS5 accepts an IPv6 target and replies with an IPv6 bound address`, async () => {
+    const { socket, read, atyp, address, port } = await socksConnectIpv6(ports[key], echo.address().port);
+    try {
+      assert.strictEqual(atyp, 0x04);
+      assert.strictEqual(address.length, 16);
+      assert.ok(address.equals(LOOPBACK), `bound address should be ::1, got ${address.toString('hex')}`);
+      assert.ok(port > 0);
+      socket.write('socks over v6');
+      assert.strictEqual((await read(13)).toString(), 'socks over v6');
+    } finally {
+      socket.destroy();
+    }
+  });
+}
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { freePort, echoServer, waitFor, startPair } = require('./helpers');
+const { renderMetrics } = require('../src/metrics');
+
+// Gauges for open connections count every direction, and piped connections are no longer pending
+let pair;
+let echo;
+const ports = {};
+
+before(async () => {
+  echo = await echoServer();
+  ports.forward = await freePort();
+  ports.reverse = await freePort();
+  pair = await startPair({
+    forwards: [
+      { name: 'forward', remotePort: ports.forward, localPort: echo.address().port },
+      { name: 'reverse', remotePort: echo.address().port, localPort: ports.reverse, direction: 'reverse' },
+    ],
+  });
+});
+
+after(async () => {
+  if (pair) await pair.stop();
+  if (echo) echo.close();
+});
+
+async function metrics() {
+  const portForwards = await pair.server.database.getAllPortForwards();
+  return renderMetrics(pair.server, portForwards);
+}
+
+// Value of metric name, for the given forward when it has labels
+function sample(text, name, forward = null) {
+  const line = text.split('\n').find(l => (forward ? l.startsWith(`${name}{`) && l.includes(`forward="${forward}"`) : l.startsWith(`${name} `)));
+  return line ? Number(line.split(' ').pop()) : null;
+}
+
+function openEchoed(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(port, '127.0.0.1', () => socket.write('ping'));
+    socket.once('data', () => resolve(socket));
+    socket.on('error', reject);
+  });
+}
+
+test('active connections include reverse forwards and pending excludes piped connections', async () => {
+  const text = await metrics();
+  assert.strictEqual(sample(text, 'frp_forward_active_connections', 'forward'), 0);
+  assert.strictEqual(sample(text, 'frp_forward_active_connections', 'reverse'), 0);
+
+  const sockets = [await openEchoed(ports.forward), await openEchoed(ports.reverse)];
+  try {
+    const open = await metrics();
+    assert.strictEqual(sample(open, 'frp_forward_active_connections', 'forward'), 1);
+    assert.strictEqual(sample(open, 'frp_forward_active_connections', 'reverse'), 1);
+    assert.strictEqual(sample(open, 'frp_pending_connections'), 0);
+  } finally {
+    sockets.forEach(socket => socket.destroy());
+  }
+  await waitFor(async () => sample(await metrics(), 'frp_forward_active_connections', 'reverse') === 0, { label: 'reverse connection closed' });
+});
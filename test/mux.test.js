@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const MuxSession = require('../src/mux');
+
+// Stand-in for the control socket: records writes, lets tests feed reads
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.written = [];
+  socket.destroyed = false;
+  socket.writableNeedDrain = false;
+  socket.write = (data) => {
+    socket.written.push(data);
+    return true;
+  };
+  socket.destroy = () => {
+    socket.destroyed = true;
+    socket.emit('close');
+  };
+  return socket;
+}
+
+function frame(type, flags, streamId, payload = Buffer.alloc(0), length = payload.length) {
+  const header = Buffer.alloc(12);
+  header.writeUInt8(0, 0);
+  header.writeUInt8(type, 1);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt32BE(streamId, 4);
+  header.writeUInt32BE(length, 8);
+  return Buffer.concat([header, payload]);
+}
+
+// Oversized frames are logged before the connection closes
+beforeEach(() => mock.method(console, 'error', () => {}));
+afterEach(() => mock.restoreAll());
+
+const DATA = 0;
+const SYN = 0x1;
+
+function startSession() {
+  const socket = fakeSocket();
+  const session = new MuxSession(socket, { isClient: true });
+  // Streams are destroyed with an error when the session closes
+  session.on('stream', stream => stream.on('error', () => {}));
+  session.start();
+  return { socket, session };
+}
+
+test('delivers control messages and stream data split across reads', async () => {
+  const { socket, session } = startSession();
+  const messages = [];
+  const chunks = [];
+  session.on('message', msg => messages.push(msg));
+  session.on('stream', stream => stream.on('data', data => chunks.push(data.toString())));
+  const wire = Buffer.concat([
+    frame(DATA, 0, 0, Buffer.from(JSON.stringify({ type: 'heartbeat' }))),
+    frame(DATA, SYN, 2, Buffer.from('hello')),
+  ]);
+  for (let i = 0; i < wire.length; i++) {
+    socket.emit('data', wire.subarray(i, i + 1));
+  }
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(messages, [{ type: 'heartbeat' }]);
+  assert.deepStrictEqual(chunks, ['hello']);
+  assert.strictEqual(socket.destroyed, false);
+});
+
+test('closes the connection on a huge control message from its header alone', () => {
+  const { socket } = startSession();
+  socket.emit('data', frame(DATA, 0, 0, Buffer.alloc(0), 0xffffffff));
+  assert.strictEqual(socket.destroyed, true);
+});
+
+test('accepts a control message at the cap', () => {
+  const { socket, session } = startSession();
+  const messages = [];
+  session.on('message', msg => messages.push(msg));
+  const payload = Buffer.from(JSON.stringify({ type: 'x', data: 'a'.repeat(1024 * 1024 - 22) }));
+  assert.strictEqual(payload.length, 1024 * 1024);
+  socket.emit('data', frame(DATA, 0, 0, payload));
+  assert.strictEqual(messages.length, 1);
+  socket.emit('data', frame(DATA, 0, 0, Buffer.alloc(0), 1024 * 1024 + 1));
+  assert.strictEqual(socket.destroyed, true);
+});
+
+test('closes the connection on a stream frame larger than one frame of data', () => {
+  const { socket } = startSession();
+  socket.emit('data', frame(DATA, SYN, 2, Buffer.alloc(0), 16 * 1024 + 1));
+  assert.strictEqual(socket.destroyed, true);
+});
+
+test('closes the connection on a stream frame past the receive window', () => {
+  // Streams are never read, so their window is not handed back
+  const { socket } = startSession();
+  const full = Buffer.alloc(16 * 1024);
+  socket.emit('data', frame(DATA, SYN, 2, full));
+  for (let i = 1; i < 16; i++) {
+    socket.emit('data', frame(DATA, 0, 2, full));
+  }
+  assert.strictEqual(socket.destroyed, false);
+  socket.emit('data', frame(DATA, 0, 2, Buffer.alloc(0), 1));
+  assert.strictEqual(socket.destroyed, true);
+});
@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { freePort, waitFor, startPair } = require('./helpers');
+
+// Bad reverse-dynamic requests from a client are answered with reverse_dynamic_failed instead of
+// taking the server down
+let pair;
+const failures = [];
+
+before(async () => {
+  pair = await startPair({
+    forwards: [{ name: 'rd', remotePort: 0, localPort: await freePort(), proxyType: 'socks5', direction: 'reverse-dynamic' }],
+  });
+  const handleMessage = pair.client.handleMessage.bind(pair.client);
+  pair.client.handleMessage = (msg) => {
+    if (msg.type === 'reverse_dynamic_failed') failures.push(msg);
+    else handleMessage(msg);
+  };
+});
+
+after(async () => {
+  if (pair) await pair.stop();
+});
+
+function failureFor(connectionId) {
+  return waitFor(() => failures.find(msg => msg.connectionId === connectionId), { label: `reverse_dynamic_failed for ${connectionId}` });
+}
+
+for (const targetPort of [-1, 0, 65536, 1.5, '80', null]) {
+  test(`refuses target port ${JSON.stringify(targetPort)}`, async () => {
+    const connectionId = `port-${targetPort}`;
+    pair.client.send({ type: 'reverse_dynamic', proxyName: 'rd', connectionId, targetHost: '127.0.0.1', targetPort });
+    assert.strictEqual((await failureFor(connectionId)).error, 'Invalid target port');
+  });
+}
+
+test('reports errors thrown while serving a request', async (t) => {
+  t.mock.method(pair.server, 'startReverseSocksBind', () => { throw new Error('boom'); });
+  pair.client.send({ type: 'reverse_dynamic_bind', proxyName: 'rd', connectionId: 'bind' });
+  assert.strictEqual((await failureFor('bind')).error, 'Server error');
+  assert.strictEqual(pair.server.getConnectedClientIds().length, 1);
+});
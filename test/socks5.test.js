@@ -0,0 +1,193 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const socks5 = require('../src/socks5');
+const { freePort, echoServer, startPair } = require('./helpers');
+
+function ipv6Request(hex, port) {
+  const portBuf = Buffer.alloc(2);
+  portBuf.writeUInt16BE(port);
+  return Buffer.concat([Buffer.from([0x05, 0x01, 0x00, 0x04]), Buffer.from(hex, 'hex'), portBuf]);
+}
+
+test('parses IPv6 (ATYP 0x04) requests into compressed addresses', () => {
+  const cases = [
+    ['00000000000000000000000000000001', '::1'],
+    ['00000000000000000000000000000000', '::'],
+    ['20010db8000000000000000000000001', '2001:db8::1'],
+    ['00010000000000010000000000000001', '1:0:0:1::1'],
+    ['20010db8000100020003000400050006', '2001:db8:1:2:3:4:5:6'],
+    ['00000000000000000000ffffc0000201', '::ffff:192.0.2.1'],
+  ];
+  for (const [hex, host] of cases) {
+    const request = socks5.parseRequest(ipv6Request(hex, 8080));
+    assert.deepStrictEqual(request, { cmd: 0x01, atyp: 0x04, host, port: 8080, length: 22 });
+  }
+});
+
+test('waits for the whole IPv6 address before parsing', () => {
+  const full = ipv6Request('20010db8000000000000000000000001', 443);
+  assert.strictEqual(socks5.parseRequest(full.subarray(0, 21)), null);
+  assert.strictEqual(socks5.parseRequest(full).host, '2001:db8::1');
+});
+
+test('replies with an IPv6 bound address as ATYP 0x04', () => {
+  const reply = socks5.reply(socks5.REPLY_SUCCEEDED, '2001:db8::1', 1080);
+  assert.strictEqual(reply.toString('hex'), '050000' + '04' + '20010db8000000000000000000000001' + '0438');
+  assert.strictEqual(socks5.reply(socks5.REPLY_SUCCEEDED, '::1', 1).toString('hex'), '05000004' + '00000000000000000000000000000001' + '0001');
+});
+
+test('replies round-trip through the request parser', () => {
+  for (const host of ['::1', 'fe80::1:2', '2001:db8::ffff:0:1', '::ffff:10.0.0.1']) {
+    const reply = socks5.reply(socks5.REPLY_SUCCEEDED, host, 53);
+    assert.deepStrictEqual(socks5.parseRequest(reply), { cmd: 0x00, atyp: 0x04, host, port: 53, length: 22 });
+  }
+});
+
+test('replies with an all-zero IPv4 address when there is none to report', () => {
+  assert.strictEqual(socks5.reply(socks5.REPLY_GENERAL_FAILURE).toString('hex'), '05010001000000000000');
+});
+
+test('UDP datagrams carry IPv6 addresses both ways', () => {
+  const header = socks5.udpHeader('2001:db8::5', 5353);
+  assert.strictEqual(header.toString('hex'), '00000004' + '20010db8000000000000000000000005' + '14e9');
+  const datagram = socks5.parseUdpDatagram(Buffer.concat([header, Buffer.from('dns')]));
+  assert.deepStrictEqual({ ...datagram, data: datagram.data.toString() }, { frag: 0, host: '2001:db8::5', port: 5353, data: 'dns' });
+});
+
+// Username/password authentication (RFC 1929) end to end, on the server (dynamic) and on the client
+// (reverse-dynamic), through a server and client pair
+describe('username/password authentication', () => {
+  let pair;
+  let echo;
+  const ports = {};
+
+  before(async () => {
+    echo = await echoServer();
+    ports.dynamic = await freePort();
+    ports.reverseDynamic = await freePort();
+    const extra = { socks_username: 'alice', socks_password_hash: await socks5.hashPassword('secret') };
+    pair = await startPair({
+      forwards: [
+        { name: 'dynamic', remotePort: ports.dynamic, localPort: 0, proxyType: 'socks5', direction: 'dynamic', extra },
+        { name: 'reverse-dynamic', remotePort: 0, localPort: ports.reverseDynamic, proxyType: 'socks5', direction: 'reverse-dynamic', extra },
+      ],
+    });
+  });
+
+  after(async () => {
+    if (pair) await pair.stop();
+    if (echo) echo.close();
+  });
+
+  function authRequest(username, password) {
+    return Buffer.concat([
+      Buffer.from([0x01, Buffer.byteLength(username)]), Buffer.from(username),
+      Buffer.from([Buffer.byteLength(password)]), Buffer.from(password),
+    ]);
+  }
+
+  function connectRequest(port) {
+    const request = Buffer.from([0x05, 0x01, 0x00, 0x01, 127, 0, 0, 1, 0, 0]);
+    request.writeUInt16BE(port, 8);
+    return request;
+  }
+
+  // Writes data in one go and collects what comes back until expected bytes arrived or the socket closed
+  function exchange(port, data, expected = Infinity) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(port, '127.0.0.1', () => socket.write(data));
+      let received = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        if (received.length >= expected) {
+          socket.destroy();
+          resolve({ received, closed: false });
+        }
+      });
+      socket.on('close', () => resolve({ received, closed: true }));
+      socket.on('error', reject);
+    });
+  }
+
+  for (const [label, key] of [['dynamic', 'dynamic'], ['reverse-dynamic', 'reverseDynamic']]) {
+    test(`${label}: pipelined greeting, credentials, request and data are all handled`, async () => {
+      const payload = Buffer.from('after auth');
+      const data = Buffer.concat([Buffer.from([0x05, 0x01, 0x02]), authRequest('alice', 'secret'), connectRequest(echo.address().port), payload]);
+      const { received } = await exchange(ports[key], data, 2 + 2 + 10 + payload.length);
+      assert.strictEqual(received.subarray(0, 4).toString('hex'), '05020100');
+      assert.strictEqual(received[4], 0x05);
+      assert.strictEqual(received[5], socks5.REPLY_SUCCEEDED);
+      assert.strictEqual(received.subarray(14).toString(), 'after auth');
+    });
+
+    test(`${label}: a wrong password is refused with 01 01`, async () => {
+      const data = Buffer.concat([Buffer.from([0x05, 0x01, 0x02]), authRequest('alice', 'wrong'), connectRequest(echo.address().port)]);
+      const { received, closed } = await exchange(ports[key], data);
+      assert.strictEqual(received.toString('hex'), '05020101');
+      assert.ok(closed);
+    });
+
+    test(`${label}: a client not offering username/password gets 05 ff`, async () => {
+      const { received, closed } = await exchange(ports[key], Buffer.from([0x05, 0x01, 0x00]));
+      assert.strictEqual(received.toString('hex'), '05ff');
+      assert.ok(closed);
+    });
+  }
+});
+
+// Destination policies end to end: the client enforces them for dynamic forwards, the server for
+// reverse-dynamic ones, and either way a denied CONNECT gets REPLY_NOT_ALLOWED
+describe('destination policy', () => {
+  let pair;
+  let denied;
+  let allowed;
+  const ports = {};
+
+  before(async () => {
+    denied = await echoServer();
+    allowed = await echoServer();
+    ports.dynamic = await freePort();
+    ports.reverseDynamic = await freePort();
+    const extra = { dest_deny: `127.0.0.1:${denied.address().port}` };
+    pair = await startPair({
+      forwards: [
+        { name: 'dynamic', remotePort: ports.dynamic, localPort: 0, proxyType: 'socks5', direction: 'dynamic', extra },
+        { name: 'reverse-dynamic', remotePort: 0, localPort: ports.reverseDynamic, proxyType: 'socks5', direction: 'reverse-dynamic', extra },
+      ],
+    });
+  });
+
+  after(async () => {
+    if (pair) await pair.stop();
+    if (denied) denied.close();
+    if (allowed) allowed.close();
+  });
+
+  // Greeting and CONNECT to 127.0.0.1:port in one write; resolves with the reply code
+  async function connectReply(proxyPort, targetPort) {
+    const received = await new Promise((resolve, reject) => {
+      const request = Buffer.from([0x05, 0x01, 0x00, 0x05, 0x01, 0x00, 0x01, 127, 0, 0, 1, 0, 0]);
+      request.writeUInt16BE(targetPort, request.length - 2);
+      const socket = net.createConnection(proxyPort, '127.0.0.1', () => socket.write(request));
+      let received = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        if (received.length >= 4) {
+          socket.destroy();
+          resolve(received);
+        }
+      });
+      socket.on('error', reject);
+    });
+    assert.strictEqual(received.subarray(0, 3).toString('hex'), '050005');
+    return received[3];
+  }
+
+  for (const [label, key] of [['dynamic', 'dynamic'], ['reverse-dynamic', 'reverseDynamic']]) {
+    test(`${label}: a denied CONNECT gets REPLY_NOT_ALLOWED`, async () => {
+      assert.strictEqual(await connectReply(ports[key], denied.address().port), socks5.REPLY_NOT_ALLOWED);
+      assert.strictEqual(await connectReply(ports[key], allowed.address().port), socks5.REPLY_SUCCEEDED);
+    });
+  }
+});
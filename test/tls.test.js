@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { freePort, echoServer, waitFor, startPair } = require('./helpers');
+
+// Throwaway certificates made with the openssl CLI: a self-signed server certificate for 127.0.0.1,
+// and a CA with one client certificate for servers that require client certificates
+let dir;
+let echo;
+const files = {};
+const fingerprints = {};
+
+function openssl(...args) {
+  execFileSync('openssl', args, { cwd: dir, stdio: 'ignore' });
+}
+
+function selfSigned(name, ...extensions) {
+  openssl('req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes', '-days', '1',
+    '-subj', `/CN=${name}`, '-keyout', `${name}.key`, '-out', `${name}.crt`,
+    ...extensions.flatMap(ext => ['-addext', ext]));
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frp-tls-'));
+  selfSigned('server', 'subjectAltName=IP:127.0.0.1');
+  selfSigned('ca');
+  openssl('req', '-new', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+    '-subj', '/CN=client', '-keyout', 'client.key', '-out', 'client.csr');
+  openssl('x509', '-req', '-in', 'client.csr', '-CA', 'ca.crt', '-CAkey', 'ca.key', '-CAcreateserial',
+    '-days', '1', '-out', 'client.crt');
+  for (const name of ['server', 'ca', 'client']) {
+    files[name] = { certFile: path.join(dir, `${name}.crt`), keyFile: path.join(dir, `${name}.key`) };
+    fingerprints[name] = new crypto.X509Certificate(fs.readFileSync(files[name].certFile)).fingerprint256;
+  }
+  echo = await echoServer();
+});
+
+after(() => {
+  if (echo) echo.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function echoed(port, payload) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(port, '127.0.0.1', () => socket.write(payload));
+    let received = '';
+    socket.on('data', chunk => {
+      received += chunk;
+      if (received.length >= payload.length) {
+        socket.destroy();
+        resolve(received);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+// Starts a client the server must not accept and waits for its first disconnect. Resolves with
+// that event, the server's TLS handshake errors and whether the server authenticated the client.
+async function refusedClient({ server, client }) {
+  const pair = await startPair({ server, client, authenticate: false });
+  const tlsErrors = [];
+  let authenticated = false;
+  pair.server.controlServer.on('tlsClientError', err => tlsErrors.push(err));
+  pair.server.on('client_authenticated', () => { authenticated = true; });
+  try {
+    const [event] = await once(pair.client, 'disconnected');
+    return { event, tlsErrors, authenticated };
+  } finally {
+    await pair.stop();
+  }
+}
+
+test('control and data connections run over TLS', async () => {
+  const remotePort = await freePort();
+  // Without multiplexing every data connection is a TLS connection of its own
+  const pair = await startPair({
+    server: { tls: { enabled: true, ...files.server } },
+    client: { tls: { enabled: true, fingerprint: fingerprints.server }, mux: false },
+    forwards: [{ name: 'echo', remotePort, localPort: echo.address().port }],
+  });
+  try {
+    assert.strictEqual(pair.client.controlSocket.encrypted, true);
+    assert.strictEqual(await echoed(remotePort, 'over tls'), 'over tls');
+  } finally {
+    await pair.stop();
+  }
+});
+
+test('a client pinning another fingerprint refuses the server', async () => {
+  const { event, authenticated } = await refusedClient({
+    server: { tls: { enabled: true, ...files.server } },
+    client: { tls: { enabled: true, fingerprint: fingerprints.ca } },
+  });
+  assert.match(event.error, /fingerprint mismatch/);
+  assert.strictEqual(authenticated, false);
+});
+
+test('a server with a CA refuses clients without a certificate', async () => {
+  const server = { tls: { enabled: true, ...files.server, caFile: files.ca.certFile } };
+  const { tlsErrors, authenticated } = await refusedClient({
+    server,
+    client: { tls: { enabled: true, fingerprint: fingerprints.server } },
+  });
+  assert.strictEqual(authenticated, false);
+  assert.ok(tlsErrors.length > 0, 'the server reports the failed handshake');
+
+  // The same client with a certificate from that CA is accepted
+  const pair = await startPair({
+    server,
+    client: { tls: { enabled: true, fingerprint: fingerprints.server, ...files.client }, mux: false },
+  });
+  try {
+    // Without multiplexing the UDP channel is a data connection that presents the certificate as well
+    await waitFor(() => pair.client.udpChannel, { label: 'UDP channel' });
+  } finally {
+    await pair.stop();
+  }
+});
@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Database = require('../src/database');
+
+// All-time traffic totals are kept apart from the rollups, so retention never shrinks them
+let db;
+let forward;
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => db.db.run(sql, params, err => err ? reject(err) : resolve()));
+}
+
+function count(table) {
+  return new Promise((resolve, reject) => db.db.get(`SELECT COUNT(*) as n FROM ${table}`, [], (err, row) => err ? reject(err) : resolve(row.n)));
+}
+
+beforeEach(async () => {
+  mock.method(console, 'log', () => {});
+  db = new Database(':memory:');
+  await db.initialize();
+  const client = await db.createClient('test', '');
+  forward = await db.createPortForward(client.id, 'web', 18080, '127.0.0.1', 80);
+});
+
+afterEach(async () => {
+  await db.close();
+  mock.restoreAll();
+});
+
+test('flushes add to the totals and rollups without raw rows', async () => {
+  await db.updatePortForwardTraffic(forward.id, 100, 10);
+  await db.updatePortForwardTraffic(forward.id, 50, 5);
+  const totals = await db.getPortForwardTraffic(forward.id);
+  assert.strictEqual(totals.total_bytes_in, 150);
+  assert.strictEqual(totals.total_bytes_out, 15);
+  assert.strictEqual(totals.total_bytes, 165);
+  assert.strictEqual(await count('traffic_stats'), 0);
+  const since = await db.getPortForwardTraffic(forward.id, new Date(Date.now() - 60000), 'minute');
+  assert.strictEqual(since.total_bytes, 165);
+});
+
+test('day retention prunes buckets but not the all-time totals', async () => {
+  await db.updatePortForwardTraffic(forward.id, 100, 10);
+  // Traffic from long ago, past every retention below
+  await run("UPDATE traffic_rollups SET bucket = datetime('now', '-30 days')");
+  await db.pruneTraffic({ raw: 1, minute: 1, hour: 1, day: 1 });
+  assert.strictEqual(await count('traffic_rollups'), 0);
+  assert.strictEqual((await db.getPortForwardTraffic(forward.id)).total_bytes, 110);
+  const [row] = await db.getAllPortForwardsTraffic();
+  assert.strictEqual(row.total_bytes_in, 100);
+  assert.strictEqual(row.total_bytes_out, 10);
+});
+
+test('totals of deleted port forwards are pruned', async () => {
+  await db.updatePortForwardTraffic(forward.id, 100, 10);
+  await db.deletePortForward(forward.id);
+  await db.pruneTraffic({ raw: 0, minute: 0, hour: 0, day: 0 });
+  assert.strictEqual(await count('traffic_totals'), 0);
+});
+
+test('migration seeds totals from existing day rollups', async () => {
+  await db.updatePortForwardTraffic(forward.id, 100, 10);
+  await run("INSERT INTO traffic_rollups (port_forward_id, resolution, bucket, bytes_in, bytes_out) VALUES (?, 'day', datetime('now', '-3 days'), 1000, 100)", [forward.id]);
+  await run('DELETE FROM traffic_totals');
+  await db.migrateSchema(new Set(['traffic_totals']));
+  const totals = await db.getPortForwardTraffic(forward.id);
+  assert.strictEqual(totals.total_bytes_in, 1100);
+  assert.strictEqual(totals.total_bytes_out, 110);
+});
+
+test('migrations run only for the tables just created', async () => {
+  await run("INSERT INTO traffic_stats (port_forward_id, bytes_in, bytes_out, timestamp) VALUES (?, 500, 50, datetime('now', '-60 days'))", [forward.id]);
+  await db.migrateSchema();
+  assert.strictEqual(await count('traffic_rollups'), 0);
+  assert.strictEqual(await count('traffic_totals'), 0);
+  await db.migrateSchema(new Set(['traffic_rollups', 'traffic_totals']));
+  assert.strictEqual(await count('traffic_rollups'), 3);
+  assert.strictEqual((await db.getPortForwardTraffic(forward.id)).total_bytes, 550);
+});
+
+test('a failed flush changes neither the totals nor the rollups', async () => {
+  await db.updatePortForwardTraffic(forward.id, 100, 10);
+  // Make the rollup upsert fail after the totals upsert ran
+  await run("CREATE TRIGGER fail_rollups BEFORE UPDATE ON traffic_rollups BEGIN SELECT RAISE(FAIL, 'rollups unavailable'); END");
+  await assert.rejects(db.updatePortForwardTraffic(forward.id, 50, 5), /rollups unavailable/);
+  assert.strictEqual((await db.getPortForwardTraffic(forward.id)).total_bytes, 110);
+  await run('DROP TRIGGER fail_rollups');
+  await db.updatePortForwardTraffic(forward.id, 50, 5);
+  assert.strictEqual((await db.getPortForwardTraffic(forward.id)).total_bytes, 165);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { once } = require('events');
+const UdpChannel = require('../src/udpchannel');
+
+// UDP throughput over loopback TCP: the binary channel against the old path, which sent each
+// datagram as a base64 udp_packet JSON line on the control socket
+const PACKETS = 20000;
+const PACKET_SIZE = 512;
+const HIGH_WATER = 256 * 1024;
+
+async function socketPair() {
+  const server = net.createServer();
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const client = net.createConnection(server.address().port, '127.0.0.1');
+  const [accepted] = await once(server, 'connection');
+  await once(client, 'connect');
+  server.close();
+  return [client, accepted];
+}
+
+// Sends PACKETS datagrams with send(), pausing whenever the socket buffer fills, and resolves
+// once onPacket has seen them all
+async function measure(socket, send, received) {
+  const payload = Buffer.alloc(PACKET_SIZE, 0xab);
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < PACKETS; i++) {
+    send(payload);
+    if (socket.writableLength > HIGH_WATER) {
+      await once(socket, 'drain');
+    }
+  }
+  await received;
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  return { seconds, wireBytes: socket.bytesWritten };
+}
+
+function report(t, label, { seconds, wireBytes }) {
+  const packetsPerSecond = Math.round(PACKETS / seconds);
+  const mbPerSecond = (PACKETS * PACKET_SIZE / seconds / 1024 / 1024).toFixed(1);
+  t.diagnostic(`${label}: ${packetsPerSecond} packets/s, ${mbPerSecond} MB/s payload, ${wireBytes} bytes on the wire`);
+}
+
+async function binaryChannel() {
+  const [a, b] = await socketPair();
+  const sender = new UdpChannel(a);
+  const receiver = new UdpChannel(b);
+  let count = 0;
+  const received = new Promise(resolve => receiver.on('packet', () => {
+    if (++count === PACKETS) resolve();
+  }));
+  const result = await measure(a, (payload) => sender.sendPacket('udp-1', payload), received);
+  assert.strictEqual(sender.droppedPackets, 0);
+  a.destroy();
+  b.destroy();
+  return result;
+}
+
+async function jsonLines() {
+  const [a, b] = await socketPair();
+  let count = 0;
+  const received = new Promise(resolve => {
+    let buffer = '';
+    b.on('data', (data) => {
+      buffer += data.toString();
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const msg = JSON.parse(buffer.substring(0, newlineIndex));
+        buffer = buffer.substring(newlineIndex + 1);
+        Buffer.from(msg.data, 'base64');
+        if (++count === PACKETS) resolve();
+      }
+    });
+  });
+  const result = await measure(a, (payload) => a.write(JSON.stringify({
+    type: 'udp_packet',
+    proxyName: 'bench',
+    connectionId: 'udp-1',
+    data: payload.toString('base64'),
+  }) + '\n'), received);
+  a.destroy();
+  b.destroy();
+  return result;
+}
+
+test('binary UDP channel throughput against base64 JSON lines', async (t) => {
+  const binary = await binaryChannel();
+  const json = await jsonLines();
+  report(t, 'binary channel', binary);
+  report(t, 'base64 JSON lines', json);
+  t.diagnostic(`speedup: ${(json.seconds / binary.seconds).toFixed(2)}x, wire size: ${(binary.wireBytes / json.wireBytes * 100).toFixed(0)}% of JSON`);
+
+  // Timings vary between machines; the framing overhead does not
+  assert.ok(binary.wireBytes < json.wireBytes * 0.8, 'binary framing should be well under the base64 JSON size');
+});
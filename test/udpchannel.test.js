@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const UdpChannel = require('../src/udpchannel');
+
+// Stand-in for the data socket: records what the channel writes, lets tests feed reads
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.written = [];
+  socket.destroyed = false;
+  socket.writableLength = 0;
+  socket.write = (data) => {
+    socket.written.push(data);
+    return true;
+  };
+  socket.destroy = () => {
+    socket.destroyed = true;
+    socket.emit('close');
+  };
+  return socket;
+}
+
+// Channel pair: frames written by sender are read back by receiver; events collected in order
+function channelPair() {
+  const sender = new UdpChannel(fakeSocket());
+  const receiverSocket = fakeSocket();
+  const receiver = new UdpChannel(receiverSocket);
+  const events = [];
+  receiver.on('open', (id, target, payload) => events.push(['open', id, target, payload.toString('hex')]));
+  receiver.on('packet', (id, payload) => events.push(['packet', id, payload.toString('hex')]));
+  receiver.on('session_close', (id) => events.push(['close', id]));
+  const wire = () => Buffer.concat(sender.socket.written);
+  return { sender, receiver, receiverSocket, events, wire };
+}
+
+function sendSample(sender) {
+  sender.sendOpen('udp-1', { targetHost: 'dns.example.com', targetPort: 53, proxyName: 'dns' }, Buffer.from('query'));
+  sender.sendPacket('udp-1', Buffer.from([0, 1, 2, 255]));
+  sender.sendPacket('udp-2', Buffer.alloc(0));
+  sender.sendClose('udp-1');
+}
+
+const expected = [
+  ['open', 'udp-1', { targetHost: 'dns.example.com', targetPort: 53, proxyName: 'dns' }, Buffer.from('query').toString('hex')],
+  ['packet', 'udp-1', '000102ff'],
+  ['packet', 'udp-2', ''],
+  ['close', 'udp-1'],
+];
+
+test('decodes frames read one at a time', () => {
+  const { sender, receiverSocket, events } = channelPair();
+  sendSample(sender);
+  for (const frame of sender.socket.written) {
+    receiverSocket.emit('data', frame);
+  }
+  assert.deepStrictEqual(events, expected);
+});
+
+test('decodes frames merged into a single read', () => {
+  const { sender, receiverSocket, events, wire } = channelPair();
+  sendSample(sender);
+  receiverSocket.emit('data', wire());
+  assert.deepStrictEqual(events, expected);
+});
+
+test('decodes frames split into single-byte reads', () => {
+  const { sender, receiverSocket, events, wire } = channelPair();
+  sendSample(sender);
+  const bytes = wire();
+  for (let i = 0; i < bytes.length; i++) {
+    receiverSocket.emit('data', bytes.subarray(i, i + 1));
+  }
+  assert.deepStrictEqual(events, expected);
+});
+
+test('decodes frames split at every boundary inside the length prefix and header', () => {
+  const { sender } = channelPair();
+  sendSample(sender);
+  const bytes = Buffer.concat(sender.socket.written);
+  for (let cut = 1; cut < bytes.length; cut++) {
+    const { receiverSocket, events } = channelPair();
+    receiverSocket.emit('data', bytes.subarray(0, cut));
+    receiverSocket.emit('data', bytes.subarray(cut));
+    assert.deepStrictEqual(events, expected, `split at byte ${cut}`);
+  }
+});
+
+test('carries a maximum size datagram', () => {
+  const { sender, receiverSocket, events, wire } = channelPair();
+  const payload = Buffer.alloc(65535, 7);
+  sender.sendPacket('big', payload);
+  const bytes = wire();
+  receiverSocket.emit('data', bytes.subarray(0, 1000));
+  assert.strictEqual(events.length, 0);
+  receiverSocket.emit('data', bytes.subarray(1000));
+  assert.deepStrictEqual(events, [['packet', 'big', payload.toString('hex')]]);
+});
+
+test('closes the socket on a frame longer than any datagram', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { receiver, receiverSocket } = channelPair();
+  let closed = false;
+  receiver.on('close', () => { closed = true; });
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(10 * 1024 * 1024, 0);
+  receiverSocket.emit('data', header);
+  assert.ok(receiverSocket.destroyed);
+  assert.ok(closed);
+});
+
+test('skips frames of unknown type and keeps decoding', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { sender, receiverSocket, events } = channelPair();
+  sender.writeFrame(0x7f, 'x', Buffer.from('junk'));
+  sender.sendPacket('udp-1', Buffer.from('ok'));
+  receiverSocket.emit('data', Buffer.concat(sender.socket.written));
+  assert.deepStrictEqual(events, [['packet', 'udp-1', Buffer.from('ok').toString('hex')]]);
+});
+
+test('drops datagrams but not close frames while the socket is backed up', () => {
+  const { sender } = channelPair();
+  sender.socket.writableLength = 2 * 1024 * 1024;
+  assert.strictEqual(sender.sendPacket('udp-1', Buffer.from('late')), false);
+  assert.strictEqual(sender.droppedPackets, 1);
+  assert.strictEqual(sender.sendClose('udp-1'), true);
+  assert.strictEqual(sender.socket.written.length, 1);
+});
+
+test('refuses OPEN frames whose fields do not fit their one-byte length instead of throwing', () => {
+  const { sender, receiverSocket, events, wire } = channelPair();
+  const long = 'n'.repeat(256);
+  const cases = [
+    ['udp-1', { targetHost: 'dns.example.com', targetPort: 53, proxyName: long }],
+    ['udp-1', { targetHost: long, targetPort: 53, proxyName: 'dns' }],
+    [long, { targetHost: 'dns.example.com', targetPort: 53, proxyName: 'dns' }],
+    ['udp-1', { targetHost: 'dns.example.com', targetPort: 70000, proxyName: 'dns' }],
+  ];
+  for (const [id, target] of cases) {
+    assert.strictEqual(UdpChannel.canOpen(id, target), false);
+    assert.strictEqual(sender.sendOpen(id, target, Buffer.from('query')), false);
+  }
+  assert.strictEqual(sender.sendPacket(long, Buffer.from('data')), false);
+  assert.strictEqual(sender.socket.written.length, 0);
+
+  // 255 bytes still fit
+  const target = { targetHost: 'h'.repeat(255), targetPort: 53, proxyName: 'p'.repeat(255) };
+  assert.strictEqual(UdpChannel.canOpen('udp-1', target), true);
+  assert.strictEqual(sender.sendOpen('udp-1', target, Buffer.from('query')), true);
+  receiverSocket.emit('data', wire());
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0][2].proxyName, target.proxyName);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vhost = require('../src/vhost');
+
+function head(text) {
+  return vhost.parseHttpRequestHead(Buffer.from(text, 'latin1'));
+}
+
+test('forces Connection: close on a keep-alive request', () => {
+  const request = head('GET /a HTTP/1.1\r\nHost: a.example.com\r\nConnection: keep-alive\r\nKeep-Alive: timeout=5\r\nAccept: */*\r\n\r\n');
+  assert.strictEqual(vhost.closeAfterRequest(request).toString('latin1'),
+    'GET /a HTTP/1.1\r\nHost: a.example.com\r\nAccept: */*\r\nConnection: close\r\n\r\n');
+});
+
+test('adds Connection: close when the request has none', () => {
+  const request = head('POST /form HTTP/1.1\r\nHost: a.example.com\r\nContent-Length: 3\r\n\r\n');
+  assert.strictEqual(vhost.closeAfterRequest(request).toString('latin1'),
+    'POST /form HTTP/1.1\r\nHost: a.example.com\r\nContent-Length: 3\r\nConnection: close\r\n\r\n');
+});
+
+test('recognizes WebSocket upgrades', () => {
+  assert.ok(vhost.isUpgradeRequest(head('GET /ws HTTP/1.1\r\nHost: a\r\nConnection: keep-alive, Upgrade\r\nUpgrade: websocket\r\n\r\n')));
+  assert.ok(!vhost.isUpgradeRequest(head('GET / HTTP/1.1\r\nHost: a\r\nConnection: keep-alive\r\n\r\n')));
+  assert.ok(!vhost.isUpgradeRequest(head('GET / HTTP/1.1\r\nHost: a\r\nConnection: Upgrade\r\n\r\n')));
+});
@@ -0,0 +1,124 @@
+// Live updates for the dashboard and port forwards pages, pushed by the server over /api/events
+(function() {
+  if (!window.EventSource) {
+    return;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  const connectedClients = new Set(); // client IDs as strings, like the data attributes
+
+  function forwardRows(clientId) {
+    const selector = typeof clientId === 'undefined' ? 'tr[data-forward-id]' : `tr[data-forward-id][data-client-id="${clientId}"]`;
+    return document.querySelectorAll(selector);
+  }
+
+  function setStatus(element, active, text) {
+    element.classList.toggle('status-active', active);
+    element.classList.toggle('status-inactive', !active);
+    element.textContent = text;
+  }
+
+  // Same wording as the server-rendered pages
+  function renderForwardStatus(row) {
+    const status = row.querySelector('[data-forward-status]');
+    if (!status) return;
+    const enabled = row.dataset.enabled === '1';
+    const active = enabled && connectedClients.has(row.dataset.clientId);
+    setStatus(status, active, active ? 'Active' : (enabled ? 'Client Offline' : 'Disabled'));
+  }
+
+  function renderClient(clientId) {
+    const connected = connectedClients.has(String(clientId));
+    document.querySelectorAll(`[data-client-status="${clientId}"]`).forEach(function(element) {
+      setStatus(element, connected, connected ? 'Connected' : 'Offline');
+    });
+    forwardRows(clientId).forEach(renderForwardStatus);
+  }
+
+  function addBytes(element, bytes, empty) {
+    const total = Number(element.dataset.bytes || 0) + bytes;
+    element.dataset.bytes = total;
+    element.textContent = total > 0 ? formatBytes(total) : empty;
+  }
+
+  const source = new EventSource('/api/events');
+
+  // Sent on every (re)connect, so statuses that changed while disconnected are caught up
+  source.addEventListener('status', function(event) {
+    const { connectedClientIds } = JSON.parse(event.data);
+    connectedClients.clear();
+    connectedClientIds.forEach(function(id) { connectedClients.add(String(id)); });
+    document.querySelectorAll('[data-client-status]').forEach(function(element) {
+      renderClient(element.dataset.clientStatus);
+    });
+    forwardRows().forEach(renderForwardStatus);
+  });
+
+  source.addEventListener('client', function(event) {
+    const { clientId, connected } = JSON.parse(event.data);
+    if (connected) {
+      connectedClients.add(String(clientId));
+    } else {
+      connectedClients.delete(String(clientId));
+    }
+    renderClient(clientId);
+  });
+
+  // Every port forward of a client after a change; rows missing from the list were deleted
+  source.addEventListener('forwards', function(event) {
+    const { clientId, forwards } = JSON.parse(event.data);
+    const byId = new Map(forwards.map(function(forward) { return [String(forward.id), forward]; }));
+    forwardRows(clientId).forEach(function(row) {
+      const forward = byId.get(row.dataset.forwardId);
+      if (!forward) {
+        row.remove();
+        return;
+      }
+      row.dataset.enabled = forward.enabled ? '1' : '0';
+      renderForwardStatus(row);
+    });
+  });
+
+  // Bytes of the last second per port forward, and active connections
+  source.addEventListener('traffic', function(event) {
+    const { forwards, connections } = JSON.parse(event.data);
+    forwardRows().forEach(function(row) {
+      const id = row.dataset.forwardId;
+      const traffic = forwards[id] || { bytesIn: 0, bytesOut: 0 };
+      const total = row.querySelector('[data-forward-traffic]');
+      if (total && (traffic.bytesIn > 0 || traffic.bytesOut > 0)) {
+        addBytes(total, traffic.bytesIn + traffic.bytesOut, '-');
+      }
+      const rate = row.querySelector('[data-forward-rate]');
+      if (rate) {
+        rate.textContent = traffic.bytesIn > 0 || traffic.bytesOut > 0
+          ? `In ${formatBytes(traffic.bytesIn)}/s, Out ${formatBytes(traffic.bytesOut)}/s`
+          : '';
+      }
+      const active = row.querySelector('[data-forward-connections]');
+      if (active) {
+        active.textContent = connections[id] || 0;
+      }
+    });
+
+    const totalTraffic = document.querySelector('[data-total-traffic]');
+    if (totalTraffic) {
+      let bytes = 0;
+      Object.values(forwards).forEach(function(traffic) { bytes += traffic.bytesIn + traffic.bytesOut; });
+      if (bytes > 0) {
+        addBytes(totalTraffic, bytes, '0 B');
+      }
+    }
+    const activeConnections = document.querySelector('[data-active-connections]');
+    if (activeConnections) {
+      activeConnections.textContent = Object.values(connections).reduce(function(sum, count) { return sum + count; }, 0);
+    }
+  });
+})();